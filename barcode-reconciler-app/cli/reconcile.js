@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+// Reconcile a master-list export against scan log files without the app, e.g.
+// for scans collected on batch terminals during the night shift:
+//   npm run reconcile -- --master onhand.xlsx --scans terminal1.txt --scans terminal2.csv --format csv
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  DEFAULT_RULES,
+  DEFAULT_TOLERANCE_RULES,
+  ISSUE_TYPES,
+  buildMatchIndex,
+  buildScanEvents,
+  createNormalizer,
+  getColumnNames,
+  guessHasHeader,
+  parseImportData,
+  parseMasterRows,
+  parseScanFile,
+  reconcile,
+  reportCsv,
+  suggestMapping,
+  toMasterList,
+  validateMasterRows,
+  valueSummary,
+} from '../src/lib/engine.js';
+
+const USAGE = `Usage: reconcile --master <export.csv|xlsx> --scans <log.txt|csv> [options]
+
+Options:
+  --scans <file>           Scan log, one value per line or CSV with timestamps (repeatable)
+  --format json|csv        Output format (default json)
+  --output <file>          Write to a file instead of stdout
+  --sheet <name>           Workbook sheet holding the master list (default first)
+  --header / --no-header   Whether the master export has a header row (default guessed)
+  --column <field>=<col>   Map a field (instrument, serial, item, location, site,
+                           warehouse, unitCost, category) to a column name or
+                           1-based number (repeatable)
+  --rules <rules.json>     Matching rules, as saved by the app's Matching rules panel
+  --tolerance <rules.json> Tolerance rules, as saved by the app's Tolerance rules panel
+  --counter <name>         Counter name to attribute the scans to`;
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+const options = (name) => args
+  .map((arg, index) => (arg === `--${name}` ? args[index + 1] : null))
+  .filter(Boolean);
+const flag = (name) => args.includes(`--${name}`);
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+if (flag('help') || !option('master') || options('scans').length === 0) {
+  fail(USAGE);
+}
+
+// Input files are read here so a missing or broken one ends the run with one line
+const readInput = (file, encoding) => {
+  try {
+    return fs.readFileSync(file, encoding);
+  } catch (error) {
+    return fail(`Cannot read ${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}.`);
+  }
+};
+
+const readJsonInput = (file) => {
+  try {
+    return JSON.parse(readInput(file, 'utf8'));
+  } catch (error) {
+    return fail(`${file} is not valid JSON: ${error.message}.`);
+  }
+};
+
+const format = option('format', 'json');
+if (!['json', 'csv'].includes(format)) fail(`Unknown format "${format}", use json or csv.`);
+
+const readMasterList = (file, normalize) => {
+  const importData = parseImportData(path.basename(file), readInput(file));
+  const sheetName = option('sheet', importData.sheetNames[0]);
+  const rows = importData.sheets[sheetName];
+  if (!rows) fail(`No sheet named "${sheetName}" in ${file}.`);
+
+  const hasHeader = flag('no-header') ? false : flag('header') || guessHasHeader(rows);
+  const columnNames = getColumnNames(rows, hasHeader);
+  const mapping = suggestMapping(columnNames, hasHeader);
+  options('column').forEach(assignment => {
+    const [field, column] = assignment.split('=');
+    if (!(field in mapping)) fail(`Unknown field "${field}" in --column ${assignment}.`);
+    const index = /^\d+$/.test(column)
+      ? Number(column) - 1
+      : columnNames.findIndex(name => name.toLowerCase() === String(column).toLowerCase());
+    if (index < 0 || index >= columnNames.length) fail(`No column "${column}" in ${file}.`);
+    mapping[field] = index;
+  });
+
+  const entries = parseMasterRows(rows, mapping, hasHeader);
+  validateMasterRows(entries, normalize).forEach(issue => {
+    console.error(`Warning: ${ISSUE_TYPES[issue.type]}: ${issue.value || '—'} (rows ${issue.rowNumbers.join(', ')})`);
+  });
+  return toMasterList(entries);
+};
+
+const rules = option('rules')
+  ? { ...DEFAULT_RULES, ...readJsonInput(option('rules')) }
+  : DEFAULT_RULES;
+const normalize = createNormalizer(rules);
+const masterList = readMasterList(option('master'), normalize);
+const matchIndex = buildMatchIndex(masterList, normalize);
+
+const events = [];
+const ambiguous = [];
+// Lines without a timestamp get whole milliseconds from the start of the run,
+// numbered on across files so they keep the order the files were given in
+let untimedClock = Date.now();
+options('scans').forEach(file => {
+  const scans = parseScanFile(readInput(file, 'utf8'));
+  const result = buildScanEvents(scans, matchIndex, {
+    counter: option('counter', ''),
+    startTime: untimedClock,
+    extra: { importFile: path.basename(file) },
+  });
+  untimedClock += scans.length;
+  events.push(...result.events);
+  ambiguous.push(...result.ambiguous.map(scan => ({ ...scan, file: path.basename(file) })));
+});
+events.sort((a, b) => a.timestamp - b.timestamp);
+ambiguous.forEach(scan => {
+  console.error(`Warning: ${scan.value} in ${scan.file} matches ${scan.candidates.join(', ')}; not counted.`);
+});
+
+const tolerance = option('tolerance')
+  ? { ...DEFAULT_TOLERANCE_RULES, ...readJsonInput(option('tolerance')) }
+  : null;
+const report = reconcile({ masterList, events, tolerance });
+const value = valueSummary(report);
+const output = format === 'csv'
+  ? reportCsv(report)
+  : JSON.stringify({
+    summary: {
+      totalExpected: report.totalExpected,
+      totalScanned: report.totalScanned,
+      matched: report.matched.length,
+      missing: report.missing.length,
+      short: report.short.length,
+      misplaced: report.misplaced.length,
+      excess: report.excess.length,
+      ambiguous: ambiguous.length,
+      missingValue: value.missing.value,
+      excessValue: value.excess.value,
+      escalated: report.escalations.size,
+    },
+    valueByCategory: value.categories,
+    escalated: [...report.escalations].map(([instrument, reasons]) => ({ instrument, reasons })),
+    matched: report.matched,
+    missing: report.missing,
+    short: report.short,
+    misplaced: report.misplaced,
+    excess: report.excess,
+    ambiguous,
+    locations: report.locations,
+  }, null, 2);
+
+if (option('output')) {
+  fs.writeFileSync(option('output'), `${output}\n`);
+} else {
+  process.stdout.write(`${output}\n`);
+}
@@ -26,4 +26,16 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['server/**/*.js', 'cli/**/*.js', 'pwa/serviceWorkerPlugin.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['pwa/serviceWorker.js'],
+    languageOptions: {
+      globals: { ...globals.serviceworker, __PRECACHE__: 'readonly', __VERSION__: 'readonly' },
+    },
+  },
 ])
@@ -0,0 +1,48 @@
+// Service worker for offline use. The build (see serviceWorkerPlugin.js) fills
+// in the two placeholders below with the bundle's files and a digest of them,
+// so every deploy installs a fresh cache of the whole app shell, including the
+// html5-qrcode scanner bundled into the JavaScript.
+
+const PRECACHE = __PRECACHE__;
+const CACHE_NAME = `barcode-reconciler-${__VERSION__}`;
+const SCOPE = new URL(self.registration.scope);
+const INDEX_URL = new URL('index.html', SCOPE).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE.map(path => new URL(path, SCOPE).href)))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+// A page that is already open keeps running the code it loaded, so old caches
+// can go as soon as the new version takes over
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('barcode-reconciler-') && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+// App files come from the cache first so a reload works without Wi-Fi.
+// Anything else (the sync server, other origins) goes straight to the network.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== SCOPE.origin || !url.pathname.startsWith(SCOPE.pathname)) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(INDEX_URL).then(cached => cached || fetch(request)),
+    );
+    return;
+  }
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request)),
+  );
+});
@@ -0,0 +1,47 @@
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const WORKER_SOURCE = fileURLToPath(new URL('./serviceWorker.js', import.meta.url));
+const WORKER_FILE_NAME = 'sw.js';
+
+// Vite plugin that emits sw.js next to index.html with the list of files to
+// precache: everything in the bundle plus the public directory. Paths are
+// relative to the deploy base, which is also the service worker's scope.
+export default function serviceWorkerPlugin() {
+  let publicDir = null;
+  let root = null;
+
+  return {
+    name: 'barcode-reconciler-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      publicDir = config.publicDir;
+      root = config.root;
+    },
+    generateBundle(options, bundle) {
+      const publicFiles = publicDir ? readdirSync(publicDir, { recursive: true, withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => `${entry.parentPath}/${entry.name}`.slice(publicDir.length + 1).replace(/\\/g, '/')) : [];
+      // index.html is only added to the bundle after this plugin has run
+      const files = [...new Set(['index.html', ...Object.keys(bundle), ...publicFiles])]
+        .filter(fileName => !fileName.endsWith('.map'))
+        .sort();
+      // The version changes with the content of every precached file, so
+      // an edited icon or manifest reaches installed clients too
+      const hash = createHash('sha256');
+      Object.values(bundle).forEach(output => hash.update(output.type === 'chunk' ? output.code : output.source));
+      hash.update(readFileSync(join(root, 'index.html')));
+      publicFiles.forEach(fileName => {
+        hash.update(fileName);
+        hash.update(readFileSync(join(publicDir, fileName)));
+      });
+
+      const source = readFileSync(WORKER_SOURCE, 'utf8')
+        .replace('__PRECACHE__', JSON.stringify(files))
+        .replace('__VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)));
+      this.emitFile({ type: 'asset', fileName: WORKER_FILE_NAME, source });
+    },
+  };
+}
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+// Starts the count sync server, e.g. on a LAN box in the warehouse:
+//   npm run sync-server -- --port 8787 --data ./sync-data.json --static ./dist
+import { createSyncServer } from './syncServer.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const port = Number(option('port', process.env.PORT || 8787));
+let server;
+try {
+  server = createSyncServer({
+    dataFile: option('data', null),
+    staticDir: option('static', null),
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+server.listen(port, () => {
+  console.log(`Cycle count sync server listening on http://0.0.0.0:${port}`);
+});
+
+const shutdown = () => {
+  server.closeAllConnections();
+  server.close(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,291 @@
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Small sync server that lets several devices share one count session by code.
+//
+// Each session is an append-only list of numbered operations:
+//   { seq, type: 'event', event }                   - a scan log event (deduplicated by event.id)
+//   { seq, type: 'retract', id }                    - an event removed by undo/delete
+//   { seq, type: 'master-list', fileName, records } - the shared master list (latest wins)
+//   { seq, type: 'tolerance-rules', rules }         - the count's tolerance rules (latest wins)
+//
+// Clients push operations with POST /api/sessions/:code/ops and receive every
+// operation after their last seen `seq` over Server-Sent Events from
+// GET /api/sessions/:code/stream, so a device that was offline catches up by
+// reconnecting with its cursor and flushing its own queued operations.
+
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+const HEARTBEAT_MS = 25000;
+const SAVE_DELAY_MS = 1000;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+};
+
+const newSession = (code) => ({
+  code,
+  seq: 0,
+  ops: [],
+  eventIds: new Set(),
+  retractedIds: new Set(),
+});
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// A POST body must be { ops: [...] } with an object for each operation
+const opsOf = (body) => {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.ops)) {
+    throw badRequest('Expected a JSON body with an ops array');
+  }
+  if (body.ops.some(op => !op || typeof op !== 'object')) throw badRequest('Each operation must be an object');
+  return body.ops;
+};
+
+// decodeURIComponent that answers 400 rather than 500 for a malformed escape
+const decodePath = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw badRequest('Invalid path');
+  }
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+    } catch {
+      reject(badRequest('Invalid JSON body'));
+    }
+  });
+  req.on('error', reject);
+});
+
+// Create (but do not start) the sync server.
+//   dataFile  - optional JSON file the sessions are saved to and restored from
+//   staticDir - optional directory (the built app) to serve alongside the API
+//   basePath  - URL prefix the built app expects, stripped before serving files
+export const createSyncServer = ({ dataFile = null, staticDir = null, basePath = '/serialized-cycle-count/' } = {}) => {
+  // Unknown paths fall back to the app shell, so a directory without one is a mistake
+  if (staticDir && !fs.existsSync(path.join(staticDir, 'index.html'))) {
+    throw new Error(`No index.html in ${staticDir}: --static must point at the built app (dist)`);
+  }
+
+  const sessions = new Map();
+  const subscribers = new Map();
+  let saveTimer = null;
+
+  if (dataFile && fs.existsSync(dataFile)) {
+    const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    saved.sessions.forEach(stored => {
+      const session = newSession(stored.code);
+      session.seq = stored.seq;
+      session.ops = stored.ops;
+      session.ops.forEach(op => {
+        if (op.type === 'event') session.eventIds.add(op.event.id);
+        if (op.type === 'retract') session.retractedIds.add(op.id);
+      });
+      sessions.set(stored.code, session);
+    });
+  }
+
+  const snapshot = () => JSON.stringify({
+    sessions: [...sessions.values()].map(({ code, seq, ops }) => ({ code, seq, ops })),
+  });
+
+  const scheduleSave = () => {
+    if (!dataFile || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      fs.writeFile(dataFile, snapshot(), error => {
+        if (error) console.error('Error saving sync data:', error);
+      });
+    }, SAVE_DELAY_MS);
+  };
+
+  const sessionFor = (code) => {
+    if (!sessions.has(code)) sessions.set(code, newSession(code));
+    return sessions.get(code);
+  };
+
+  const writeOp = (res, op) => {
+    res.write(`id: ${op.seq}\ndata: ${JSON.stringify(op)}\n\n`);
+  };
+
+  // Append operations, skipping events and retractions the session already has
+  const appendOps = (session, ops) => {
+    const accepted = [];
+    ops.forEach(op => {
+      if (op.type === 'event' && op.event && op.event.id && !session.eventIds.has(op.event.id)) {
+        session.eventIds.add(op.event.id);
+      } else if (op.type === 'retract' && op.id && !session.retractedIds.has(op.id)) {
+        session.retractedIds.add(op.id);
+      } else if (
+        (op.type === 'master-list' && Array.isArray(op.records)) ||
+        (op.type === 'tolerance-rules' && op.rules && typeof op.rules === 'object')
+      ) {
+        // Only the latest master list or rules matter, so drop the superseded ones
+        session.ops = session.ops.filter(existing => existing.type !== op.type);
+      } else {
+        return;
+      }
+      session.seq += 1;
+      const stored = { ...op, seq: session.seq };
+      session.ops.push(stored);
+      accepted.push(stored);
+    });
+
+    if (accepted.length > 0) {
+      (subscribers.get(session.code) || new Set()).forEach(res => accepted.forEach(op => writeOp(res, op)));
+      scheduleSave();
+    }
+    return accepted;
+  };
+
+  const summarize = (session) => {
+    const masterListOp = session.ops.find(op => op.type === 'master-list');
+    const counters = new Set();
+    session.ops.forEach(op => {
+      if (op.type === 'event' && op.event.counter) counters.add(op.event.counter);
+    });
+    return {
+      code: session.code,
+      seq: session.seq,
+      hasMasterList: Boolean(masterListOp),
+      masterFileName: masterListOp ? masterListOp.fileName : null,
+      hasToleranceRules: session.ops.some(op => op.type === 'tolerance-rules'),
+      counters: [...counters],
+    };
+  };
+
+  const handleStream = (req, res, session, url) => {
+    const lastEventId = Number(req.headers['last-event-id']);
+    const since = Number.isFinite(lastEventId) && lastEventId > 0
+      ? lastEventId
+      : Number(url.searchParams.get('since')) || 0;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write('retry: 3000\n\n');
+    session.ops.filter(op => op.seq > since).forEach(op => writeOp(res, op));
+
+    if (!subscribers.has(session.code)) subscribers.set(session.code, new Set());
+    subscribers.get(session.code).add(res);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      subscribers.get(session.code).delete(res);
+    });
+  };
+
+  const serveStatic = (req, res, url) => {
+    let relativePath = decodePath(url.pathname);
+    if (relativePath.startsWith(basePath)) relativePath = `/${relativePath.slice(basePath.length)}`;
+    const root = path.resolve(staticDir);
+    let filePath = path.resolve(root, `.${relativePath}`);
+    // Only files inside the root: not the root's parent or a sibling sharing its name prefix
+    const inRoot = path.relative(root, filePath);
+    if (inRoot === '..' || inRoot.startsWith(`..${path.sep}`) || path.isAbsolute(inRoot)) {
+      sendJson(res, 403, { error: 'Forbidden' });
+      return;
+    }
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+      // Single-page app: unknown paths get the app shell
+      filePath = path.join(root, 'index.html');
+    }
+    const stream = fs.createReadStream(filePath);
+    stream.on('open', () => {
+      res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+      stream.pipe(res);
+    });
+    // A file that went away or cannot be read fails this request, not the server
+    stream.on('error', error => {
+      if (res.headersSent) {
+        res.destroy();
+      } else if (error.code === 'ENOENT') {
+        sendJson(res, 404, { error: 'Not found' });
+      } else {
+        console.error('Error serving static file:', error);
+        sendJson(res, 500, { error: 'Could not read file' });
+      }
+    });
+  };
+
+  const handleRequest = async (req, res) => {
+    // Devices on the LAN may load the app from another origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/api\/sessions\/([^/]+)(\/ops|\/stream)?$/);
+
+    try {
+      if (match) {
+        const code = decodePath(match[1]).toUpperCase();
+        const session = sessionFor(code);
+        if (req.method === 'GET' && !match[2]) {
+          sendJson(res, 200, summarize(session));
+        } else if (req.method === 'GET' && match[2] === '/stream') {
+          handleStream(req, res, session, url);
+        } else if (req.method === 'POST' && match[2] === '/ops') {
+          const body = await readJsonBody(req);
+          const accepted = appendOps(session, opsOf(body));
+          sendJson(res, 200, { seq: session.seq, accepted: accepted.length });
+        } else {
+          sendJson(res, 405, { error: 'Method not allowed' });
+        }
+      } else if (url.pathname === '/api/health') {
+        sendJson(res, 200, { ok: true, sessions: sessions.size });
+      } else if (staticDir && req.method === 'GET') {
+        serveStatic(req, res, url);
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      sendJson(res, error.status || 500, { error: error.message });
+    }
+  };
+
+  const server = http.createServer(handleRequest);
+  server.on('close', () => {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      fs.writeFileSync(dataFile, snapshot());
+    }
+  });
+  return server;
+};
@@ -0,0 +1,140 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSyncServer } from './syncServer.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createSyncServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const post = (code, body) => fetch(`${baseUrl}/api/sessions/${code}/ops`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: typeof body === 'string' ? body : JSON.stringify(body),
+});
+
+const pushOps = async (code, ops) => (await post(code, { ops })).json();
+
+const eventOp = (id, fields = {}) => ({ type: 'event', event: { id, type: 'scan', value: id, ...fields } });
+
+// Operations the stream sends after `since`, read until `count` have arrived
+const streamOps = async (code, since, count) => {
+  const controller = new AbortController();
+  const res = await fetch(`${baseUrl}/api/sessions/${code}/stream?since=${since}`, { signal: controller.signal });
+  const decoder = new TextDecoder();
+  const ops = [];
+  let text = '';
+  for await (const chunk of res.body) {
+    text += decoder.decode(chunk, { stream: true });
+    const messages = text.split('\n\n');
+    text = messages.pop();
+    messages.forEach(message => {
+      const data = message.split('\n').find(line => line.startsWith('data: '));
+      if (data) ops.push(JSON.parse(data.slice('data: '.length)));
+    });
+    if (ops.length >= count) break;
+  }
+  controller.abort();
+  return ops;
+};
+
+describe('sync server', () => {
+  it('keeps one copy of an event pushed twice', async () => {
+    assert.equal((await pushOps('DEDUP', [eventOp('e1'), eventOp('e2')])).accepted, 2);
+    const again = await pushOps('DEDUP', [eventOp('e1'), eventOp('e3')]);
+    assert.deepEqual(again, { seq: 3, accepted: 1 });
+    const ops = await streamOps('DEDUP', 0, 3);
+    assert.deepEqual(ops.map(op => op.event.id), ['e1', 'e2', 'e3']);
+  });
+
+  it('records a retraction once and keeps the retracted event in the log', async () => {
+    await pushOps('RETRACT', [eventOp('e1')]);
+    const retract = { type: 'retract', id: 'e1' };
+    assert.equal((await pushOps('RETRACT', [retract, retract])).accepted, 1);
+    assert.equal((await pushOps('RETRACT', [retract])).accepted, 0);
+    const ops = await streamOps('RETRACT', 0, 2);
+    assert.deepEqual(ops.map(op => [op.seq, op.type]), [[1, 'event'], [2, 'retract']]);
+  });
+
+  it('keeps only the latest master list', async () => {
+    await pushOps('MASTER', [{ type: 'master-list', fileName: 'old.csv', records: [{ instrument: 'INS-1' }] }]);
+    await pushOps('MASTER', [eventOp('e1')]);
+    await pushOps('MASTER', [{ type: 'master-list', fileName: 'new.csv', records: [{ instrument: 'INS-2' }] }]);
+    const summary = await (await fetch(`${baseUrl}/api/sessions/master`)).json();
+    assert.equal(summary.masterFileName, 'new.csv');
+    const ops = await streamOps('MASTER', 0, 2);
+    assert.deepEqual(ops.map(op => [op.seq, op.type]), [[2, 'event'], [3, 'master-list']]);
+    assert.deepEqual(ops[1].records, [{ instrument: 'INS-2' }]);
+  });
+
+  it('keeps only the latest tolerance rules', async () => {
+    const rules = (valueThreshold) => ({ type: 'tolerance-rules', rules: { valueThreshold, controlledCategories: [] } });
+    assert.equal((await (await fetch(`${baseUrl}/api/sessions/RULES`)).json()).hasToleranceRules, false);
+    await pushOps('RULES', [rules(100), eventOp('e1'), rules(50)]);
+    assert.equal((await (await fetch(`${baseUrl}/api/sessions/RULES`)).json()).hasToleranceRules, true);
+    const ops = await streamOps('RULES', 0, 2);
+    assert.deepEqual(ops.map(op => [op.seq, op.type]), [[2, 'event'], [3, 'tolerance-rules']]);
+    assert.equal(ops[1].rules.valueThreshold, 50);
+  });
+
+  it('sends only the operations after the cursor, then live ones', async () => {
+    await pushOps('CATCHUP', [eventOp('e1'), eventOp('e2'), eventOp('e3')]);
+    const streamed = streamOps('CATCHUP', 2, 2);
+    // Give the stream time to connect before the live operation
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await pushOps('CATCHUP', [eventOp('e4')]);
+    assert.deepEqual((await streamed).map(op => [op.seq, op.event.id]), [[3, 'e3'], [4, 'e4']]);
+  });
+
+  it('answers 400 to malformed operation bodies', async () => {
+    for (const body of ['null', '{}', '{"ops":"x"}', '{"ops":[null]}', '{"ops":[1]}', 'not json']) {
+      const res = await post('BAD', body);
+      assert.equal(res.status, 400, body);
+      await res.body.cancel();
+    }
+    const res = await fetch(`${baseUrl}/api/sessions/%E0%A4%A`);
+    assert.equal(res.status, 400);
+    await res.body.cancel();
+  });
+
+  it('refuses a static directory without the app shell', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-static-'));
+    try {
+      assert.throws(() => createSyncServer({ staticDir: dir }), /index\.html/);
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+
+  it('answers 404 rather than crashing when the app shell goes missing', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-static-'));
+    fs.writeFileSync(path.join(dir, 'index.html'), '<!doctype html>');
+    const staticServer = createSyncServer({ staticDir: dir });
+    await new Promise(resolve => staticServer.listen(0, '127.0.0.1', resolve));
+    try {
+      const url = `http://127.0.0.1:${staticServer.address().port}`;
+      assert.equal((await fetch(`${url}/count`)).status, 200);
+      fs.rmSync(path.join(dir, 'index.html'));
+      const res = await fetch(`${url}/count`);
+      assert.equal(res.status, 404);
+      await res.body.cancel();
+      assert.equal((await fetch(`${url}/api/health`)).status, 200);
+    } finally {
+      staticServer.closeAllConnections();
+      await new Promise(resolve => staticServer.close(resolve));
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+});
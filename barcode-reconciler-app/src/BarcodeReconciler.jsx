@@ -1,54 +1,466 @@
-import React, { useState, useMemo, useRef, useEffect } from 'react';
-import Papa from 'papaparse';
-import { Html5QrcodeScanner } from 'html5-qrcode';
-
-// Utility function to parse master list
-const parseMasterList = (file, setMasterList) => {
-  Papa.parse(file, {
-    header: false,
-    skipEmptyLines: true,
-    complete: (results) => {
-      // Expect CSV format with instrument number and serial number columns
-      const processedData = results.data
-        .map(row => {
-          if (Array.isArray(row) && row.length >= 2) {
-            // Keep both instrument number and serial number
-            return `${String(row[0]).trim()},${String(row[1]).trim()}`;
-          } else if (row.length === 1) {
-            // If only one column, treat it as instrument number
-            return `${String(row[0]).trim()},`;
-          }
-          return null;
-        })
-        .filter(item => item && item.split(',')[0]); // Ensure at least instrument number exists
-      
-      setMasterList([...new Set(processedData)]);
-      alert(`Master List Loaded: ${new Set(processedData).size} unique instruments.`);
-    },
-    error: (error) => {
-      console.error("Error parsing CSV:", error);
-      alert("Error loading file. Check console.");
-    }
-  });
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
+import { Html5Qrcode, Html5QrcodeScannerState, Html5QrcodeSupportedFormats } from 'html5-qrcode';
+import ExcessList from './ExcessList';
+import ColumnMapping from './ColumnMapping';
+import ImportValidation from './ImportValidation';
+import SessionPanel from './SessionPanel';
+import ScanHistory from './ScanHistory';
+import LocationProgress from './LocationProgress';
+import SyncPanel from './SyncPanel';
+import MatchingRules from './MatchingRules';
+import BlindCountPanel from './BlindCountPanel';
+import RecountPanel from './RecountPanel';
+import InventorySnapshot from './InventorySnapshot';
+import ScanImport from './ScanImport';
+import ScanFlash from './ScanFlash';
+import FeedbackSettings from './FeedbackSettings';
+import CameraSettings from './CameraSettings';
+import MasterListPanel from './MasterListPanel';
+import LifecyclePanel from './LifecyclePanel';
+import ReportFilterBar from './ReportFilterBar';
+import ProgressDashboard from './ProgressDashboard';
+import ToleranceRules from './ToleranceRules';
+import ShrinkValue from './ShrinkValue';
+import VirtualList from './VirtualList';
+import { mergeMasterLists, readImportFile, sourceFilesOf, tagSourceFile, toMasterList } from './lib/masterListImport';
+import { validateMasterRows } from './lib/importValidation';
+import { downloadAuditTrail, downloadReportCsv, downloadReportXlsx, printVarianceReport } from './lib/reportExport';
+import { isOwnEvent, isScanEvent, mergeEvents } from './lib/scanLog';
+import { findImportOverlap, scansAfter } from './lib/scanFile';
+import { createSyncClient, fetchSyncSession, getDeviceId } from './lib/syncClient';
+import { formatGs1 } from './lib/gs1';
+import { buildMatchIndex, createNormalizer, loadRules, saveRules, suggestMatches } from './lib/matching';
+import { snapshotReport, updateReportState } from './lib/reportState';
+import { checkPin, hashPin } from './lib/supervisor';
+import { buildRecountItems } from './lib/recount';
+import { buildScanEvents, completeReport, matchScan, reResolveScans } from './lib/engine';
+import { buildMovement } from './lib/inventoryMovement';
+import {
+  DEFAULT_REPORT_FILTER,
+  buildScanIndex,
+  countLines,
+  describeFilter,
+  filterReport,
+  groupRows,
+  isFiltered,
+  reportLocations,
+} from './lib/reportFilter';
+import { pastCountsAt, sessionAccuracy } from './lib/progress';
+import { DEFAULT_TOLERANCE_RULES, toleranceRulesOf, unsettledEscalations, valueSummary } from './lib/valuation';
+import { hasCounterName, isCountingLocked, isFrozen, isInProgress, mayApprove, withLifecycle } from './lib/lifecycle';
+import { approvalRecords, chainEntries, verifyAuditTrail } from './lib/auditTrail';
+import {
+  checkCameraAccess,
+  describeCameraError,
+  isRepeatDecode,
+  loadCameraSettings,
+  saveCameraSettings,
+  scanBoxFor,
+  watchOrientation,
+} from './lib/camera';
+import { loadFeedbackSettings, saveFeedbackSettings, signalOutcome } from './lib/scanFeedback';
+import {
+  LOCATION_PREFIX,
+  buildLocationIndex,
+  currentLocationOf,
+  resolveLocation,
+} from './lib/locations';
+import {
+  appendAuditEntries,
+  createId,
+  deleteScan,
+  deleteSession,
+  listSessions,
+  loadAuditTrail,
+  loadSession,
+  saveLaterSnapshot,
+  saveMasterList,
+  saveScan,
+  replaceScans,
+  saveScans,
+  saveSession,
+} from './lib/sessionStore';
+
+// Instrument number with its serial number (and location, when known)
+// underneath, used by every report line
+const RecordLabel = ({ record, color }) => (
+  <span style={{ display: 'flex', flexDirection: 'column', textAlign: 'left' }}>
+    <span style={{
+      color,
+      fontWeight: '600',
+      fontSize: '1.1rem'
+    }}>{record.instrument}</span>
+    <span style={{ color: '#666', fontSize: '0.85rem' }}>
+      S/N: {record.serial || '—'}
+      {record.location && <> · Loc: {record.location}</>}
+    </span>
+  </span>
+);
+
+// Fixed row height for the virtualized Missing list, including the gap below each row
+const MISSING_ROW_HEIGHT = 76;
+
+const groupHeaderStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  color: '#003087',
+  fontWeight: '600',
+  padding: '4px 4px 0',
+  borderBottom: '1px solid rgba(0, 87, 184, 0.15)',
+};
+
+// A report section's lines in their groups (see lib/reportFilter groupRows),
+// each under a header with its subtotal
+const GroupedRows = ({ groups, children }) => (
+  <div style={{ display: 'grid', gap: '12px' }}>
+    {groups.map(group => (
+      <div key={group.key} style={{ display: 'grid', gap: '12px' }}>
+        {group.label !== null && (
+          <div style={groupHeaderStyle}>
+            <span>{group.label}</span>
+            <span>{group.rows.length}</span>
+          </div>
+        )}
+        {children(group.rows)}
+      </div>
+    ))}
+  </div>
+);
+
+// A fresh session is only written to IndexedDB once it has a start time,
+// i.e. after the first master-list import or scan.
+const newSession = () => ({
+  id: createId(),
+  counterName: '',
+  site: '',
+  startedAt: null,
+  // Lifecycle stage, see lib/lifecycle, and when each stage was reached
+  status: 'open',
+  countingStartedAt: null,
+  submittedAt: null,
+  approvedAt: null,
+  closedAt: null,
+  approverName: '',
+  archived: false,
+  masterFileName: '',
+  // When on, location scans set the current location and item scans are tagged with it
+  locationMode: false,
+  // Shared multi-device count this session is joined to: { serverUrl, code }
+  sync: null,
+  // Counter's review of each excess number: { status: 'confirmed' | 'dismissed', note }
+  excessReview: {},
+  // Blind count: expected quantities stay hidden until counting is declared
+  // complete and the supervisor PIN (stored as a digest) unlocks the report
+  blindMode: false,
+  supervisorPinHash: null,
+  countingCompletedAt: null,
+  // Recount of the first pass's variances: { startedAt, completedAt, items, escalated }
+  recount: null,
+  // Missing items breaking these are escalated for a mandatory recount, see lib/valuation
+  toleranceRules: DEFAULT_TOLERANCE_RULES,
+  // Later on-hand export loaded mid-count: { fileName, loadedAt }; its records
+  // are stored separately like the master list
+  laterSnapshot: null,
+  // Scan files imported from batch terminals: [{ id, fileName, fingerprint, importedAt, count }]
+  scanImports: [],
+  // Edits and overrides that are not in the scan log (deletions, excess
+  // reviews, master-list changes, lifecycle steps...), frozen into the audit
+  // trail on approval: [{ timestamp, actor, deviceId, action, details }]
+  activity: [],
+  // Audit trail written on approval: { entryCount, headHash, frozenAt }
+  audit: null,
+});
+
+const exportButtonStyle = {
+  padding: '8px 16px',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  borderRadius: '8px',
+  cursor: 'pointer',
+  fontSize: '0.95rem',
+  fontWeight: '500',
+};
+
+const SCAN_MESSAGE_COLORS = {
+  matched: { color: '#2f855a', backgroundColor: 'rgba(47, 133, 90, 0.08)' },
+  excess: { color: '#c05621', backgroundColor: 'rgba(255, 159, 67, 0.12)' },
+  location: { color: '#0057b8', backgroundColor: 'rgba(0, 87, 184, 0.08)' },
+  ambiguous: { color: '#6b46c1', backgroundColor: 'rgba(107, 70, 193, 0.08)' },
+  recorded: { color: '#4a5568', backgroundColor: 'rgba(74, 85, 104, 0.08)' },
+};
+
+const logStoreError = (error) => {
+  console.error("Error saving session:", error);
 };
 
 const BarcodeReconciler = () => {
-  const [masterList, setMasterList] = useState([]);
-  const [scannedData, setScannedData] = useState({});
-  const [uploadedFile, setUploadedFile] = useState(null);
+  const [masterList, setMasterList] = useState(() => new Map());
+  // Later on-hand export (Map like the master list), or null
+  const [laterSnapshot, setLaterSnapshot] = useState(null);
+  // Scan log: every scan and quantity correction, see lib/scanLog
+  const [scanEvents, setScanEvents] = useState([]);
+  const [session, setSession] = useState(newSession);
+  const [sessions, setSessions] = useState([]);
+  // Last open session found on load, offered for resuming
+  const [resumeCandidate, setResumeCandidate] = useState(null);
+  const [lastScanMessage, setLastScanMessage] = useState(null);
+  // Per-device scan feedback settings and the screen flash currently showing
+  const [feedbackSettings, setFeedbackSettings] = useState(loadFeedbackSettings);
+  const [flash, setFlash] = useState(null);
+  // Parsed file waiting for the counter to pick a sheet and map its columns
+  const [pendingImport, setPendingImport] = useState(null);
   const [isUsingCamera, setIsUsingCamera] = useState(false);
   const [isManualEntry, setIsManualEntry] = useState(false);
   const [manualNumber, setManualNumber] = useState('');
+  const [deviceId] = useState(getDeviceId);
+  const [matchingRules, setMatchingRules] = useState(loadRules);
+  const [syncStatus, setSyncStatus] = useState({ connected: false, pending: 0 });
+  // Session whose blind-count report a supervisor has unlocked on this device
+  const [unlockedSessionId, setUnlockedSessionId] = useState(null);
+  // Search, filters, sort and grouping of the report view, see lib/reportFilter
+  const [reportFilter, setReportFilter] = useState(DEFAULT_REPORT_FILTER);
   const scanInputRef = useRef(null);
   const qrScanner = useRef(null);
+  // Why the camera could not be started, shown instead of the viewfinder
+  const [cameraProblem, setCameraProblem] = useState(null);
+  const [cameraSettings, setCameraSettings] = useState(loadCameraSettings);
+  // Camera scan waiting for the counter to confirm it, in tap-to-confirm mode
+  const [pendingCameraScan, setPendingCameraScan] = useState(null);
+  const [torch, setTorch] = useState({ supported: false, on: false });
+  // Last decoded camera value and when, for the same-code debounce
+  const lastDecodeRef = useRef(null);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const syncClientRef = useRef(null);
+  // Operations to share as soon as the sync client for a newly joined code exists
+  const initialSyncOpsRef = useRef([]);
+
+  // Read an export for column mapping. `target` is 'master' to load (or
+  // replace) the master list, 'merge' to add it to the loaded list, or
+  // 'snapshot' for a later on-hand export of an existing count.
+  const loadMasterFile = async (file, target = 'master') => {
+    if (refuseWhenLocked()) return;
+    try {
+      const importData = await readImportFile(file);
+      setPendingImport({ fileName: file.name, target, ...importData });
+    } catch (error) {
+      console.error("Error parsing master list:", error);
+      alert("Error loading file. Check console.");
+    }
+  };
+
+  const refreshSessions = () => listSessions().then(setSessions).catch(logStoreError);
+
+  // Check for a session to resume when the app loads
+  useEffect(() => {
+    listSessions()
+      .then(saved => {
+        setSessions(saved);
+        setResumeCandidate(saved.find(s => isInProgress(s) && s.startedAt) || null);
+      })
+      .catch(logStoreError);
+  }, []);
+
+  // Apply metadata changes to the current session, persisting it once started
+  const updateSession = (changes) => {
+    const next = { ...session, ...changes };
+    setSession(next);
+    if (next.startedAt) {
+      saveSession(next).then(refreshSessions).catch(logStoreError);
+    }
+    return next;
+  };
+
+  const resetCount = (nextSession) => {
+    setSession(nextSession);
+    setMasterList(new Map());
+    setLaterSnapshot(null);
+    setScanEvents([]);
+    setPendingImport(null);
+    setLastScanMessage(null);
+  };
+
+  const handleReopenSession = async (sessionId) => {
+    try {
+      const saved = await loadSession(sessionId);
+      if (!saved.session) return;
+      resetCount(withLifecycle(saved.session));
+      setMasterList(saved.masterList);
+      setLaterSnapshot(saved.laterSnapshot);
+      setScanEvents(saved.scans);
+      setResumeCandidate(null);
+    } catch (error) {
+      console.error("Error loading session:", error);
+      alert("Error loading session. Check console.");
+    }
+  };
+
+  const handleStartNew = () => {
+    if (session.startedAt && !window.confirm('Start a new count? The current count stays saved under Past Sessions.')) {
+      return;
+    }
+    resetCount(newSession());
+    setResumeCandidate(null);
+  };
+
+  const handleArchiveSession = (target) => {
+    saveSession({ ...target, archived: true }).then(refreshSessions).catch(logStoreError);
+  };
+
+  const handleDeleteSession = (sessionId) => {
+    const target = sessions.find(s => s.id === sessionId);
+    if (target && isFrozen(target)) {
+      alert('Approved counts cannot be deleted. Archive it instead.');
+      return;
+    }
+    if (!window.confirm('Delete this session and all of its scans? This cannot be undone.')) return;
+    deleteSession(sessionId).then(refreshSessions).catch(logStoreError);
+    if (resumeCandidate && resumeCandidate.id === sessionId) setResumeCandidate(null);
+  };
+
+  // The session's activity log with one more entry, to pass to updateSession
+  const withActivity = (action, details = null, activity = session.activity || []) => [
+    ...activity,
+    { timestamp: Date.now(), actor: session.counterName, deviceId, action, details },
+  ];
+
+  // Counting changes are refused once the count has been submitted for review.
+  // Returns true (after telling the user) when the change must not be made.
+  const countingLocked = isCountingLocked(session);
+  const toleranceRules = toleranceRulesOf(session);
+  const refuseWhenLocked = () => {
+    if (!countingLocked) return false;
+    alert(session.status === 'review'
+      ? 'This count is under review. Return it to counting before making changes.'
+      : 'This count has been approved and can no longer be changed.');
+    return true;
+  };
+
+  const pushSyncOps = (ops) => {
+    if (syncClientRef.current) syncClientRef.current.push(ops);
+  };
+
+  const toleranceRulesOp = (rules) => ({
+    type: 'tolerance-rules',
+    rules,
+    counter: session.counterName,
+    deviceId,
+  });
+
+  const masterListOp = (fileName, records) => ({
+    type: 'master-list',
+    fileName,
+    counter: session.counterName,
+    deviceId,
+    records: [...records.values()],
+  });
+
+  // Match the scans in `events` against a changed master list and share the
+  // replacements. Returns them (see reResolveScans).
+  const reResolveAgainst = (records, sessionId, events = scanEvents) => {
+    const replacements = reResolveScans(events, records, buildMatchIndex(records, normalize));
+    if (replacements.length > 0) {
+      const removedIds = replacements.map(replacement => replacement.previous.id);
+      const added = replacements.map(replacement => replacement.event);
+      const removed = new Set(removedIds);
+      setScanEvents(prev => mergeEvents(prev.filter(event => !removed.has(event.id)), added));
+      replaceScans(sessionId, removedIds, added).catch(logStoreError);
+      pushSyncOps([
+        ...removedIds.map(id => ({ type: 'retract', id })),
+        ...added.map(event => ({ type: 'event', event })),
+      ]);
+    }
+    return replacements;
+  };
+
+  // Put a new or changed master list in place and match the scans taken so
+  // far against it. `change` ('load', 'merge' or 'replace') goes in the
+  // activity log. Returns the scan replacements (see reResolveScans).
+  const applyMasterList = (records, fileName, change) => {
+    setMasterList(records);
+    const next = updateSession({
+      masterFileName: sourceFilesOf(records).join(' + ') || fileName,
+      startedAt: session.startedAt || Date.now(),
+      activity: withActivity('master-list', { change, fileName, instruments: records.size }),
+    });
+    saveMasterList(next.id, records).catch(logStoreError);
+    pushSyncOps([masterListOp(next.masterFileName, records)]);
+    setResumeCandidate(null);
+    return reResolveAgainst(records, next.id);
+  };
+
+  const handleMappedImport = (imported) => {
+    const { fileName, target } = pendingImport;
+    setPendingImport(null);
+    const tagged = tagSourceFile(imported, fileName);
+    const records = target === 'merge' ? mergeMasterLists(masterList, tagged) : tagged;
+    const change = target === 'merge' ? 'merge' : masterList.size > 0 ? 'replace' : 'load';
+    const replacements = applyMasterList(records, fileName, change);
+
+    const lines = [target === 'merge'
+      ? `Merged ${fileName}: ${records.size - masterList.size} instruments added, ${records.size} in total.`
+      : `Master List Loaded: ${records.size} unique instruments.`];
+    const flagged = replacements.filter(replacement => !replacement.event.instrument).length;
+    if (replacements.length > flagged) lines.push(`${replacements.length - flagged} earlier scan(s) now match the list.`);
+    if (flagged > 0) lines.push(`${flagged} earlier scan(s) no longer match and are now counted as excess.`);
+    alert(lines.join('\n'));
+  };
+
+  // Scans that stopped matching when the master list last changed
+  const flaggedScans = useMemo(
+    () => scanEvents.filter(event => isScanEvent(event) && event.noLongerMatches && !event.instrument),
+    [scanEvents],
+  );
+
+  const handleClearMasterList = () => {
+    if (refuseWhenLocked()) return;
+    setMasterList(new Map());
+    const next = updateSession({ masterFileName: '', activity: withActivity('master-list', { change: 'clear' }) });
+    if (next.startedAt) saveMasterList(next.id, new Map()).catch(logStoreError);
+    pushSyncOps([masterListOp('', new Map())]);
+    // Every scan is excess now; the ones that counted an instrument are flagged
+    reResolveAgainst(new Map(), next.id);
+  };
+
+  const handleSnapshotImport = (records) => {
+    setPendingImport(null);
+    setLaterSnapshot(records);
+    updateSession({ laterSnapshot: { fileName: pendingImport.fileName, loadedAt: Date.now() } });
+    saveLaterSnapshot(session.id, records).catch(logStoreError);
+  };
+
+  const handleRemoveSnapshot = () => {
+    if (refuseWhenLocked()) return;
+    setLaterSnapshot(null);
+    updateSession({ laterSnapshot: null });
+    saveLaterSnapshot(session.id, null).catch(logStoreError);
+  };
+
+  // Mapped rows go straight in when they are clean; otherwise the validation
+  // report is shown so problems can be fixed or excluded first. A later
+  // on-hand export is only compared with the master list, so it is not checked.
+  const handleMappedRows = (entries) => {
+    if (pendingImport.target === 'snapshot') {
+      handleSnapshotImport(toMasterList(entries));
+      return;
+    }
+    const loaded = pendingImport.target === 'merge' ? masterList : null;
+    if (validateMasterRows(entries, normalize, loaded).length === 0) {
+      handleMappedImport(toMasterList(entries));
+      return;
+    }
+    setPendingImport(prev => ({ ...prev, entries }));
+  };
+
+  const handleCancelImport = () => {
+    setPendingImport(null);
+  };
 
   // Drag-and-drop and click upload handler
   const handleDrop = (event) => {
     event.preventDefault();
     if (event.dataTransfer.files && event.dataTransfer.files[0]) {
-      const file = event.dataTransfer.files[0];
-      setUploadedFile(file);
-      parseMasterList(file, setMasterList);
+      loadMasterFile(event.dataTransfer.files[0]);
     }
   };
 
@@ -56,123 +468,888 @@ const BarcodeReconciler = () => {
     event.preventDefault();
   };
 
-  // Handle successful QR/barcode scans
-  const onScanSuccess = (decodedText) => {
-    processNumber(decodedText);
-  };
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
 
-  // Initialize and cleanup QR scanner
+  // Start and stop the camera scanner. Starting and stopping are asynchronous,
+  // so they are chained to never overlap. The viewfinder is laid out when the
+  // camera starts, so the scanner is restarted after the device is rotated.
   useEffect(() => {
-    if (isUsingCamera) {
-      qrScanner.current = new Html5QrcodeScanner(
-        "qr-reader",
-        {
-          fps: 10,
-          qrbox: { width: 250, height: 250 },
-          aspectRatio: 1.0,
-          showTorchButtonIfSupported: true,
+    if (!isUsingCamera) return undefined;
+    let cancelled = false;
+    let pending = Promise.resolve();
+
+    const start = () => {
+      pending = pending.then(async () => {
+        if (cancelled) return;
+        const scanner = new Html5Qrcode('qr-reader', {
+          formatsToSupport: cameraSettings.formats.map(format => Html5QrcodeSupportedFormats[format]),
+          verbose: false,
+        });
+        qrScanner.current = scanner;
+        try {
+          await scanner.start(
+            cameraSettings.cameraId || { facingMode: 'environment' },
+            { fps: cameraSettings.fps, qrbox: scanBoxFor(cameraSettings.scanBoxSize), aspectRatio: 1.0 },
+            (decodedText) => cameraDecodeRef.current(decodedText),
+          );
+        } catch (error) {
+          console.error("Error starting camera:", error);
+          qrScanner.current = null;
+          scanner.clear();
+          if (!cancelled) {
+            setCameraProblem(describeCameraError(error));
+            setIsUsingCamera(false);
+          }
+          return;
         }
-      );
-      qrScanner.current.render(onScanSuccess);
-    } else if (qrScanner.current) {
-      qrScanner.current.clear();
-    }
+        try {
+          setTorch({ supported: scanner.getRunningTrackCameraCapabilities().torchFeature().isSupported(), on: false });
+        } catch {
+          // Cameras without track capabilities just get no torch button
+        }
+      });
+    };
+    const stop = () => {
+      pending = pending.then(async () => {
+        const scanner = qrScanner.current;
+        qrScanner.current = null;
+        if (!scanner) return;
+        try {
+          if (scanner.isScanning) await scanner.stop();
+          scanner.clear();
+        } catch (error) {
+          console.warn('Could not stop camera:', error);
+        }
+      });
+    };
 
-    return () => {
-      if (qrScanner.current) {
-        qrScanner.current.clear();
+    checkCameraAccess().then(problem => {
+      if (cancelled) return;
+      if (problem) {
+        setCameraProblem(problem);
+        setIsUsingCamera(false);
+      } else {
+        start();
       }
+    });
+    const unwatch = watchOrientation(() => {
+      stop();
+      start();
+    });
+
+    return () => {
+      cancelled = true;
+      unwatch();
+      stop();
+      setPendingCameraScan(null);
+      setTorch({ supported: false, on: false });
     };
-  }, [isUsingCamera]);
+  }, [isUsingCamera, cameraSettings]);
+
+  const handleCameraSettings = (settings) => {
+    setCameraSettings(settings);
+    saveCameraSettings(settings);
+  };
+
+  const handleToggleTorch = async () => {
+    try {
+      await qrScanner.current.getRunningTrackCameraCapabilities().torchFeature().apply(!torch.on);
+      setTorch(prev => ({ ...prev, on: !prev.on }));
+    } catch (error) {
+      console.warn('Could not switch the torch:', error);
+    }
+  };
 
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
+    event.target.value = '';
     if (file) {
-      setUploadedFile(file);
-      parseMasterList(file, setMasterList);
+      loadMasterFile(file);
     }
   };
 
-  const processNumber = (number) => {
-    if (!number) return;
-    
-    // Check for matching instrument or serial number in the master list
-    const normalizedNumber = number.trim().toUpperCase();
-    const match = masterList.find(item => {
-      const [instrNum, serialNum] = item.split(',').map(n => n.trim().toUpperCase());
-      return normalizedNumber === instrNum || normalizedNumber === serialNum;
+  // Session changes for events arriving in the scan log: the first one starts
+  // the session and moves it from open to counting
+  const countingStarted = (timestamp) => ({
+    startedAt: session.startedAt || timestamp,
+    ...(session.status === 'open' && { status: 'counting', countingStartedAt: timestamp }),
+  });
+
+  // Append an event to the scan log and persist it, starting the session if needed
+  const recordEvent = (fields) => {
+    const event = {
+      id: createId(),
+      timestamp: Date.now(),
+      counter: session.counterName,
+      deviceId,
+      ...(session.recount && !session.recount.completedAt && { phase: 'recount' }),
+      ...fields,
+    };
+    setScanEvents(prev => [...prev, event]);
+    const sessionId = session.startedAt && session.status !== 'open'
+      ? session.id
+      : updateSession(countingStarted(event.timestamp)).id;
+    saveScan(sessionId, event).catch(logStoreError);
+    pushSyncOps([{ type: 'event', event }]);
+    setResumeCandidate(null);
+    return event;
+  };
+
+  // Add imported scans from a batch terminal. Each import counts as its own
+  // device, so its location lines don't move this device's current location
+  // and Undo leaves it alone. Re-imported scans (same value and timestamp as
+  // an earlier import) are skipped. Scans without a timestamp that repeat
+  // earlier imports by content are only imported again once the user agrees.
+  const handleScanImport = ({ fileName, fingerprint, scans }) => {
+    if (refuseWhenLocked()) return;
+    if (session.blindMode && session.countingCompletedAt) {
+      alert('Counting has been declared complete. A supervisor must reopen counting before more scans are imported.');
+      return;
+    }
+    const importedScans = scanEvents.filter(event => event.source === 'import' && event.type === 'scan');
+
+    // The same file imported again was already confirmed in the import panel
+    let toImport = scans;
+    let prefixSkipped = 0;
+    const untimed = scans.filter(scan => scan.timestamp === null);
+    const sameFile = (session.scanImports || []).some(entry => entry.fingerprint === fingerprint);
+    if (untimed.length > 0 && !sameFile) {
+      const earlier = new Map();
+      importedScans.forEach(event => {
+        if (!earlier.has(event.importId)) earlier.set(event.importId, { fileName: event.importFile, values: [] });
+        earlier.get(event.importId).values.push(event.raw || event.value);
+      });
+      const overlap = findImportOverlap(untimed, [...earlier.values()]);
+      // A repeated start can only be cut off a file that has no timestamps at all
+      const prefix = untimed.length === scans.length ? overlap.prefix : null;
+      if (prefix) {
+        const rest = scansAfter(scans, prefix.cut);
+        if (window.confirm(
+          `The first ${prefix.count} scan(s) in ${fileName} repeat the earlier import ${prefix.fileName}. ` +
+          'Import only the scans after them?\n\nCancel to decide whether to import the whole file.',
+        )) {
+          toImport = rest;
+          prefixSkipped = scans.length - rest.length;
+        } else if (!window.confirm(`Import all of ${fileName}, counting the ${prefix.count} repeated scan(s) again?`)) {
+          return;
+        }
+      } else if (overlap.repeated > 0 && !window.confirm(
+        `${overlap.repeated} scan(s) in ${fileName} have the same value as scans imported before from ` +
+        `${overlap.fileNames.join(', ')}. Import them anyway? They will be counted again.`,
+      )) {
+        return;
+      }
+    }
+
+    const importId = createId();
+    const importedKey = (value, timestamp) => `${value.trim().toUpperCase()}|${timestamp}`;
+    const imported = new Set(importedScans.map(event => importedKey(event.raw || event.value, event.timestamp)));
+    const fresh = toImport.filter(scan => scan.timestamp === null || !imported.has(importedKey(scan.value, scan.timestamp)));
+    const { events, ambiguous } = buildScanEvents(fresh, matchIndex, {
+      source: 'import',
+      counter: session.counterName,
+      deviceId: `import:${importId}`,
+      extra: {
+        importId,
+        importFile: fileName,
+        ...(session.recount && !session.recount.completedAt && { phase: 'recount' }),
+      },
     });
+    const itemEvents = events.filter(event => event.type === 'scan');
 
-    if (match) {
-      // Use the instrument number for tracking, even if serial number was scanned
-      const instrumentNumber = match.split(',')[0].trim();
-      setScannedData(prev => ({
-        ...prev,
-        [instrumentNumber]: (prev[instrumentNumber] || 0) + 1,
-      }));
-      return true;
+    const next = updateSession({
+      ...(events.length > 0 ? countingStarted(Date.now()) : { startedAt: session.startedAt || Date.now() }),
+      activity: withActivity('scan-import', { importId, fileName, fingerprint, count: itemEvents.length }),
+      scanImports: [
+        ...(session.scanImports || []),
+        { id: importId, fileName, fingerprint, importedAt: Date.now(), count: itemEvents.length },
+      ],
+    });
+    if (events.length > 0) {
+      setScanEvents(prev => mergeEvents(prev, events));
+      saveScans(next.id, events).catch(logStoreError);
+      pushSyncOps(events.map(event => ({ type: 'event', event })));
     }
-    return false;
+    setResumeCandidate(null);
+
+    const lines = [`Imported ${itemEvents.length} scan(s) from ${fileName}.`];
+    if (!reportHidden) {
+      const unmatched = itemEvents.filter(event => !event.instrument).length;
+      if (unmatched > 0) lines.push(`${unmatched} not on the master list (added as excess).`);
+    }
+    if (prefixSkipped > 0) {
+      lines.push(`${prefixSkipped} line(s) repeating an earlier import, skipped.`);
+    }
+    if (fresh.length < toImport.length) {
+      lines.push(`${toImport.length - fresh.length} already imported before, skipped.`);
+    }
+    if (ambiguous.length > 0) {
+      lines.push(`${ambiguous.length} matched more than one record and were not imported:`);
+      ambiguous.slice(0, 10).forEach(scan => lines.push(`  ${scan.value} (${scan.candidates.join(', ')})`));
+      if (ambiguous.length > 10) lines.push(`  …and ${ambiguous.length - 10} more`);
+    }
+    alert(lines.join('\n'));
   };
 
-  const handleScan = (event) => {
-    if (event.key === 'Enter' || event.key === 'Tab') {
-      event.preventDefault();
-      const scannedNumber = event.target.value.trim();
-      if (processNumber(scannedNumber)) {
-        event.target.value = '';
-      } else {
-        alert('Number not found in master list. Please check and try again.');
+  const removeEvent = (eventId) => {
+    setScanEvents(prev => prev.filter(event => event.id !== eventId));
+    deleteScan(eventId).catch(logStoreError);
+    pushSyncOps([{ type: 'retract', id: eventId }]);
+  };
+
+  // Deleted events leave the scan log, so the deletion itself is logged
+  const handleDeleteEvent = (eventId) => {
+    if (refuseWhenLocked()) return;
+    const deleted = scanEvents.find(event => event.id === eventId);
+    if (deleted) updateSession({ activity: withActivity('delete-event', deleted) });
+    removeEvent(eventId);
+  };
+
+  // Undo this device's last event; other counters' scans are left alone
+  const handleUndo = () => {
+    if (refuseWhenLocked()) return;
+    const lastOwnEvent = [...scanEvents].reverse().find(event => isOwnEvent(event, deviceId));
+    if (lastOwnEvent) {
+      handleDeleteEvent(lastOwnEvent.id);
+      setLastScanMessage(null);
+    }
+  };
+
+  // Apply operations received from other devices in the shared count. A count
+  // under review or approved takes no changes: returning false leaves the sync
+  // cursor where it was, so the operations are received again once the count
+  // is back in counting. This device's own operations coming back are skipped.
+  const applyRemoteOps = (ops) => {
+    if (countingLocked) return false;
+    const fromOthers = ops.filter(op => (op.type === 'event' ? op.event.deviceId : op.deviceId) !== deviceId);
+    const events = fromOthers.filter(op => op.type === 'event').map(op => op.event);
+    const retractedIds = new Set(fromOthers.filter(op => op.type === 'retract').map(op => op.id));
+    const remoteMasterList = fromOthers.filter(op => op.type === 'master-list').pop();
+    const remoteRules = fromOthers.filter(op => op.type === 'tolerance-rules').pop();
+
+    const sessionId = session.id;
+    const startsCounting = events.length > 0 && session.status === 'open';
+    if (!session.startedAt || remoteMasterList || remoteRules || startsCounting) {
+      let activity = session.activity || [];
+      if (remoteMasterList) {
+        activity = withActivity('master-list', {
+          change: 'remote',
+          fileName: remoteMasterList.fileName,
+          counter: remoteMasterList.counter,
+          instruments: remoteMasterList.records.length,
+        }, activity);
+      }
+      if (remoteRules) {
+        activity = withActivity('tolerance-rules', {
+          change: 'remote',
+          counter: remoteRules.counter,
+          previous: toleranceRules,
+          rules: remoteRules.rules,
+        }, activity);
       }
+      updateSession({
+        ...(startsCounting ? countingStarted(Date.now()) : { startedAt: session.startedAt || Date.now() }),
+        ...(remoteMasterList && { masterFileName: remoteMasterList.fileName }),
+        ...(remoteRules && { toleranceRules: { ...DEFAULT_TOLERANCE_RULES, ...remoteRules.rules } }),
+        activity,
+      });
+    }
+
+    if (events.length > 0 || retractedIds.size > 0) {
+      setScanEvents(prev => mergeEvents(prev, events).filter(event => !retractedIds.has(event.id)));
+      events.forEach(event => saveScan(sessionId, event).catch(logStoreError));
+      retractedIds.forEach(id => deleteScan(id).catch(logStoreError));
+    }
+    if (remoteMasterList) {
+      const records = new Map(remoteMasterList.records.map(record => [record.instrument, record]));
+      setMasterList(records);
+      saveMasterList(sessionId, records).catch(logStoreError);
+      // Scans the other device had not received yet are only re-matched here
+      reResolveAgainst(records, sessionId, mergeEvents(scanEvents, events).filter(event => !retractedIds.has(event.id)));
     }
   };
 
-  const handleManualSubmit = (e) => {
-    e.preventDefault();
-    if (processNumber(manualNumber)) {
-      setManualNumber('');
+  const applyRemoteOpsRef = useRef(applyRemoteOps);
+  useEffect(() => {
+    applyRemoteOpsRef.current = applyRemoteOps;
+  });
+
+  // Operations refused while the count was locked are fetched again
+  const wasLockedRef = useRef(countingLocked);
+  useEffect(() => {
+    if (wasLockedRef.current && !countingLocked && syncClientRef.current) syncClientRef.current.resync();
+    wasLockedRef.current = countingLocked;
+  }, [countingLocked]);
+
+  const syncServerUrl = session.sync ? session.sync.serverUrl : null;
+  const syncCode = session.sync ? session.sync.code : null;
+  useEffect(() => {
+    if (!syncCode) return undefined;
+    const client = createSyncClient({
+      serverUrl: syncServerUrl,
+      code: syncCode,
+      sessionId: session.id,
+      onOps: (ops) => applyRemoteOpsRef.current(ops),
+      onStatusChange: setSyncStatus,
+    });
+    syncClientRef.current = client;
+    if (initialSyncOpsRef.current.length > 0) {
+      client.push(initialSyncOpsRef.current);
+      initialSyncOpsRef.current = [];
+    }
+    return () => {
+      client.close();
+      syncClientRef.current = null;
+    };
+  }, [syncServerUrl, syncCode, session.id]);
+
+  const handleJoinSync = async (serverUrl, code) => {
+    // Summary of the shared count, or null when joining offline
+    let remote = null;
+    if (!navigator.onLine) {
+      // Join now and let the sync client deliver once the connection returns.
+      // The local master list is only shared when the server is known to lack one.
+      if (!window.confirm(`You are offline. Join shared count ${code} now and send this device's scans when the connection returns?`)) {
+        return;
+      }
     } else {
-      alert('Number not found in master list. Please check and try again.');
+      try {
+        remote = await fetchSyncSession(serverUrl, code);
+      } catch (error) {
+        console.error("Error reaching sync server:", error);
+        alert('Could not reach the sync server. Check the address and that it is running.');
+        return;
+      }
+    }
+    if (remote && remote.hasMasterList && masterList.size > 0 &&
+        !window.confirm(`Shared count ${code} already uses master list ${remote.masterFileName}. Replace your local master list with it?`)) {
+      return;
+    }
+
+    const next = updateSession({ sync: { serverUrl, code }, startedAt: session.startedAt || Date.now() });
+    // Share what this device already has; the server ignores events it already knows
+    const ops = scanEvents.map(event => ({
+      type: 'event',
+      event: { ...event, deviceId: event.deviceId || deviceId, counter: event.counter || next.counterName },
+    }));
+    if (remote && !remote.hasMasterList && masterList.size > 0) {
+      ops.unshift(masterListOp(next.masterFileName, masterList));
     }
+    // The shared count's rules replace this device's; a count without any takes them
+    if (remote && !remote.hasToleranceRules) {
+      ops.unshift(toleranceRulesOp(toleranceRules));
+    }
+    initialSyncOpsRef.current = ops;
   };
 
-  const report = useMemo(() => {
-    const missing = [];
-    const excess = [];
-    const short = {};
-    const matched = [];
-
-    masterList.forEach(item => {
-      const actualCount = scannedData[item] || 0;
-      if (actualCount === 0) {
-        missing.push(item);
-      } else if (actualCount === 1) {
-        matched.push(item);
-      } else if (actualCount > 1) {
-        short[item] = actualCount;
-      }
+  const handleLeaveSync = () => {
+    if (window.confirm('Leave the shared count? Your scans stay on this device.')) {
+      updateSession({ sync: null });
+    }
+  };
+
+  const reportHidden = session.blindMode && unlockedSessionId !== session.id;
+
+  const handleEnableBlind = async (pin) => {
+    if (refuseWhenLocked()) return;
+    const supervisorPinHash = await hashPin(pin, session.id);
+    updateSession({
+      blindMode: true,
+      supervisorPinHash,
+      countingCompletedAt: null,
+      activity: withActivity('blind-mode', { enabled: true }),
     });
+    setUnlockedSessionId(null);
+  };
 
-    Object.keys(scannedData).forEach(item => {
-      if (!masterList.includes(item)) {
-        excess.push({
-          number: item,
-          count: scannedData[item]
-        });
+  const handleDisableBlind = async (pin) => {
+    if (refuseWhenLocked()) return undefined;
+    if (!(await checkPin(pin, session.id, session.supervisorPinHash))) return false;
+    updateSession({
+      blindMode: false,
+      supervisorPinHash: null,
+      countingCompletedAt: null,
+      activity: withActivity('blind-mode', { enabled: false }),
+    });
+    return true;
+  };
+
+  const handleUnlockReport = async (pin) => {
+    if (!(await checkPin(pin, session.id, session.supervisorPinHash))) return false;
+    setUnlockedSessionId(session.id);
+    return true;
+  };
+
+  const handleCompleteCounting = () => {
+    if (refuseWhenLocked()) return;
+    updateSession({ countingCompletedAt: Date.now(), activity: withActivity('counting-complete') });
+  };
+
+  const handleReopenCounting = () => {
+    if (refuseWhenLocked()) return;
+    updateSession({ countingCompletedAt: null, activity: withActivity('reopen-counting') });
+    setUnlockedSessionId(null);
+  };
+
+  const handleStartRecount = () => {
+    if (refuseWhenLocked()) return;
+    const items = buildRecountItems(report);
+    updateSession({
+      recount: { startedAt: Date.now(), completedAt: null, items, escalated: [...report.escalations.keys()] },
+      activity: withActivity('recount-start', { items: items.length, escalated: report.escalations.size }),
+    });
+  };
+
+  const handleMarkNotFound = (item) => {
+    if (refuseWhenLocked()) return;
+    recordEvent({
+      type: 'recount',
+      target: item.key,
+      instrument: item.instrument,
+      value: item.number,
+      outcome: 'not-found',
+    });
+  };
+
+  const handleFinishRecount = () => {
+    if (refuseWhenLocked()) return;
+    if (unsettledEscalations(report.escalations, session.recount, report.recount).length > 0) {
+      alert('Escalated items must be recounted or marked not found before the recount is finished.');
+      return;
+    }
+    updateSession({
+      recount: { ...session.recount, completedAt: Date.now() },
+      activity: withActivity('recount-finish'),
+    });
+  };
+
+  const handleSetQuantity = (instrument, quantity) => {
+    if (refuseWhenLocked()) return;
+    recordEvent({ type: 'set-quantity', instrument, quantity });
+  };
+
+  // The count goes to review once it names its counter (so the approver can be
+  // someone else) and a finished recount has settled each missing item
+  // escalated by the tolerance rules
+  const handleSubmitForReview = () => {
+    if (!hasCounterName(session)) {
+      alert('Enter the counter name before submitting the count for review.');
+      return;
+    }
+    const unsettled = unsettledEscalations(
+      report.escalations,
+      session.recount,
+      session.recount?.completedAt ? report.recount : null,
+    );
+    if (unsettled.length > 0) {
+      alert(
+        `${unsettled.length} escalated item(s) need a mandatory recount before the count is submitted for review: ` +
+        `${unsettled.slice(0, 10).join(', ')}${unsettled.length > 10 ? ', ...' : ''}`
+      );
+      return;
+    }
+    const submittedAt = Date.now();
+    updateSession({ status: 'review', submittedAt, activity: withActivity('submit-for-review') });
+  };
+
+  const handleReturnToCounting = () => {
+    updateSession({ status: 'counting', submittedAt: null, activity: withActivity('return-to-counting') });
+  };
+
+  // Freeze the count: the scan log and the activity log, closed by an
+  // approval entry with the report totals, are written to the audit trail
+  const handleApprove = async (approverName) => {
+    if (session.status !== 'review' || !mayApprove(session, approverName)) return;
+    const approvedAt = Date.now();
+    const approval = {
+      timestamp: approvedAt,
+      actor: approverName,
+      deviceId,
+      action: 'approve',
+      details: {
+        counterName: session.counterName,
+        site: session.site,
+        masterFileName: session.masterFileName,
+        totalExpected: report.totalExpected,
+        totalScanned: report.totalScanned,
+        matched: report.matched.length,
+        missing: report.missing.length,
+        short: report.short.length,
+        misplaced: report.misplaced.length,
+        excess: report.excess.length,
+      },
+    };
+    const activity = [...(session.activity || []), approval];
+    try {
+      const entries = await chainEntries([], approvalRecords(scanEvents, activity));
+      await appendAuditEntries(session.id, entries);
+      updateSession({
+        status: 'approved',
+        approverName,
+        approvedAt,
+        activity,
+        audit: { entryCount: entries.length, headHash: entries[entries.length - 1].hash, frozenAt: approvedAt },
+      });
+    } catch (error) {
+      console.error("Error writing audit trail:", error);
+      alert("Error approving the count. Check console.");
+    }
+  };
+
+  const handleCloseCount = async () => {
+    const closedAt = Date.now();
+    const record = { timestamp: closedAt, actor: session.approverName, deviceId, action: 'close', details: null };
+    try {
+      const trail = await loadAuditTrail(session.id);
+      const entries = await chainEntries(trail, [record]);
+      await appendAuditEntries(session.id, entries);
+      updateSession({
+        status: 'closed',
+        closedAt,
+        activity: [...(session.activity || []), record],
+        audit: { ...session.audit, entryCount: trail.length + 1, headHash: entries[0].hash },
+      });
+    } catch (error) {
+      console.error("Error writing audit trail:", error);
+      alert("Error closing the count. Check console.");
+    }
+  };
+
+  // The stored trail must hash correctly and end where the session says it does
+  const handleVerifyAuditTrail = async () => {
+    try {
+      const trail = await loadAuditTrail(session.id);
+      const { valid, brokenAt } = await verifyAuditTrail(trail);
+      const head = trail.length > 0 ? trail[trail.length - 1].hash : null;
+      if (!valid) {
+        alert(`The audit trail has been altered: entry ${brokenAt} does not match its hash.`);
+      } else if (!session.audit || head !== session.audit.headHash || trail.length !== session.audit.entryCount) {
+        alert('The audit trail is incomplete: entries are missing from the end.');
+      } else {
+        alert(`The audit trail is intact: ${trail.length} entries, head hash ${head}.`);
       }
+    } catch (error) {
+      console.error("Error loading audit trail:", error);
+      alert("Error loading the audit trail. Check console.");
+    }
+  };
+
+  // Accuracy of up to `limit` earlier counts at this site, most recent first.
+  // Counts without a master list have nothing to compare and are skipped.
+  const loadAccuracyHistory = async (limit) => {
+    const results = [];
+    for (const past of pastCountsAt(sessions, session.site, session.id, Infinity)) {
+      if (results.length >= limit) break;
+      const saved = await loadSession(past.id);
+      if (saved.session && saved.masterList.size > 0) results.push(sessionAccuracy(saved));
+    }
+    return results;
+  };
+
+  const handleDownloadXlsx = async () => {
+    try {
+      downloadReportXlsx(shown, session, session.audit ? await loadAuditTrail(session.id) : null);
+    } catch (error) {
+      console.error("Error loading audit trail:", error);
+      alert("Error loading the audit trail. Check console.");
+    }
+  };
+
+  const handleDownloadAuditTrail = async () => {
+    try {
+      downloadAuditTrail(await loadAuditTrail(session.id), session);
+    } catch (error) {
+      console.error("Error loading audit trail:", error);
+      alert("Error loading the audit trail. Check console.");
+    }
+  };
+
+  const normalize = useMemo(() => createNormalizer(matchingRules), [matchingRules]);
+  const matchIndex = useMemo(() => buildMatchIndex(masterList, normalize), [masterList, normalize]);
+
+  const handleSaveRules = (rules) => {
+    setMatchingRules(rules);
+    saveRules(rules);
+  };
+
+  // Rule changes decide which items need a mandatory recount, so they are
+  // logged and shared with the other devices in the count
+  const handleSaveToleranceRules = (rules) => {
+    if (refuseWhenLocked()) return;
+    updateSession({
+      toleranceRules: rules,
+      activity: withActivity('tolerance-rules', { previous: toleranceRules, rules }),
     });
+    pushSyncOps([toleranceRulesOp(rules)]);
+  };
+
+  // Show a scan result and signal it by sound, vibration and flash, then put
+  // the cursor back in the scan field so the next scan isn't lost
+  const announce = (message, outcome) => {
+    setLastScanMessage(message);
+    if (signalOutcome(outcome, feedbackSettings)) setFlash({ id: createId(), outcome });
+    if (scanInputRef.current) scanInputRef.current.focus();
+  };
+
+  const clearFlash = useCallback(() => setFlash(null), []);
+
+  const handleFeedbackSettings = (settings) => {
+    setFeedbackSettings(settings);
+    saveFeedbackSettings(settings);
+  };
+
+  const handleTestFeedback = (outcome) => {
+    if (signalOutcome(outcome, { ...feedbackSettings, muted: {} })) setFlash({ id: createId(), outcome });
+  };
+
+  // Whether a scan would count the record (or excess number) a second time.
+  // In an open recount, a number's first recount scan starts its count afresh.
+  const isAlreadyCounted = (match, recorded) => {
+    const state = reportStateRef.current;
+    if (!state) return false;
+    const key = match ? match.instrument : `excess:${recorded}`;
+    if (session.recount && !session.recount.completedAt && !state.recounted.has(key)) return false;
+    return match ? (state.counts.get(match.instrument) || 0) > 0 : state.excessByNumber.has(recorded);
+  };
+
+  // Re-record an excess scan against the master record the counter picked
+  // from the "did you mean" suggestions. The new event keeps the scanned value
+  // in correctedFrom, so the replaced excess scan needs no deletion entry.
+  const handleAcceptSuggestion = (scan, record) => {
+    if (refuseWhenLocked()) return;
+    removeEvent(scan.id);
+    recordEvent({
+      ...scan,
+      id: createId(),
+      timestamp: Date.now(),
+      instrument: record.instrument,
+      correctedFrom: scan.value,
+    });
+    announce({ type: 'matched', text: `${scan.value} recorded as ${record.instrument}.` }, 'matched');
+  };
+
+  const locationIndex = useMemo(() => buildLocationIndex(masterList), [masterList]);
+  const currentLocation = currentLocationOf(scanEvents, deviceId);
+
+  const setCurrentLocation = (location, source) => {
+    recordEvent({ type: 'location', value: location || '', location: location || null, source });
+    announce({
+      type: 'location',
+      text: location ? `Now counting location ${location}.` : 'Current location cleared.',
+    }, 'location');
+  };
+
+  // Record a scan event for `input` ({ value, recorded, gs1, source, location })
+  // against the matched master record, or as excess when there is none
+  const recordScan = (input, match) => {
+    // A choice between ambiguous matches may have been shown before the count was locked
+    if (refuseWhenLocked()) return false;
+    const { value, recorded, gs1, source, location } = input;
+    const duplicate = isAlreadyCounted(match, recorded);
+    const scan = recordEvent({
+      type: 'scan',
+      value: recorded,
+      // Use the instrument number for tracking, even if serial number was scanned
+      instrument: match ? match.instrument : null,
+      source,
+      location,
+      ...(gs1 && { raw: value, gs1: gs1.fields }),
+    });
+    const details = gs1 ? `GS1: ${formatGs1(gs1.fields)}` : null;
+
+    if (session.blindMode) {
+      // Counters in a blind count only learn that the scan was taken
+      announce({
+        type: 'recorded',
+        text: duplicate ? `${scan.value} recorded again.` : `${scan.value} recorded.`,
+        details,
+      }, duplicate ? 'duplicate' : 'recorded');
+      return Boolean(match);
+    }
+    if (match) {
+      const wrongLocation = scan.location && match.location && scan.location !== match.location;
+      if (wrongLocation) {
+        announce({ type: 'excess', text: `${match.instrument} recorded, but it belongs in ${match.location}.`, details }, 'misplaced');
+      } else if (duplicate) {
+        announce({ type: 'excess', text: `${match.instrument} was already counted. Recorded again.`, details }, 'duplicate');
+      } else {
+        announce({ type: 'matched', text: `${match.instrument} recorded.`, details }, 'matched');
+      }
+      return true;
+    }
+    announce({
+      type: 'excess',
+      text: duplicate
+        ? `${scan.value} is not in the master list and was already scanned. Recorded as excess again.`
+        : `${scan.value} is not in the master list. Recorded as excess.`,
+      details,
+      scan,
+      suggestions: suggestMatches(matchIndex, scan.value),
+    }, duplicate ? 'duplicate' : 'unknown');
+    return false;
+  };
+
+  // Record a scan from the given input source ('wedge', 'camera' or 'manual').
+  // Returns true when the number matched the master list; anything else is
+  // recorded as a potential excess item rather than rejected. In location mode
+  // a location barcode switches the current location instead. A value that
+  // matches more than one record is held until the counter picks the right one.
+  const processNumber = (number, source) => {
+    const value = (number || '').trim();
+    if (!value) return false;
+    if (countingLocked) {
+      announce({
+        type: 'excess',
+        text: session.status === 'review'
+          ? 'This count is under review. Return it to counting before recording more scans.'
+          : 'This count has been approved. No more scans are recorded.',
+      }, 'unknown');
+      return false;
+    }
+    if (session.blindMode && session.countingCompletedAt) {
+      announce({
+        type: 'excess',
+        text: 'Counting has been declared complete. A supervisor must reopen counting before more scans are recorded.',
+      }, 'unknown');
+      return false;
+    }
 
-    const totalScanned = Object.values(scannedData).reduce((sum, count) => sum + count, 0);
+    const isPrefixedLocation = value.toUpperCase().startsWith(LOCATION_PREFIX);
+    const { gs1, recorded, matches } = isPrefixedLocation
+      ? { gs1: null, recorded: value.toUpperCase(), matches: [] }
+      : matchScan(value, matchIndex);
+    if (session.locationMode && matches.length === 0 && !gs1) {
+      const location = resolveLocation(value, locationIndex);
+      if (location) {
+        setCurrentLocation(location, source);
+        return true;
+      }
+    }
 
-    return {
-      totalExpected: masterList.length,
-      totalScanned: totalScanned,
-      missing,
-      excess,
-      short,
-      matched,
+    const input = {
+      value,
+      recorded,
+      gs1,
+      source,
+      location: session.locationMode ? currentLocation : null,
     };
-  }, [masterList, scannedData]);
+    if (matches.length > 1) {
+      announce({
+        type: 'ambiguous',
+        text: session.blindMode
+          ? `Which item did you scan as ${input.recorded}?`
+          : `${input.recorded} matches ${matches.length} records. Choose the one you scanned.`,
+        details: gs1 ? `GS1: ${formatGs1(gs1.fields)}` : null,
+        input,
+        choices: matches,
+      }, 'ambiguous');
+      return false;
+    }
+    return recordScan(input, matches[0] || null);
+  };
+
+  const updateExcessReview = (number, changes) => {
+    if (refuseWhenLocked()) return;
+    const { excessReview } = session;
+    updateSession({
+      excessReview: {
+        ...excessReview,
+        [number]: { status: null, note: '', ...excessReview[number], ...changes },
+      },
+      activity: withActivity('excess-review', { number, ...changes }),
+    });
+  };
+
+  // A camera decode. The decoder fires on every frame it can read, so repeats
+  // of the code just seen are dropped until the label has been out of view for
+  // the debounce window. In tap-to-confirm mode the scanner pauses on the
+  // frame until the counter records or skips the value.
+  const handleCameraDecode = (decodedText) => {
+    const now = Date.now();
+    const repeat = isRepeatDecode(lastDecodeRef.current, decodedText, now, cameraSettings.debounceMs);
+    lastDecodeRef.current = { value: decodedText, at: now };
+    if (repeat) return;
+    if (cameraSettings.confirmScans) {
+      if (qrScanner.current) qrScanner.current.pause(true);
+      setPendingCameraScan(decodedText);
+      return;
+    }
+    processNumber(decodedText, 'camera');
+  };
+
+  const handleResolveCameraScan = (confirmed) => {
+    if (confirmed) processNumber(pendingCameraScan, 'camera');
+    setPendingCameraScan(null);
+    // Restart the debounce so the label still in view isn't offered again at once
+    lastDecodeRef.current = { value: pendingCameraScan, at: Date.now() };
+    if (qrScanner.current && qrScanner.current.getState() === Html5QrcodeScannerState.PAUSED) {
+      qrScanner.current.resume();
+    }
+  };
+
+  // The camera callback is registered once per scanner instance, so route it
+  // through a ref to always reach the handler of the latest render.
+  const cameraDecodeRef = useRef(handleCameraDecode);
+  useEffect(() => {
+    cameraDecodeRef.current = handleCameraDecode;
+  });
+
+  const handleScan = (event) => {
+    if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault();
+      processNumber(event.target.value, 'wedge');
+      event.target.value = '';
+    }
+  };
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    processNumber(manualNumber, 'manual');
+    setManualNumber('');
+  };
+
+  // The report is derived from the scan log incrementally: the state object
+  // survives renders and is only extended by the events added since
+  const reportStateRef = useRef(null);
+  const movement = useMemo(
+    () => (laterSnapshot ? buildMovement(masterList, laterSnapshot, normalize) : null),
+    [masterList, laterSnapshot, normalize],
+  );
+
+  const { excessReview, recount } = session;
+  const report = useMemo(() => {
+    reportStateRef.current = updateReportState(reportStateRef.current, masterList, scanEvents);
+    const snapshot = snapshotReport(reportStateRef.current, excessReview);
+    return completeReport(snapshot, { events: scanEvents, movement, recount, tolerance: toleranceRules });
+  }, [masterList, scanEvents, excessReview, recount, movement, toleranceRules]);
+
+  // The report as filtered on screen; the exports use the same view
+  const scanIndex = useMemo(() => buildScanIndex(scanEvents), [scanEvents]);
+  const filterCacheRef = useRef(new Map());
+  const shown = useMemo(
+    () => filterReport(report, reportFilter, scanIndex, filterCacheRef.current),
+    [report, reportFilter, scanIndex],
+  );
+  const filterLocations = useMemo(() => reportLocations(report, scanIndex), [report, scanIndex]);
+  const shrink = useMemo(() => valueSummary(shown), [shown]);
+  const groupsOf = (rows) => groupRows(rows, reportFilter.groupBy, scanIndex);
+  const countText = (shownCount, totalCount) => (
+    isFiltered(reportFilter) ? `Count: ${shownCount} of ${totalCount}` : `Count: ${totalCount}`
+  );
+  const showSection = (key) => reportFilter.sections.includes(key);
+  // Missing lines with group headers in between, for the virtualized list
+  const missingRows = groupsOf(shown.missing).flatMap(group => [
+    ...(group.label !== null ? [{ header: true, key: `group:${group.key}`, label: group.label, count: group.rows.length }] : []),
+    ...group.rows.map(record => ({ header: false, key: record.instrument, record })),
+  ]);
 
   return (
         <div style={{ 
@@ -188,20 +1365,112 @@ const BarcodeReconciler = () => {
         background: 'linear-gradient(135deg, #003087 0%, #0057b8 100%)',
         WebkitBackgroundClip: 'text',
         WebkitTextFillColor: 'transparent',
-        marginBottom: '24px',
-        fontSize: '2.5rem',
-        fontWeight: '700',
-        letterSpacing: '-0.025em',
-        textAlign: 'center',
         marginBottom: '30px',
         fontSize: '2.5rem',
         fontWeight: '600',
         letterSpacing: '-0.5px',
         textAlign: 'center',
-        background: 'linear-gradient(135deg, #003087 0%, #0057b8 100%)',
-        WebkitBackgroundClip: 'text',
-        WebkitTextFillColor: 'transparent',
       }}>Serialized Cycle Count</h1>
+
+      <ScanFlash flash={flash} onDone={clearFlash} />
+
+      {!isOnline && (
+        <p style={{
+          padding: '8px 12px',
+          borderRadius: '8px',
+          textAlign: 'left',
+          ...SCAN_MESSAGE_COLORS.excess
+        }}>
+          You are offline. The count keeps working and is saved on this device
+          {session.sync ? '; scans are sent to the shared count when the connection returns.' : '.'}
+        </p>
+      )}
+
+      {resumeCandidate && (
+        <div style={{
+          padding: '16px 20px',
+          marginBottom: '16px',
+          borderRadius: '12px',
+          backgroundColor: 'rgba(0, 87, 184, 0.08)',
+          border: '1px solid rgba(0, 87, 184, 0.2)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '12px',
+          flexWrap: 'wrap'
+        }}>
+          <span style={{ flex: 1, textAlign: 'left' }}>
+            Resume the count started {new Date(resumeCandidate.startedAt).toLocaleString()}
+            {resumeCandidate.counterName && ` by ${resumeCandidate.counterName}`}
+            {resumeCandidate.site && ` at ${resumeCandidate.site}`}?
+          </span>
+          <button
+            type="button"
+            onClick={() => handleReopenSession(resumeCandidate.id)}
+            style={{
+              padding: '8px 16px',
+              background: 'linear-gradient(135deg, #003087 0%, #0057b8 100%)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: 'pointer'
+            }}
+          >
+            Resume
+          </button>
+          <button
+            type="button"
+            onClick={() => setResumeCandidate(null)}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: 'white',
+              color: '#0057b8',
+              border: '1px solid rgba(0, 87, 184, 0.3)',
+              borderRadius: '8px',
+              cursor: 'pointer'
+            }}
+          >
+            Start Fresh
+          </button>
+        </div>
+      )}
+
+      <SessionPanel
+        session={session}
+        sessions={sessions}
+        onUpdate={updateSession}
+        onStartNew={handleStartNew}
+        onReopen={handleReopenSession}
+        onArchive={handleArchiveSession}
+        onDelete={handleDeleteSession}
+        locked={isFrozen(session)}
+      />
+      <SyncPanel
+        sync={session.sync}
+        status={syncStatus}
+        onJoin={handleJoinSync}
+        onLeave={handleLeaveSync}
+      />
+      <BlindCountPanel
+        key={session.id}
+        session={session}
+        unlocked={!reportHidden}
+        onEnable={handleEnableBlind}
+        onDisable={handleDisableBlind}
+        onComplete={handleCompleteCounting}
+        onUnlock={handleUnlockReport}
+        onLock={() => setUnlockedSessionId(null)}
+        onReopen={handleReopenCounting}
+      />
+      <LifecyclePanel
+        key={`lifecycle-${session.id}`}
+        session={session}
+        reportHidden={reportHidden}
+        onSubmit={handleSubmitForReview}
+        onReturn={handleReturnToCounting}
+        onApprove={handleApprove}
+        onClose={handleCloseCount}
+        onVerify={handleVerifyAuditTrail}
+      />
       
       <h2 style={{ 
         color: '#0057b8',
@@ -223,53 +1492,89 @@ const BarcodeReconciler = () => {
       }}>
         Export On-Hand Inventory In DAX and upload it from a browser or from your phone. Do not change anything other than filtering out non counted locations or non-serialized inventory.
       </p>
-      <div
-        onDrop={handleDrop}
-        onDragOver={handleDragOver}
-        style={{
-          border: '2px dashed #0057b8',
-          borderRadius: '12px',
-          padding: '40px',
-          textAlign: 'center',
-          background: 'linear-gradient(to bottom, #f8f9ff 0%, #ffffff 100%)',
-          marginBottom: '24px',
-          cursor: masterList.length > 0 ? 'not-allowed' : 'pointer',
-          opacity: masterList.length > 0 ? 0.5 : 1,
-          transition: 'all 0.2s ease-in-out',
-          boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)',
-          '&:hover': {
-            borderColor: '#003087',
-            background: 'linear-gradient(to bottom, #f0f4ff 0%, #ffffff 100%)',
-            boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
-          }
-        }}
-        title={masterList.length > 0 ? 'Master list already loaded' : 'Drag and drop or click to upload'}
-        onClick={() => {
-          if (masterList.length === 0) {
-            document.getElementById('masterlist-upload').click();
-          }
-        }}
-      >
-        <input
-          id="masterlist-upload"
-          type="file"
-          accept=".csv,.xlsx,.xls,.txt"
-          style={{ display: 'none' }}
-          onChange={handleFileUpload}
-          disabled={masterList.length > 0}
+      {masterList.size > 0 ? (
+        <MasterListPanel
+          masterList={masterList}
+          sourceFiles={sourceFilesOf(masterList).length > 0 ? sourceFilesOf(masterList) : [session.masterFileName].filter(Boolean)}
+          hidden={reportHidden}
+          flaggedScans={flaggedScans}
+          onMerge={(file) => loadMasterFile(file, 'merge')}
+          onReplace={(file) => loadMasterFile(file, 'master')}
+          onClear={handleClearMasterList}
         />
-        {uploadedFile ? (
-          <div>
-            <strong>Uploaded:</strong> {uploadedFile.name}
-          </div>
-        ) : (
-          <div>
-            <span role="img" aria-label="upload">📤</span> <br />
-            <span>Drag and drop or click to upload your masterlist (.csv, .xlsx, .xls, .txt)</span>
-          </div>
-        )}
-      </div>
-      <p>Expected Instruments Loaded: <strong>{report.totalExpected}</strong></p>
+      ) : (
+        <div
+          onDrop={handleDrop}
+          onDragOver={handleDragOver}
+          style={{
+            border: '2px dashed #0057b8',
+            borderRadius: '12px',
+            padding: '40px',
+            textAlign: 'center',
+            background: 'linear-gradient(to bottom, #f8f9ff 0%, #ffffff 100%)',
+            marginBottom: '24px',
+            cursor: 'pointer',
+            transition: 'all 0.2s ease-in-out',
+            boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)',
+            '&:hover': {
+              borderColor: '#003087',
+              background: 'linear-gradient(to bottom, #f0f4ff 0%, #ffffff 100%)',
+              boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
+            }
+          }}
+          title="Drag and drop or click to upload"
+          onClick={() => document.getElementById('masterlist-upload').click()}
+        >
+          <input
+            id="masterlist-upload"
+            type="file"
+            accept=".csv,.xlsx,.xls,.txt"
+            style={{ display: 'none' }}
+            onChange={handleFileUpload}
+          />
+          {pendingImport && pendingImport.target === 'master' ? (
+            <div>
+              <strong>Uploaded:</strong> {pendingImport.fileName}
+            </div>
+          ) : (
+            <div>
+              <span role="img" aria-label="upload">📤</span> <br />
+              <span>Drag and drop or click to upload your masterlist (.csv, .xlsx, .xls, .txt)</span>
+            </div>
+          )}
+        </div>
+      )}
+      {pendingImport && !pendingImport.entries && (
+        <ColumnMapping
+          key={pendingImport.fileName}
+          importData={pendingImport}
+          onImport={handleMappedRows}
+          onCancel={handleCancelImport}
+        />
+      )}
+      {pendingImport && pendingImport.entries && (
+        <ImportValidation
+          fileName={pendingImport.fileName}
+          entries={pendingImport.entries}
+          normalize={normalize}
+          loaded={pendingImport.target === 'merge' ? masterList : null}
+          onImport={handleMappedImport}
+          onBack={() => setPendingImport(prev => ({ ...prev, entries: null }))}
+          onCancel={handleCancelImport}
+        />
+      )}
+      {masterList.size > 0 && !pendingImport && (
+        <InventorySnapshot
+          snapshot={laterSnapshot && session.laterSnapshot}
+          movement={movement}
+          onLoadFile={(file) => loadMasterFile(file, 'snapshot')}
+          onRemove={handleRemoveSnapshot}
+        />
+      )}
+      <p>
+        Expected Instruments Loaded:{' '}
+        <strong>{reportHidden ? (masterList.size > 0 ? 'Hidden for blind count' : 0) : report.totalExpected}</strong>
+      </p>
       <hr />
 
       <h2 style={{ 
@@ -283,7 +1588,10 @@ const BarcodeReconciler = () => {
       }}>2. Scan Barcodes</h2>
       <div style={{ marginBottom: '20px' }}>
         <button
-          onClick={() => setIsUsingCamera(!isUsingCamera)}
+          onClick={() => {
+            setCameraProblem(null);
+            setIsUsingCamera(!isUsingCamera);
+          }}
           style={{
             padding: '12px 24px',
             marginBottom: '15px',
@@ -332,12 +1640,100 @@ const BarcodeReconciler = () => {
         </button>
       </div>
 
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px',
+        flexWrap: 'wrap',
+        marginBottom: '20px',
+        padding: '12px 16px',
+        borderRadius: '8px',
+        backgroundColor: session.locationMode ? 'rgba(0, 87, 184, 0.08)' : 'transparent',
+        border: '1px solid rgba(0, 87, 184, 0.1)'
+      }}>
+        <label>
+          <input
+            type="checkbox"
+            checked={session.locationMode}
+            onChange={(e) => updateSession({ locationMode: e.target.checked })}
+          />{' '}
+          Location mode
+        </label>
+        {session.locationMode && (
+          <>
+            <span>
+              Current location: <strong>{currentLocation || 'None'}</strong>
+            </span>
+            {locationIndex.size > 0 && (
+              <select
+                value={currentLocation || ''}
+                onChange={(e) => setCurrentLocation(e.target.value, 'manual')}
+              >
+                <option value="">— Pick location —</option>
+                {[...locationIndex.values()].sort().map(location => (
+                  <option key={location} value={location}>{location}</option>
+                ))}
+              </select>
+            )}
+            {currentLocation && (
+              <button type="button" onClick={() => setCurrentLocation(null, 'manual')} style={exportButtonStyle}>
+                Clear Location
+              </button>
+            )}
+            <span style={{ width: '100%', color: '#666', fontSize: '0.85rem', textAlign: 'left' }}>
+              Scan a bin label (a location from the master list or any code starting with {LOCATION_PREFIX}) before its contents.
+            </span>
+          </>
+        )}
+      </div>
+
+      <MatchingRules rules={matchingRules} onSave={handleSaveRules} />
+
+      <ToleranceRules
+        key={`${session.id}:${JSON.stringify(toleranceRules)}`}
+        rules={toleranceRules}
+        onSave={handleSaveToleranceRules}
+      />
+
+      <CameraSettings settings={cameraSettings} onChange={handleCameraSettings} />
+
+      <FeedbackSettings settings={feedbackSettings} onChange={handleFeedbackSettings} onTest={handleTestFeedback} />
+
+      <ScanImport imports={session.scanImports || []} onImport={handleScanImport} />
+
+      {cameraProblem && (
+        <p style={{ padding: '8px 12px', borderRadius: '8px', ...SCAN_MESSAGE_COLORS.excess }}>{cameraProblem}</p>
+      )}
       {isUsingCamera ? (
-        <div id="qr-reader" style={{ width: '100%', maxWidth: '600px', margin: '0 auto' }}></div>
+        <div style={{ marginBottom: '20px' }}>
+          <div id="qr-reader" style={{ width: '100%', maxWidth: '600px', margin: '0 auto' }}></div>
+          {pendingCameraScan && (
+            <p style={{
+              display: 'flex',
+              gap: '8px',
+              flexWrap: 'wrap',
+              alignItems: 'center',
+              justifyContent: 'center',
+              padding: '8px 12px',
+              borderRadius: '8px',
+              ...SCAN_MESSAGE_COLORS.location
+            }}>
+              Record <strong>{pendingCameraScan}</strong>?
+              <button type="button" onClick={() => handleResolveCameraScan(true)} style={exportButtonStyle}>Record</button>
+              <button type="button" onClick={() => handleResolveCameraScan(false)} style={exportButtonStyle}>Skip</button>
+            </p>
+          )}
+          {torch.supported && (
+            <button type="button" onClick={handleToggleTorch} style={{ ...exportButtonStyle, marginTop: '8px' }}>
+              {torch.on ? 'Torch Off' : 'Torch On'}
+            </button>
+          )}
+        </div>
       ) : isManualEntry ? (
         <form onSubmit={handleManualSubmit} style={{ marginBottom: '20px' }}>
           <div style={{ marginBottom: '12px' }}>
             <input
+              ref={scanInputRef}
               type="text"
               value={manualNumber}
               onChange={(e) => setManualNumber(e.target.value)}
@@ -376,277 +1772,585 @@ const BarcodeReconciler = () => {
         </form>
       ) : (
         <>
-          <p>Click the box below and start scanning. You can scan either the instrument number or manufacturer's serial number.</p>
-          <input
-            ref={scanInputRef}
-            type="text"
-            placeholder="Scan Instrument or Serial Number..."
-            style={{
-              width: '100%',
-              maxWidth: '400px',
-              padding: '12px 16px',
-              fontSize: '1.125rem',
-              borderRadius: '8px',
-              border: '2px solid #e2e8f0',
-              transition: 'all 0.2s ease-in-out',
-              outline: 'none',
-              boxSizing: 'border-box',
-              '&:focus': {
-                borderColor: '#0057b8',
-                boxShadow: '0 0 0 3px rgba(0, 87, 184, 0.1)'
-              }
-            }}
-            onKeyDown={handleScan}
-            autoFocus
-          />
-        </>
-      )}
-      <p>Total Scans Received: <strong>{report.totalScanned}</strong></p>
-      <hr />
-
-      <h2 style={{ 
-        color: '#0057b8',
-        fontSize: '1.75rem',
-        fontWeight: '600',
-        marginTop: '32px',
-        marginBottom: '16px',
-        borderBottom: '2px solid rgba(0, 87, 184, 0.2)',
-        paddingBottom: '8px'
-      }}>3. Reconciliation Report</h2>
-      
-      <div style={{
-        backgroundColor: '#f8faff',
-        borderRadius: '12px',
-        padding: '24px',
-        marginBottom: '32px',
-        boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)',
-        border: '1px solid rgba(0, 87, 184, 0.1)'
-      }}>
-        <h3 style={{ 
-          color: '#003087',
-          fontSize: '1.25rem',
-          fontWeight: '600',
-          marginBottom: '16px'
-        }}>Summary</h3>
-        <div style={{
-          display: 'grid',
-          gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
-          gap: '16px',
-          marginBottom: '8px'
-        }}>
-          <div style={{
-            padding: '16px',
-            backgroundColor: 'white',
-            borderRadius: '8px',
-            border: '1px solid rgba(0, 87, 184, 0.1)'
-          }}>
-            <div style={{ color: '#666', marginBottom: '4px' }}>Total Expected</div>
-            <div style={{ fontSize: '1.5rem', fontWeight: '600', color: '#003087' }}>{report.totalExpected}</div>
-          </div>
-          <div style={{
-            padding: '16px',
-            backgroundColor: 'white',
+            <p>Click the box below and start scanning. You can scan either the instrument number or manufacturer's serial number.</p>
+            <input
+              ref={scanInputRef}
+              type="text"
+              placeholder="Scan Instrument or Serial Number..."
+              style={{
+                width: '100%',
+                maxWidth: '400px',
+                padding: '12px 16px',
+                fontSize: '1.125rem',
+                borderRadius: '8px',
+                border: '2px solid #e2e8f0',
+                transition: 'all 0.2s ease-in-out',
+                outline: 'none',
+                boxSizing: 'border-box',
+                '&:focus': {
+                  borderColor: '#0057b8',
+                  boxShadow: '0 0 0 3px rgba(0, 87, 184, 0.1)'
+                }
+              }}
+              onKeyDown={handleScan}
+              autoFocus
+            />
+          </>
+        )}
+        {lastScanMessage && (
+          <p style={{
+            padding: '8px 12px',
             borderRadius: '8px',
-            border: '1px solid rgba(0, 87, 184, 0.1)'
+            ...SCAN_MESSAGE_COLORS[lastScanMessage.type]
           }}>
-            <div style={{ color: '#666', marginBottom: '4px' }}>Total Scanned</div>
-            <div style={{ fontSize: '1.5rem', fontWeight: '600', color: '#003087' }}>{report.totalScanned}</div>
+            {lastScanMessage.text}
+            {lastScanMessage.details && (
+              <span style={{ display: 'block', fontSize: '0.85rem', color: '#4a5568', fontFamily: 'monospace' }}>
+                {lastScanMessage.details}
+              </span>
+            )}
+            {lastScanMessage.suggestions && lastScanMessage.suggestions.length > 0 && (
+              <span style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginTop: '8px' }}>
+                Did you mean:
+                {lastScanMessage.suggestions.map(record => (
+                  <button
+                    key={record.instrument}
+                    type="button"
+                    onClick={() => handleAcceptSuggestion(lastScanMessage.scan, record)}
+                    style={{ ...exportButtonStyle, padding: '4px 10px', fontSize: '0.85rem' }}
+                  >
+                    {record.instrument}{record.serial && ` (S/N ${record.serial})`}
+                  </button>
+                ))}
+              </span>
+            )}
+            {lastScanMessage.choices && (
+              <span style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginTop: '8px' }}>
+                {lastScanMessage.choices.map(record => (
+                  <button
+                    key={record.instrument}
+                    type="button"
+                    onClick={() => recordScan(lastScanMessage.input, record)}
+                    style={{ ...exportButtonStyle, padding: '4px 10px', fontSize: '0.85rem' }}
+                  >
+                    {record.instrument}{record.serial && ` (S/N ${record.serial})`}
+                    {record.location && ` · ${record.location}`}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => recordScan(lastScanMessage.input, null)}
+                  style={{ ...exportButtonStyle, padding: '4px 10px', fontSize: '0.85rem' }}
+                >
+                  None of these
+                </button>
+              </span>
+            )}
+          </p>
+        )}
+        <p>Total Scans Received: <strong>{report.totalScanned}</strong></p>
+        <ScanHistory
+          events={scanEvents}
+          masterList={masterList}
+          deviceId={deviceId}
+          onUndo={handleUndo}
+          onDelete={handleDeleteEvent}
+          onSetQuantity={handleSetQuantity}
+          blind={reportHidden}
+        />
+        <hr />
+
+        <h2 style={{ 
+          color: '#0057b8',
+          fontSize: '1.75rem',
+          fontWeight: '600',
+          marginTop: '32px',
+          marginBottom: '16px',
+          borderBottom: '2px solid rgba(0, 87, 184, 0.2)',
+          paddingBottom: '8px'
+        }}>3. Reconciliation Report</h2>
+
+        {reportHidden ? (
+          <p style={{ color: '#6b46c1', textAlign: 'left' }}>
+            This is a blind count. The reconciliation report is hidden until counting is declared
+            complete and a supervisor unlocks it with the PIN.
+          </p>
+        ) : (
+          <>
+          <ReportFilterBar
+            filter={reportFilter}
+            locations={filterLocations}
+            shownCount={countLines(shown)}
+            totalCount={countLines(report)}
+            onChange={setReportFilter}
+          />
+
+          <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '24px' }}>
+            <button type="button" onClick={() => downloadReportCsv(shown, session)} style={exportButtonStyle}>
+              Download CSV
+            </button>
+            <button type="button" onClick={handleDownloadXlsx} style={exportButtonStyle}>
+              Download Excel
+            </button>
+            <button
+              type="button"
+              onClick={() => printVarianceReport(shown, session, describeFilter(reportFilter))}
+              style={exportButtonStyle}
+            >
+              Print Variance Report
+            </button>
+            {session.audit && (
+              <button type="button" onClick={handleDownloadAuditTrail} style={exportButtonStyle}>
+                Download Audit Trail
+              </button>
+            )}
           </div>
+
+          <RecountPanel
+            recount={session.recount}
+            resolutions={report.recount}
+            varianceCount={report.missing.length + report.short.length + report.misplaced.length + report.excess.length}
+            escalations={report.escalations}
+            onStart={handleStartRecount}
+            onMarkNotFound={handleMarkNotFound}
+            onFinish={handleFinishRecount}
+          />
+      
           <div style={{
-            padding: '16px',
-            backgroundColor: 'white',
-            borderRadius: '8px',
+            backgroundColor: '#f8faff',
+            borderRadius: '12px',
+            padding: '24px',
+            marginBottom: '32px',
+            boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)',
             border: '1px solid rgba(0, 87, 184, 0.1)'
           }}>
-            <div style={{ color: '#666', marginBottom: '4px' }}>Correctly Matched</div>
-            <div style={{ fontSize: '1.5rem', fontWeight: '600', color: '#003087' }}>{report.matched.length}</div>
+            <h3 style={{ 
+              color: '#003087',
+              fontSize: '1.25rem',
+              fontWeight: '600',
+              marginBottom: '16px'
+            }}>Summary</h3>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+              gap: '16px',
+              marginBottom: '8px'
+            }}>
+              <div style={{
+                padding: '16px',
+                backgroundColor: 'white',
+                borderRadius: '8px',
+                border: '1px solid rgba(0, 87, 184, 0.1)'
+              }}>
+                <div style={{ color: '#666', marginBottom: '4px' }}>Total Expected</div>
+                <div style={{ fontSize: '1.5rem', fontWeight: '600', color: '#003087' }}>{report.totalExpected}</div>
+              </div>
+              <div style={{
+                padding: '16px',
+                backgroundColor: 'white',
+                borderRadius: '8px',
+                border: '1px solid rgba(0, 87, 184, 0.1)'
+              }}>
+                <div style={{ color: '#666', marginBottom: '4px' }}>Total Scanned</div>
+                <div style={{ fontSize: '1.5rem', fontWeight: '600', color: '#003087' }}>{report.totalScanned}</div>
+              </div>
+              <div style={{
+                padding: '16px',
+                backgroundColor: 'white',
+                borderRadius: '8px',
+                border: '1px solid rgba(0, 87, 184, 0.1)'
+              }}>
+                <div style={{ color: '#666', marginBottom: '4px' }}>Correctly Matched</div>
+                <div style={{ fontSize: '1.5rem', fontWeight: '600', color: '#003087' }}>{report.matched.length}</div>
+              </div>
+            </div>
           </div>
-        </div>
-      </div>
 
-      <h3 style={{ 
-        color: '#003087',
-        fontSize: '1.25rem',
-        fontWeight: '600',
-        display: 'flex',
-        alignItems: 'center',
-        gap: '8px',
-        marginBottom: '16px'
-      }}>
-        <span role="img" aria-label="warning" style={{ fontSize: '1.5rem' }}>🚨</span>
-        Over/Excess Count
-        <span style={{ 
-          fontSize: '1rem',
-          fontWeight: 'normal',
-          color: '#666',
-          marginLeft: 'auto'
-        }}>
-          Count: {report.excess.length}
-        </span>
-      </h3>
-      <div style={{ 
-        padding: '20px',
-        backgroundColor: 'rgba(255, 244, 229, 0.5)',
-        borderRadius: '12px',
-        marginBottom: '32px',
-        border: '1px solid rgba(255, 159, 67, 0.2)',
-        boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)'
-      }}>
-        <ul style={{ 
-          listStyleType: 'none', 
-          padding: 0, 
-          margin: 0,
-          display: 'grid',
-          gap: '12px'
-        }}>
-          {report.excess.map(item => (
-            <li key={item.number} style={{ 
-              padding: '12px 16px',
-              backgroundColor: 'white',
-              borderRadius: '8px',
-              boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)',
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'space-between'
-            }}>
-              <span style={{ 
-                color: '#0057b8',
+          <ShrinkValue summary={shrink} escalatedCount={report.escalations.size} />
+
+          <ProgressDashboard
+            report={report}
+            masterList={masterList}
+            events={scanEvents}
+            site={session.site}
+            onLoadHistory={loadAccuracyHistory}
+          />
+
+          {report.locations.length > 0 && (
+            <>
+              <h3 style={{
+                color: '#003087',
+                fontSize: '1.25rem',
                 fontWeight: '600',
-                fontSize: '1.1rem'
-              }}>{item.number}</span>
-              <span style={{ 
-                color: '#666',
-                fontSize: '0.9rem',
-                backgroundColor: 'rgba(0, 87, 184, 0.1)',
-                padding: '4px 8px',
-                borderRadius: '12px'
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                marginBottom: '16px'
               }}>
-                Scanned {item.count} time(s)
-              </span>
-            </li>
-          ))}
-        </ul>
-      </div>
+                <span role="img" aria-label="locations" style={{ fontSize: '1.5rem' }}>📍</span>
+                Location Progress
+                <span style={{
+                  fontSize: '1rem',
+                  fontWeight: 'normal',
+                  color: '#666',
+                  marginLeft: 'auto'
+                }}>
+                  Complete: {report.locations.filter(entry => entry.expected > 0 && entry.found === entry.expected).length} / {report.locations.length}
+                </span>
+              </h3>
+              <LocationProgress progress={report.locations} />
+            </>
+          )}
 
-      <h3 style={{ 
-        color: '#003087',
-        fontSize: '1.25rem',
-        fontWeight: '600',
-        display: 'flex',
-        alignItems: 'center',
-        gap: '8px',
-        marginBottom: '16px'
-      }}>
-        <span role="img" aria-label="warning" style={{ fontSize: '1.5rem' }}>⚠️</span>
-        Short/Duplicate Count
-        <span style={{ 
-          fontSize: '1rem',
-          fontWeight: 'normal',
-          color: '#666',
-          marginLeft: 'auto'
-        }}>
-          Count: {Object.keys(report.short).length}
-        </span>
-      </h3>
-      <div style={{ 
-        padding: '20px',
-        backgroundColor: 'rgba(255, 252, 220, 0.5)',
-        borderRadius: '12px',
-        marginBottom: '32px',
-        border: '1px solid rgba(246, 190, 0, 0.2)',
-        boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)'
-      }}>
-        <ul style={{ 
-          listStyleType: 'none', 
-          padding: 0, 
-          margin: 0,
-          display: 'grid',
-          gap: '12px'
-        }}>
-          {Object.keys(report.short).map(number => (
-            <li key={number} style={{ 
-              padding: '12px 16px',
-              backgroundColor: 'white',
-              borderRadius: '8px',
-              boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)',
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'space-between'
-            }}>
-              <span style={{ 
-                color: '#f6be00',
+          {showSection('excess') && (
+            <>
+              <h3 style={{ 
+                color: '#003087',
+                fontSize: '1.25rem',
                 fontWeight: '600',
-                fontSize: '1.1rem'
-              }}>{number}</span>
-              <span style={{ 
-                color: '#666',
-                fontSize: '0.9rem',
-                backgroundColor: 'rgba(246, 190, 0, 0.1)',
-                padding: '4px 8px',
-                borderRadius: '12px'
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                marginBottom: '16px'
               }}>
-                Scanned {report.short[number]} time(s)
-              </span>
-            </li>
-          ))}
-        </ul>
-      </div>
+                <span role="img" aria-label="warning" style={{ fontSize: '1.5rem' }}>🚨</span>
+                Over/Excess Count
+                <span style={{ 
+                  fontSize: '1rem',
+                  fontWeight: 'normal',
+                  color: '#666',
+                  marginLeft: 'auto'
+                }}>
+                  {countText(shown.excess.length, report.excess.length)}
+                </span>
+              </h3>
+              <div style={{ 
+                padding: '20px',
+                backgroundColor: 'rgba(255, 244, 229, 0.5)',
+                borderRadius: '12px',
+                marginBottom: '32px',
+                border: '1px solid rgba(255, 159, 67, 0.2)',
+                boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)'
+              }}>
+                <GroupedRows groups={groupsOf(shown.excess)}>
+                  {rows => (
+                    <ExcessList
+                      items={rows}
+                      onConfirm={(number) => updateExcessReview(number, { status: 'confirmed' })}
+                      onDismiss={(number) => updateExcessReview(number, { status: 'dismissed' })}
+                      onNote={(number, note) => updateExcessReview(number, { note })}
+                      onValue={(number, changes) => updateExcessReview(number, changes)}
+                    />
+                  )}
+                </GroupedRows>
+                {shown.dismissed.length > 0 && (
+                  <p style={{ margin: '12px 0 0', color: '#666', fontSize: '0.9rem' }}>
+                    {shown.dismissed.length} number(s) dismissed as misreads: {shown.dismissed.map(item => item.number).join(', ')}
+                  </p>
+                )}
+              </div>
+            </>
+          )}
 
-      <h3 style={{ 
-        color: '#003087',
-        fontSize: '1.25rem',
-        fontWeight: '600',
-        display: 'flex',
-        alignItems: 'center',
-        gap: '8px',
-        marginBottom: '16px'
-      }}>
-        <span role="img" aria-label="error" style={{ fontSize: '1.5rem' }}>❌</span>
-        Under/Missing Count
-        <span style={{ 
-          fontSize: '1rem',
-          fontWeight: 'normal',
-          color: '#666',
-          marginLeft: 'auto'
-        }}>
-          Count: {report.missing.length}
-        </span>
-      </h3>
-      <div style={{ 
-        maxHeight: '300px',
-        overflowY: 'auto',
-        padding: '20px',
-        backgroundColor: 'rgba(255, 235, 235, 0.5)',
-        borderRadius: '12px',
-        marginBottom: '32px',
-        border: '1px solid rgba(204, 0, 0, 0.2)',
-        boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)'
-      }}>
-        <ul style={{ 
-          listStyleType: 'none', 
-          padding: 0, 
-          margin: 0,
-          display: 'grid',
-          gap: '12px'
-        }}>
-          {report.missing.map(number => (
-            <li key={number} style={{ 
-              padding: '12px 16px',
-              backgroundColor: 'white',
-              borderRadius: '8px',
-              boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)',
-              display: 'flex',
-              alignItems: 'center'
-            }}>
-              <span style={{ 
-                color: '#cc0000',
+          {showSection('short') && (
+            <>
+              <h3 style={{ 
+                color: '#003087',
+                fontSize: '1.25rem',
                 fontWeight: '600',
-                fontSize: '1.1rem'
-              }}>{number}</span>
-            </li>
-          ))}
-        </ul>
-      </div>
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                marginBottom: '16px'
+              }}>
+                <span role="img" aria-label="warning" style={{ fontSize: '1.5rem' }}>⚠️</span>
+                Short/Duplicate Count
+                <span style={{ 
+                  fontSize: '1rem',
+                  fontWeight: 'normal',
+                  color: '#666',
+                  marginLeft: 'auto'
+                }}>
+                  {countText(shown.short.length, report.short.length)}
+                </span>
+              </h3>
+              <div style={{ 
+                padding: '20px',
+                backgroundColor: 'rgba(255, 252, 220, 0.5)',
+                borderRadius: '12px',
+                marginBottom: '32px',
+                border: '1px solid rgba(246, 190, 0, 0.2)',
+                boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)'
+              }}>
+                <GroupedRows groups={groupsOf(shown.short)}>
+                  {rows => (
+                    <ul style={{ 
+                      listStyleType: 'none', 
+                      padding: 0, 
+                      margin: 0,
+                      display: 'grid',
+                      gap: '12px'
+                    }}>
+                      {rows.map(record => (
+                        <li key={record.instrument} style={{ 
+                          padding: '12px 16px',
+                          backgroundColor: 'white',
+                          borderRadius: '8px',
+                          boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)',
+                          display: 'flex',
+                          alignItems: 'center',
+                          justifyContent: 'space-between'
+                        }}>
+                          <RecordLabel record={record} color="#f6be00" />
+                          <span style={{ 
+                            color: '#666',
+                            fontSize: '0.9rem',
+                            backgroundColor: 'rgba(246, 190, 0, 0.1)',
+                            padding: '4px 8px',
+                            borderRadius: '12px'
+                          }}>
+                            Scanned {record.count} time(s)
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => handleSetQuantity(record.instrument, 1)}
+                            style={{ ...exportButtonStyle, padding: '4px 10px', fontSize: '0.85rem', marginLeft: '8px' }}
+                          >
+                            Correct to 1
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </GroupedRows>
+              </div>
+            </>
+          )}
+
+          {showSection('movement') && report.movement && report.movement.shipped.length + report.movement.received.length > 0 && (
+            <>
+              <h3 style={{
+                color: '#003087',
+                fontSize: '1.25rem',
+                fontWeight: '600',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                marginBottom: '16px'
+              }}>
+                <span role="img" aria-label="movement" style={{ fontSize: '1.5rem' }}>🚚</span>
+                Explained by Inventory Movement
+                <span style={{
+                  fontSize: '1rem',
+                  fontWeight: 'normal',
+                  color: '#666',
+                  marginLeft: 'auto'
+                }}>
+                  {countText(
+                    shown.movement.shipped.length + shown.movement.received.length,
+                    report.movement.shipped.length + report.movement.received.length,
+                  )}
+                </span>
+              </h3>
+              <div style={{
+                padding: '20px',
+                backgroundColor: 'rgba(230, 245, 255, 0.5)',
+                borderRadius: '12px',
+                marginBottom: '32px',
+                border: '1px solid rgba(0, 87, 184, 0.2)',
+                boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)'
+              }}>
+                <GroupedRows groups={groupsOf([...shown.movement.shipped, ...shown.movement.received])}>
+                  {rows => (
+                    <ul style={{
+                      listStyleType: 'none',
+                      padding: 0,
+                      margin: 0,
+                      display: 'grid',
+                      gap: '12px'
+                    }}>
+                      {rows.map(row => (row.instrument ? {
+                        key: row.instrument,
+                        record: row,
+                        text: 'Shipped during count, not counted',
+                      } : {
+                        key: `received:${row.number}`,
+                        record: row.record,
+                        text: `Received during count, scanned as ${row.number}`,
+                      })).map(({ key, record, text }) => (
+                        <li key={key} style={{
+                          padding: '12px 16px',
+                          backgroundColor: 'white',
+                          borderRadius: '8px',
+                          boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)',
+                          display: 'flex',
+                          alignItems: 'center',
+                          justifyContent: 'space-between'
+                        }}>
+                          <RecordLabel record={record} color="#0057b8" />
+                          <span style={{
+                            color: '#666',
+                            fontSize: '0.9rem',
+                            backgroundColor: 'rgba(0, 87, 184, 0.1)',
+                            padding: '4px 8px',
+                            borderRadius: '12px'
+                          }}>
+                            {text}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </GroupedRows>
+              </div>
+            </>
+          )}
+
+          {showSection('misplaced') && report.misplaced.length > 0 && (
+            <>
+              <h3 style={{
+                color: '#003087',
+                fontSize: '1.25rem',
+                fontWeight: '600',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                marginBottom: '16px'
+              }}>
+                <span role="img" aria-label="misplaced" style={{ fontSize: '1.5rem' }}>📦</span>
+                Misplaced
+                <span style={{
+                  fontSize: '1rem',
+                  fontWeight: 'normal',
+                  color: '#666',
+                  marginLeft: 'auto'
+                }}>
+                  {countText(shown.misplaced.length, report.misplaced.length)}
+                </span>
+              </h3>
+              <div style={{
+                padding: '20px',
+                backgroundColor: 'rgba(235, 230, 255, 0.5)',
+                borderRadius: '12px',
+                marginBottom: '32px',
+                border: '1px solid rgba(107, 70, 193, 0.2)',
+                boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)'
+              }}>
+                <GroupedRows groups={groupsOf(shown.misplaced)}>
+                  {rows => (
+                    <ul style={{
+                      listStyleType: 'none',
+                      padding: 0,
+                      margin: 0,
+                      display: 'grid',
+                      gap: '12px'
+                    }}>
+                      {rows.map(record => (
+                        <li key={record.instrument} style={{
+                          padding: '12px 16px',
+                          backgroundColor: 'white',
+                          borderRadius: '8px',
+                          boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)',
+                          display: 'flex',
+                          alignItems: 'center',
+                          justifyContent: 'space-between'
+                        }}>
+                          <RecordLabel record={record} color="#6b46c1" />
+                          <span style={{
+                            color: '#666',
+                            fontSize: '0.9rem',
+                            backgroundColor: 'rgba(107, 70, 193, 0.1)',
+                            padding: '4px 8px',
+                            borderRadius: '12px'
+                          }}>
+                            Found in {record.foundLocations.join(', ')}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </GroupedRows>
+              </div>
+            </>
+          )}
+
+          {showSection('missing') && (
+            <>
+              <h3 style={{ 
+                color: '#003087',
+                fontSize: '1.25rem',
+                fontWeight: '600',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                marginBottom: '16px'
+              }}>
+                <span role="img" aria-label="error" style={{ fontSize: '1.5rem' }}>❌</span>
+                Under/Missing Count
+                <span style={{ 
+                  fontSize: '1rem',
+                  fontWeight: 'normal',
+                  color: '#666',
+                  marginLeft: 'auto'
+                }}>
+                  {countText(shown.missing.length, report.missing.length)}
+                </span>
+              </h3>
+              <div style={{ 
+                padding: '20px',
+                backgroundColor: 'rgba(255, 235, 235, 0.5)',
+                borderRadius: '12px',
+                marginBottom: '32px',
+                border: '1px solid rgba(204, 0, 0, 0.2)',
+                boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)'
+              }}>
+                <VirtualList
+                  items={missingRows}
+                  rowHeight={MISSING_ROW_HEIGHT}
+                  height={300}
+                  getKey={row => row.key}
+                  renderItem={row => (row.header ? (
+                    <div style={{ ...groupHeaderStyle, height: `${MISSING_ROW_HEIGHT - 12}px`, boxSizing: 'border-box', alignItems: 'flex-end' }}>
+                      <span>{row.label}</span>
+                      <span>{row.count}</span>
+                    </div>
+                  ) : (
+                    <div style={{ 
+                      height: `${MISSING_ROW_HEIGHT - 12}px`,
+                      boxSizing: 'border-box',
+                      overflow: 'hidden',
+                      padding: '12px 16px',
+                      backgroundColor: 'white',
+                      borderRadius: '8px',
+                      boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)',
+                      display: 'flex',
+                      alignItems: 'center'
+                    }}>
+                      <RecordLabel record={row.record} color="#cc0000" />
+                      {report.escalations.has(row.record.instrument) && (
+                        <span
+                          title={report.escalations.get(row.record.instrument).join(', ')}
+                          style={{
+                            marginLeft: 'auto',
+                            padding: '2px 8px',
+                            borderRadius: '10px',
+                            backgroundColor: '#cc0000',
+                            color: 'white',
+                            fontSize: '0.8rem',
+                            whiteSpace: 'nowrap'
+                          }}
+                        >
+                          Mandatory recount
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                />
+              </div>
+            </>
+          )}
+        </>
+      )}
     </div>
   );
 };
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { MIN_PIN_LENGTH } from './lib/supervisor';
+
+const inputStyle = {
+  padding: '8px 12px',
+  fontSize: '1rem',
+  borderRadius: '8px',
+  border: '2px solid #e2e8f0',
+  boxSizing: 'border-box',
+  width: '140px',
+};
+
+const smallButtonStyle = {
+  padding: '8px 14px',
+  fontSize: '0.9rem',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+// Blind count controls: switching the mode on with a supervisor PIN,
+// declaring counting complete, and unlocking the report with the PIN.
+// The PIN actions resolve to false when the PIN was wrong.
+const BlindCountPanel = ({ session, unlocked, onEnable, onDisable, onComplete, onUnlock, onLock, onReopen }) => {
+  const [pin, setPin] = useState('');
+  const [isEnabling, setIsEnabling] = useState(false);
+
+  const withPin = async (action) => {
+    if (pin.length < MIN_PIN_LENGTH) {
+      alert(`The supervisor PIN has at least ${MIN_PIN_LENGTH} characters.`);
+      return;
+    }
+    const accepted = await action(pin);
+    if (accepted === false) {
+      alert('Wrong supervisor PIN.');
+      return;
+    }
+    setPin('');
+    setIsEnabling(false);
+  };
+
+  const pinInput = (
+    <input
+      type="password"
+      inputMode="numeric"
+      autoComplete="off"
+      value={pin}
+      onChange={(e) => setPin(e.target.value)}
+      placeholder="Supervisor PIN"
+      style={inputStyle}
+    />
+  );
+
+  const panelStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    flexWrap: 'wrap',
+    padding: '12px 16px',
+    marginBottom: '24px',
+    borderRadius: '8px',
+    backgroundColor: session.blindMode ? 'rgba(107, 70, 193, 0.08)' : 'transparent',
+    textAlign: 'left'
+  };
+
+  if (!session.blindMode) {
+    return (
+      <div style={panelStyle}>
+        <label>
+          <input
+            type="checkbox"
+            checked={isEnabling}
+            onChange={(e) => setIsEnabling(e.target.checked)}
+          />{' '}
+          Blind count (hide expected quantities from counters)
+        </label>
+        {isEnabling && (
+          <>
+            {pinInput}
+            <button type="button" onClick={() => withPin(onEnable)} style={smallButtonStyle}>
+              Start Blind Count
+            </button>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  if (!session.countingCompletedAt) {
+    return (
+      <div style={panelStyle}>
+        <span style={{ flex: 1 }}>
+          <strong>Blind count.</strong> Expected quantities and the reconciliation report are hidden until counting is complete.
+        </span>
+        <button
+          type="button"
+          onClick={() => {
+            if (window.confirm('Declare counting complete? No more scans can be recorded until a supervisor reopens counting.')) {
+              onComplete();
+            }
+          }}
+          style={smallButtonStyle}
+        >
+          Declare Counting Complete
+        </button>
+        <details>
+          <summary style={{ cursor: 'pointer', color: '#0057b8', fontSize: '0.9rem' }}>Supervisor</summary>
+          <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+            {pinInput}
+            <button type="button" onClick={() => withPin(onDisable)} style={smallButtonStyle}>
+              Turn Off Blind Mode
+            </button>
+          </div>
+        </details>
+      </div>
+    );
+  }
+
+  return (
+    <div style={panelStyle}>
+      <span style={{ flex: 1 }}>
+        <strong>Blind count complete</strong> since {new Date(session.countingCompletedAt).toLocaleString()}.
+        {unlocked ? ' Report unlocked.' : ' A supervisor PIN unlocks the report.'}
+      </span>
+      {unlocked ? (
+        <>
+          <button type="button" onClick={onLock} style={smallButtonStyle}>Lock Report</button>
+          <button type="button" onClick={onReopen} style={smallButtonStyle}>Reopen Counting</button>
+        </>
+      ) : (
+        <>
+          {pinInput}
+          <button type="button" onClick={() => withPin(onUnlock)} style={smallButtonStyle}>Unlock Report</button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BlindCountPanel;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Html5Qrcode } from 'html5-qrcode';
+import { CAMERA_FORMATS, DEFAULT_CAMERA_SETTINGS } from './lib/camera';
+
+const labelStyle = { display: 'block', color: '#4a5568', fontSize: '0.9rem', marginBottom: '12px' };
+
+const smallButtonStyle = {
+  padding: '8px 14px',
+  fontSize: '0.9rem',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+const FPS_CHOICES = [5, 10, 15, 20, 30];
+const SCAN_BOX_CHOICES = [
+  { value: 0.5, label: 'Small' },
+  { value: 0.7, label: 'Medium' },
+  { value: 0.9, label: 'Large' },
+];
+const DEBOUNCE_CHOICES = [
+  { value: 0, label: 'Off' },
+  { value: 1000, label: '1 second' },
+  { value: 2000, label: '2 seconds' },
+  { value: 5000, label: '5 seconds' },
+  { value: 10000, label: '10 seconds' },
+];
+
+// Per-device camera scanner settings. Changes apply immediately and restart
+// the camera if it is running.
+const CameraSettings = ({ settings, onChange }) => {
+  // Cameras are only listed once the counter asks, since listing them
+  // triggers the browser's camera permission prompt
+  const [cameras, setCameras] = useState(null);
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const toggleFormat = (key, enabled) => {
+    const formats = enabled ? [...settings.formats, key] : settings.formats.filter(format => format !== key);
+    if (formats.length === 0) {
+      alert('Keep at least one barcode type enabled.');
+      return;
+    }
+    update({ formats });
+  };
+
+  const findCameras = async () => {
+    try {
+      setCameras(await Html5Qrcode.getCameras());
+    } catch (error) {
+      console.error("Error listing cameras:", error);
+      alert('Could not list the cameras. Allow camera access and try again.');
+    }
+  };
+
+  return (
+    <details style={{ marginBottom: '20px', textAlign: 'left' }}>
+      <summary style={{ cursor: 'pointer', color: '#0057b8' }}>Camera scanner settings</summary>
+      <div style={{
+        marginTop: '12px',
+        padding: '16px',
+        borderRadius: '8px',
+        border: '1px solid rgba(0, 87, 184, 0.1)',
+        backgroundColor: '#f8faff'
+      }}>
+        <label style={labelStyle}>
+          Camera{' '}
+          <select value={settings.cameraId} onChange={(e) => update({ cameraId: e.target.value })}>
+            <option value="">Rear camera</option>
+            {(cameras || []).map(camera => (
+              <option key={camera.id} value={camera.id}>{camera.label || camera.id}</option>
+            ))}
+            {settings.cameraId && !(cameras || []).some(camera => camera.id === settings.cameraId) && (
+              <option value={settings.cameraId}>Last selected camera</option>
+            )}
+          </select>{' '}
+          <button type="button" onClick={findCameras} style={{ ...smallButtonStyle, padding: '4px 10px' }}>
+            Find Cameras
+          </button>
+        </label>
+        <label style={labelStyle}>
+          Scan box{' '}
+          <select value={settings.scanBoxSize} onChange={(e) => update({ scanBoxSize: Number(e.target.value) })}>
+            {SCAN_BOX_CHOICES.map(choice => (
+              <option key={choice.value} value={choice.value}>{choice.label}</option>
+            ))}
+          </select>
+          {' '}· frames per second{' '}
+          <select value={settings.fps} onChange={(e) => update({ fps: Number(e.target.value) })}>
+            {FPS_CHOICES.map(fps => <option key={fps} value={fps}>{fps}</option>)}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Ignore the same code again for{' '}
+          <select value={settings.debounceMs} onChange={(e) => update({ debounceMs: Number(e.target.value) })}>
+            {DEBOUNCE_CHOICES.map(choice => (
+              <option key={choice.value} value={choice.value}>{choice.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          <input
+            type="checkbox"
+            checked={settings.confirmScans}
+            onChange={(e) => update({ confirmScans: e.target.checked })}
+          />{' '}
+          Tap to confirm each camera scan before it is recorded
+        </label>
+
+        <p style={{ ...labelStyle, marginBottom: '8px' }}>
+          Barcode types (fewer types decode faster):
+        </p>
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+          gap: '4px 12px',
+          marginBottom: '12px'
+        }}>
+          {CAMERA_FORMATS.map(format => (
+            <label key={format.key} style={{ color: '#4a5568', fontSize: '0.9rem' }}>
+              <input
+                type="checkbox"
+                checked={settings.formats.includes(format.key)}
+                onChange={(e) => toggleFormat(format.key, e.target.checked)}
+              />{' '}
+              {format.label}
+            </label>
+          ))}
+        </div>
+        <button type="button" onClick={() => onChange(DEFAULT_CAMERA_SETTINGS)} style={smallButtonStyle}>
+          Reset Camera Settings
+        </button>
+      </div>
+    </details>
+  );
+};
+
+export default CameraSettings;
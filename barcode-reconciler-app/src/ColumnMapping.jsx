@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import {
+  MASTER_FIELDS,
+  getColumnNames,
+  guessHasHeader,
+  parseMasterRows,
+  saveMapping,
+  suggestMapping,
+} from './lib/masterListImport';
+
+const PREVIEW_ROWS = 5;
+
+const buttonStyle = {
+  padding: '10px 20px',
+  background: 'linear-gradient(135deg, #003087 0%, #0057b8 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  cursor: 'pointer',
+  fontSize: '1rem',
+  fontWeight: '500',
+};
+
+const selectStyle = {
+  width: '100%',
+  padding: '6px 8px',
+  borderRadius: '6px',
+  border: '1px solid #e2e8f0',
+};
+
+// Sheet selection, header preview and column mapping for an uploaded master list
+const ColumnMapping = ({ importData, onImport, onCancel }) => {
+  const [sheetName, setSheetName] = useState(importData.sheetNames[0]);
+  const rows = importData.sheets[sheetName] || [];
+  const [hasHeader, setHasHeader] = useState(() => guessHasHeader(rows));
+  const [mapping, setMapping] = useState(() => suggestMapping(getColumnNames(rows, hasHeader), hasHeader));
+
+  const columnNames = getColumnNames(rows, hasHeader);
+  const previewRows = rows.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + PREVIEW_ROWS);
+
+  const selectSheet = (name) => {
+    const sheetRows = importData.sheets[name] || [];
+    const sheetHasHeader = guessHasHeader(sheetRows);
+    setSheetName(name);
+    setHasHeader(sheetHasHeader);
+    setMapping(suggestMapping(getColumnNames(sheetRows, sheetHasHeader), sheetHasHeader));
+  };
+
+  const toggleHeader = (checked) => {
+    setHasHeader(checked);
+    setMapping(suggestMapping(getColumnNames(rows, checked), checked));
+  };
+
+  const handleImport = () => {
+    if (mapping.instrument === null) {
+      alert('Select the column that holds the instrument number.');
+      return;
+    }
+    saveMapping(mapping, columnNames, hasHeader);
+    onImport(parseMasterRows(rows, mapping, hasHeader));
+  };
+
+  return (
+    <div style={{
+      padding: '20px',
+      marginBottom: '24px',
+      borderRadius: '12px',
+      border: '1px solid rgba(0, 87, 184, 0.2)',
+      backgroundColor: '#f8faff',
+      textAlign: 'left'
+    }}>
+      <h3 style={{ color: '#003087', marginTop: 0 }}>Map Columns: {importData.fileName}</h3>
+
+      {importData.sheetNames.length > 1 && (
+        <label style={{ display: 'block', marginBottom: '12px' }}>
+          Sheet:{' '}
+          <select value={sheetName} onChange={(e) => selectSheet(e.target.value)}>
+            {importData.sheetNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <label style={{ display: 'block', marginBottom: '16px' }}>
+        <input
+          type="checkbox"
+          checked={hasHeader}
+          onChange={(e) => toggleHeader(e.target.checked)}
+        />{' '}
+        First row contains column headers
+      </label>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+        gap: '12px',
+        marginBottom: '16px'
+      }}>
+        {MASTER_FIELDS.map(field => (
+          <label key={field.key} style={{ fontSize: '0.9rem', color: '#4a5568' }}>
+            {field.label}{field.required && ' *'}
+            <select
+              value={mapping[field.key] ?? ''}
+              onChange={(e) => setMapping(prev => ({
+                ...prev,
+                [field.key]: e.target.value === '' ? null : Number(e.target.value),
+              }))}
+              style={selectStyle}
+            >
+              <option value="">— Not in file —</option>
+              {columnNames.map((name, index) => (
+                <option key={index} value={index}>{name}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div style={{ overflowX: 'auto', marginBottom: '16px' }}>
+        <table style={{ borderCollapse: 'collapse', fontSize: '0.85rem', width: '100%' }}>
+          <thead>
+            <tr>
+              {columnNames.map((name, index) => {
+                const field = MASTER_FIELDS.find(f => mapping[f.key] === index);
+                return (
+                  <th key={index} style={{
+                    padding: '6px 8px',
+                    borderBottom: '2px solid #e3e8f3',
+                    textAlign: 'left',
+                    whiteSpace: 'nowrap',
+                    color: field ? '#0057b8' : '#666'
+                  }}>
+                    {name}
+                    {field && <div style={{ fontWeight: 'normal', fontSize: '0.75rem' }}>→ {field.label}</div>}
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {previewRows.map((row, rowIndex) => (
+              <tr key={rowIndex}>
+                {columnNames.map((_, index) => (
+                  <td key={index} style={{ padding: '6px 8px', borderBottom: '1px solid #eef1f7', whiteSpace: 'nowrap' }}>
+                    {row[index]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length === 0 && <p style={{ color: '#666' }}>This sheet is empty.</p>}
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <button type="button" onClick={handleImport} style={buttonStyle}>Import Master List</button>
+        <button
+          type="button"
+          onClick={onCancel}
+          style={{ ...buttonStyle, background: 'linear-gradient(135deg, #666666 0%, #999999 100%)' }}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMapping;
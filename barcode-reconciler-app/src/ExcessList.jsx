@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { formatValue, parseCost } from './lib/valuation';
+
+const SOURCE_LABELS = {
+  wedge: 'Scanner',
+  camera: 'Camera',
+  manual: 'Manual',
+  import: 'Imported file',
+};
+
+const actionButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '0.85rem',
+  borderRadius: '6px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+const draftInputStyle = {
+  padding: '6px 10px',
+  borderRadius: '6px',
+  border: '1px solid #e2e8f0'
+};
+
+// A single unmatched value with its review actions (confirm, dismiss as
+// misread, note, and a unit cost and category for the shrink value report)
+const ExcessItem = ({ item, onConfirm, onDismiss, onNote, onValue }) => {
+  const [isEditingNote, setIsEditingNote] = useState(false);
+  const [noteDraft, setNoteDraft] = useState(item.note);
+  const [valueDraft, setValueDraft] = useState(null);
+
+  const saveNote = () => {
+    onNote(item.number, noteDraft.trim());
+    setIsEditingNote(false);
+  };
+
+  const saveValue = () => {
+    const unitCost = parseCost(valueDraft.unitCost);
+    if (valueDraft.unitCost.trim() && unitCost === null) {
+      alert('Enter the unit cost as a number.');
+      return;
+    }
+    onValue(item.number, { unitCost, category: valueDraft.category.trim() });
+    setValueDraft(null);
+  };
+
+  return (
+    <li style={{
+      padding: '12px 16px',
+      backgroundColor: 'white',
+      borderRadius: '8px',
+      boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)',
+      display: 'grid',
+      gap: '8px',
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px' }}>
+        <span style={{
+          color: '#0057b8',
+          fontWeight: '600',
+          fontSize: '1.1rem'
+        }}>
+          {item.number}
+          {item.status === 'confirmed' && (
+            <span style={{ marginLeft: '8px', fontSize: '0.8rem', color: '#2f855a' }}>✔ Confirmed</span>
+          )}
+        </span>
+        <span style={{
+          color: '#666',
+          fontSize: '0.9rem',
+          backgroundColor: 'rgba(0, 87, 184, 0.1)',
+          padding: '4px 8px',
+          borderRadius: '12px'
+        }}>
+          Scanned {item.count} time(s)
+        </span>
+      </div>
+      <div style={{ color: '#666', fontSize: '0.85rem' }}>
+        {item.sources.map(source => SOURCE_LABELS[source] || source).join(', ')}
+        {' · '}first {formatTime(item.firstScanned)}
+        {item.count > 1 && <> · last {formatTime(item.lastScanned)}</>}
+      </div>
+      {isEditingNote ? (
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <input
+            type="text"
+            value={noteDraft}
+            onChange={(e) => setNoteDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                saveNote();
+              }
+            }}
+            placeholder="Where was it found? Label condition?"
+            autoFocus
+            style={{
+              flex: 1,
+              padding: '6px 10px',
+              borderRadius: '6px',
+              border: '1px solid #e2e8f0'
+            }}
+          />
+          <button type="button" onClick={saveNote} style={actionButtonStyle}>Save</button>
+        </div>
+      ) : item.note && (
+        <div style={{ fontSize: '0.9rem', color: '#4a5568', fontStyle: 'italic' }}>Note: {item.note}</div>
+      )}
+      {valueDraft ? (
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          <input
+            type="text"
+            inputMode="decimal"
+            value={valueDraft.unitCost}
+            onChange={(e) => setValueDraft({ ...valueDraft, unitCost: e.target.value })}
+            placeholder="Unit cost"
+            autoFocus
+            style={{ ...draftInputStyle, width: '120px' }}
+          />
+          <input
+            type="text"
+            value={valueDraft.category}
+            onChange={(e) => setValueDraft({ ...valueDraft, category: e.target.value })}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                saveValue();
+              }
+            }}
+            placeholder="Category"
+            style={{ ...draftInputStyle, flex: 1 }}
+          />
+          <button type="button" onClick={saveValue} style={actionButtonStyle}>Save</button>
+        </div>
+      ) : (item.unitCost != null || item.category) && (
+        <div style={{ fontSize: '0.9rem', color: '#4a5568' }}>
+          {item.unitCost != null && `Value: ${formatValue(item.unitCost)}`}
+          {item.unitCost != null && item.category && ' · '}
+          {item.category && `Category: ${item.category}`}
+        </div>
+      )}
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        {item.status !== 'confirmed' && (
+          <button type="button" onClick={() => onConfirm(item.number)} style={actionButtonStyle}>
+            Confirm
+          </button>
+        )}
+        <button type="button" onClick={() => onDismiss(item.number)} style={actionButtonStyle}>
+          Dismiss as Misread
+        </button>
+        {!isEditingNote && (
+          <button
+            type="button"
+            onClick={() => {
+              setNoteDraft(item.note);
+              setIsEditingNote(true);
+            }}
+            style={actionButtonStyle}
+          >
+            {item.note ? 'Edit Note' : 'Add Note'}
+          </button>
+        )}
+        {!valueDraft && (
+          <button
+            type="button"
+            onClick={() => setValueDraft({ unitCost: item.unitCost != null ? String(item.unitCost) : '', category: item.category })}
+            style={actionButtonStyle}
+          >
+            {item.unitCost != null || item.category ? 'Edit Value' : 'Set Value'}
+          </button>
+        )}
+      </div>
+    </li>
+  );
+};
+
+const ExcessList = ({ items, onConfirm, onDismiss, onNote, onValue }) => (
+  <ul style={{
+    listStyleType: 'none',
+    padding: 0,
+    margin: 0,
+    display: 'grid',
+    gap: '12px'
+  }}>
+    {items.map(item => (
+      <ExcessItem
+        key={item.number}
+        item={item}
+        onConfirm={onConfirm}
+        onDismiss={onDismiss}
+        onNote={onNote}
+        onValue={onValue}
+      />
+    ))}
+  </ul>
+);
+
+export default ExcessList;
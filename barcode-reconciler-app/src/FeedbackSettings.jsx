@@ -0,0 +1,97 @@
+import React from 'react';
+import { FEEDBACK_OUTCOMES } from './lib/scanFeedback';
+
+const labelStyle = { display: 'block', color: '#4a5568', fontSize: '0.9rem', marginBottom: '12px' };
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '0.85rem',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+// Per-device sound, vibration and flash settings, with a preview per outcome.
+// Changes apply immediately.
+const FeedbackSettings = ({ settings, onChange, onTest }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <details style={{ marginBottom: '20px', textAlign: 'left' }}>
+      <summary style={{ cursor: 'pointer', color: '#0057b8' }}>Scan feedback</summary>
+      <div style={{
+        marginTop: '12px',
+        padding: '16px',
+        borderRadius: '8px',
+        border: '1px solid rgba(0, 87, 184, 0.1)',
+        backgroundColor: '#f8faff'
+      }}>
+        <label style={labelStyle}>
+          <input
+            type="checkbox"
+            checked={settings.sound}
+            onChange={(e) => update({ sound: e.target.checked })}
+          />{' '}
+          Sounds
+          {settings.sound && (
+            <>
+              {' '}· volume{' '}
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.1"
+                value={settings.volume}
+                onChange={(e) => update({ volume: Number(e.target.value) })}
+                style={{ verticalAlign: 'middle' }}
+              />
+            </>
+          )}
+        </label>
+        <label style={labelStyle}>
+          <input
+            type="checkbox"
+            checked={settings.vibration}
+            onChange={(e) => update({ vibration: e.target.checked })}
+          />{' '}
+          Vibrate (phones and handhelds that support it)
+        </label>
+        <label style={labelStyle}>
+          <input
+            type="checkbox"
+            checked={settings.flash}
+            onChange={(e) => update({ flash: e.target.checked })}
+          />{' '}
+          Flash the screen
+        </label>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr auto', gap: '8px 12px', alignItems: 'center' }}>
+          {Object.entries(FEEDBACK_OUTCOMES).map(([outcome, definition]) => (
+            <React.Fragment key={outcome}>
+              <span style={{
+                display: 'inline-block',
+                width: '16px',
+                height: '16px',
+                borderRadius: '4px',
+                backgroundColor: definition.color
+              }} />
+              <label style={{ color: '#4a5568', fontSize: '0.9rem' }}>
+                <input
+                  type="checkbox"
+                  checked={!settings.muted[outcome]}
+                  onChange={(e) => update({ muted: { ...settings.muted, [outcome]: !e.target.checked } })}
+                />{' '}
+                {definition.label}
+              </label>
+              <button type="button" onClick={() => onTest(outcome)} style={smallButtonStyle}>Test</button>
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default FeedbackSettings;
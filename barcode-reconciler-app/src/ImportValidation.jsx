@@ -0,0 +1,186 @@
+import React, { useMemo, useState } from 'react';
+import { ISSUE_TYPES, validateMasterRows } from './lib/importValidation';
+import { toMasterList } from './lib/masterListImport';
+
+// Flagged rows listed before the rest are summarized
+const MAX_ROWS_SHOWN = 200;
+
+const buttonStyle = {
+  padding: '10px 20px',
+  background: 'linear-gradient(135deg, #003087 0%, #0057b8 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  cursor: 'pointer',
+  fontSize: '1rem',
+  fontWeight: '500',
+};
+
+const secondaryButtonStyle = { ...buttonStyle, background: 'linear-gradient(135deg, #666666 0%, #999999 100%)' };
+
+const cellInputStyle = {
+  width: '100%',
+  padding: '4px 6px',
+  borderRadius: '6px',
+  border: '1px solid #e2e8f0',
+  boxSizing: 'border-box',
+};
+
+const cellStyle = { padding: '4px 8px', borderBottom: '1px solid #eef1f7' };
+
+// Issues where every flagged row goes when flagged rows are excluded
+const DROP_ALL_ROWS = ['missing-instrument', 'already-loaded', 'serial-already-loaded'];
+
+// Import validation report: lists rows that would be dropped, duplicated or
+// would make scans ambiguous, and lets the counter fix the numbers or exclude
+// the rows before the master list is loaded. `loaded` is the master list the
+// rows are merged into, if any.
+const ImportValidation = ({ fileName, entries: initialEntries, normalize, loaded = null, onImport, onBack, onCancel }) => {
+  const [entries, setEntries] = useState(initialEntries);
+  const issues = useMemo(() => validateMasterRows(entries, normalize, loaded), [entries, normalize, loaded]);
+  const entryByRow = useMemo(() => new Map(entries.map(entry => [entry.rowNumber, entry])), [entries]);
+  // Rows stay listed once flagged, so a row does not vanish mid-edit when its
+  // problem is fixed; the problems column shows what is still wrong with it
+  const [flaggedRows] = useState(() => [...new Set(
+    validateMasterRows(initialEntries, normalize, loaded).flatMap(issue => issue.rowNumbers),
+  )].sort((a, b) => a - b));
+  const problemsByRow = useMemo(() => {
+    const problems = new Map();
+    issues.forEach(issue => issue.rowNumbers.forEach(rowNumber => {
+      if (!problems.has(rowNumber)) problems.set(rowNumber, []);
+      problems.get(rowNumber).push(issue);
+    }));
+    return problems;
+  }, [issues]);
+  const importCount = [...toMasterList(entries).keys()].filter(instrument => !loaded || !loaded.has(instrument)).length;
+
+  const updateEntry = (rowNumber, changes) => {
+    setEntries(prev => prev.map(entry => (entry.rowNumber === rowNumber ? { ...entry, ...changes } : entry)));
+  };
+
+  const updateRecord = (rowNumber, field, value) => {
+    const entry = entryByRow.get(rowNumber);
+    updateEntry(rowNumber, { record: { ...entry.record, [field]: value } });
+  };
+
+  const excludeAllFlagged = () => {
+    // Keep the first row of each collision so the number is still counted
+    // once; a collision with the loaded list keeps the loaded record
+    const flagged = new Set();
+    issues.forEach(issue => {
+      const rows = DROP_ALL_ROWS.includes(issue.type) ? issue.rowNumbers : issue.rowNumbers.slice(1);
+      rows.forEach(rowNumber => flagged.add(rowNumber));
+    });
+    setEntries(prev => prev.map(entry => (flagged.has(entry.rowNumber) ? { ...entry, excluded: true } : entry)));
+  };
+
+  const excludedCount = entries.filter(entry => entry.excluded).length;
+
+  return (
+    <div style={{
+      padding: '20px',
+      marginBottom: '24px',
+      borderRadius: '12px',
+      border: '1px solid rgba(0, 87, 184, 0.2)',
+      backgroundColor: '#f8faff',
+      textAlign: 'left'
+    }}>
+      <h3 style={{ color: '#003087', marginTop: 0 }}>Check Master List: {fileName}</h3>
+      <p style={{ color: '#4a5568' }}>
+        {entries.length} rows read, {importCount} instruments will be {loaded ? 'added' : 'loaded'}
+        {excludedCount > 0 && `, ${excludedCount} rows excluded`}.{' '}
+        {issues.length === 0
+          ? 'No problems left.'
+          : `${issues.length} problems found. Fix the numbers or exclude rows, or import as is and choose between matches while scanning.`}
+      </p>
+      {issues.length > 0 && (
+        <ul style={{ color: '#c05621', marginTop: 0 }}>
+          {Object.entries(ISSUE_TYPES).map(([type, label]) => {
+            const count = issues.filter(issue => issue.type === type).length;
+            return count > 0 && <li key={type}>{label}: {count}</li>;
+          })}
+        </ul>
+      )}
+
+      {flaggedRows.length > 0 && (
+        <div style={{ overflowX: 'auto', marginBottom: '16px' }}>
+          <table style={{ borderCollapse: 'collapse', fontSize: '0.85rem', width: '100%' }}>
+            <thead>
+              <tr>
+                {['Row', 'Instrument Number', 'Serial Number', 'Problems', 'Exclude'].map(heading => (
+                  <th key={heading} style={{ ...cellStyle, textAlign: 'left', borderBottom: '2px solid #e3e8f3' }}>
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {flaggedRows.slice(0, MAX_ROWS_SHOWN).map(rowNumber => {
+                const entry = entryByRow.get(rowNumber);
+                const problems = problemsByRow.get(rowNumber) || [];
+                return (
+                  <tr key={rowNumber} style={{ opacity: entry.excluded ? 0.5 : 1 }}>
+                    <td style={cellStyle}>{rowNumber}</td>
+                    <td style={cellStyle}>
+                      <input
+                        type="text"
+                        value={entry.record.instrument}
+                        onChange={(e) => updateRecord(rowNumber, 'instrument', e.target.value.trim())}
+                        style={cellInputStyle}
+                      />
+                    </td>
+                    <td style={cellStyle}>
+                      <input
+                        type="text"
+                        value={entry.record.serial}
+                        onChange={(e) => updateRecord(rowNumber, 'serial', e.target.value.trim())}
+                        style={cellInputStyle}
+                      />
+                    </td>
+                    <td style={{ ...cellStyle, color: problems.length > 0 ? '#c05621' : '#2f855a' }}>
+                      {entry.excluded && 'Excluded'}
+                      {!entry.excluded && problems.length === 0 && 'OK'}
+                      {problems.map(issue => (
+                        <div key={`${issue.type}-${issue.value}`}>
+                          {ISSUE_TYPES[issue.type]}
+                          {issue.value && ` (${issue.value}, rows ${issue.rowNumbers.join(', ')})`}
+                        </div>
+                      ))}
+                    </td>
+                    <td style={cellStyle}>
+                      <input
+                        type="checkbox"
+                        checked={entry.excluded}
+                        onChange={(e) => updateEntry(rowNumber, { excluded: e.target.checked })}
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {flaggedRows.length > MAX_ROWS_SHOWN && (
+            <p style={{ color: '#666', fontSize: '0.85rem' }}>
+              …and {flaggedRows.length - MAX_ROWS_SHOWN} more flagged rows. Fix the export or exclude all flagged rows.
+            </p>
+          )}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+        <button type="button" onClick={() => onImport(toMasterList(entries))} style={buttonStyle}>
+          {issues.length === 0 ? 'Import Master List' : 'Import Anyway'}
+        </button>
+        {issues.length > 0 && (
+          <button type="button" onClick={excludeAllFlagged} style={secondaryButtonStyle}>
+            Exclude All Flagged Rows
+          </button>
+        )}
+        <button type="button" onClick={onBack} style={secondaryButtonStyle}>Back to Columns</button>
+        <button type="button" onClick={onCancel} style={secondaryButtonStyle}>Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+export default ImportValidation;
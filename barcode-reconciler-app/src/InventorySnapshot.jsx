@@ -0,0 +1,68 @@
+import React from 'react';
+
+const smallButtonStyle = {
+  padding: '8px 14px',
+  fontSize: '0.9rem',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+// Load or remove a later on-hand export, for counts that span receipts and
+// shipments, and summarize what moved since the master list was exported
+const InventorySnapshot = ({ snapshot, movement, onLoadFile, onRemove }) => (
+  <div style={{
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    flexWrap: 'wrap',
+    padding: '12px 16px',
+    marginBottom: '16px',
+    borderRadius: '8px',
+    backgroundColor: 'rgba(0, 87, 184, 0.05)',
+    textAlign: 'left'
+  }}>
+    {snapshot ? (
+      <>
+        <span style={{ flex: 1 }}>
+          Later on-hand export <strong>{snapshot.fileName}</strong>, loaded {new Date(snapshot.loadedAt).toLocaleString()}:
+          {' '}{movement.added.length} instrument(s) received and {movement.removed.length} shipped since the master list.
+        </span>
+        <button
+          type="button"
+          onClick={() => {
+            if (window.confirm('Remove the later export? Variances will be reported against the master list alone.')) {
+              onRemove();
+            }
+          }}
+          style={smallButtonStyle}
+        >
+          Remove Later Export
+        </button>
+      </>
+    ) : (
+      <>
+        <span style={{ flex: 1, color: '#4a5568' }}>
+          Stock moved while counting? Load a later on-hand export to explain Missing and Excess lines by receipts and shipments.
+        </span>
+        <label style={smallButtonStyle}>
+          Load Later Export
+          <input
+            type="file"
+            accept=".csv,.xlsx,.xls,.txt"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              const file = e.target.files[0];
+              e.target.value = '';
+              if (file) onLoadFile(file);
+            }}
+          />
+        </label>
+      </>
+    )}
+  </div>
+);
+
+export default InventorySnapshot;
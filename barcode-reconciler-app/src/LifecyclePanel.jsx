@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { LIFECYCLE_STAGES, hasCounterName, sameName } from './lib/lifecycle';
+
+const inputStyle = {
+  padding: '8px 12px',
+  fontSize: '1rem',
+  borderRadius: '8px',
+  border: '2px solid #e2e8f0',
+  boxSizing: 'border-box',
+  width: '220px',
+};
+
+const smallButtonStyle = {
+  padding: '8px 14px',
+  fontSize: '0.9rem',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+const formatDateTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : null);
+
+// When each stage was reached, as far as the session recorded it
+const stageTimes = (session) => ({
+  open: session.startedAt,
+  counting: session.countingStartedAt,
+  review: session.submittedAt,
+  approved: session.approvedAt,
+  closed: session.closedAt,
+});
+
+// Count sign-off: the counter submits the count for review, and an approver
+// other than the counter approves it (freezing it into the audit trail) or
+// returns it to counting. An approved count can then be closed.
+const LifecyclePanel = ({ session, reportHidden, onSubmit, onReturn, onApprove, onClose, onVerify }) => {
+  const [approverName, setApproverName] = useState(session.approverName || '');
+  const [isWorking, setIsWorking] = useState(false);
+  const currentIndex = Math.max(0, LIFECYCLE_STAGES.findIndex(stage => stage.status === session.status));
+  const times = stageTimes(session);
+
+  const submit = () => {
+    if (!hasCounterName(session)) {
+      alert('Enter the counter name before submitting the count for review.');
+      return;
+    }
+    if (window.confirm('Submit the count for review? No more scans or corrections are taken until it is returned to counting.')) {
+      onSubmit();
+    }
+  };
+
+  const approve = async () => {
+    const name = approverName.trim();
+    if (!name) {
+      alert('Enter the approver name.');
+      return;
+    }
+    if (!hasCounterName(session)) {
+      alert('The count has no counter name. Return it to counting and enter the counter name first.');
+      return;
+    }
+    if (sameName(name, session.counterName)) {
+      alert('The count must be approved by someone other than the counter.');
+      return;
+    }
+    if (!window.confirm(`Approve the count as ${name}? The scans and corrections are frozen into the audit trail and can no longer be changed.`)) {
+      return;
+    }
+    setIsWorking(true);
+    try {
+      await onApprove(name);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const verify = async () => {
+    setIsWorking(true);
+    try {
+      await onVerify();
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div style={{
+      padding: '16px',
+      marginBottom: '24px',
+      borderRadius: '8px',
+      border: '1px solid rgba(0, 87, 184, 0.1)',
+      backgroundColor: '#f8faff',
+      textAlign: 'left'
+    }}>
+      <ol style={{ display: 'flex', gap: '4px', listStyleType: 'none', padding: 0, margin: '0 0 12px', flexWrap: 'wrap' }}>
+        {LIFECYCLE_STAGES.map((stage, index) => (
+          <li key={stage.status} style={{
+            flex: '1 1 100px',
+            padding: '6px 10px',
+            borderRadius: '6px',
+            fontSize: '0.85rem',
+            backgroundColor: index === currentIndex ? '#0057b8' : index < currentIndex ? 'rgba(0, 87, 184, 0.12)' : 'white',
+            color: index === currentIndex ? 'white' : index < currentIndex ? '#003087' : '#a0aec0',
+            border: '1px solid rgba(0, 87, 184, 0.2)'
+          }}>
+            <strong>{stage.label}</strong>
+            {index <= currentIndex && formatDateTime(times[stage.status]) && (
+              <div style={{ fontSize: '0.75rem', opacity: 0.85 }}>{formatDateTime(times[stage.status])}</div>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+        {(session.status === 'open' || session.status === 'counting') && (
+          <>
+            <button type="button" onClick={submit} disabled={!session.startedAt} style={smallButtonStyle}>
+              Submit for Review
+            </button>
+            {!session.startedAt && <span style={{ color: '#666' }}>Start counting before submitting.</span>}
+          </>
+        )}
+
+        {session.status === 'review' && (
+          <>
+            <span>Counted by <strong>{session.counterName}</strong>.</span>
+            <input
+              type="text"
+              value={approverName}
+              onChange={(e) => setApproverName(e.target.value)}
+              placeholder="Approver name"
+              style={inputStyle}
+            />
+            <button type="button" onClick={approve} disabled={isWorking || reportHidden} style={smallButtonStyle}>
+              Approve
+            </button>
+            <button type="button" onClick={onReturn} disabled={isWorking} style={smallButtonStyle}>
+              Return to Counting
+            </button>
+            {reportHidden && (
+              <span style={{ color: '#6b46c1' }}>Unlock the report with the supervisor PIN before approving.</span>
+            )}
+          </>
+        )}
+
+        {(session.status === 'approved' || session.status === 'closed') && (
+          <>
+            <span style={{ flex: 1 }}>
+              Counted by <strong>{session.counterName}</strong>, approved by <strong>{session.approverName}</strong>.
+              {session.audit && ` Audit trail: ${session.audit.entryCount} entries.`}
+            </span>
+            <button type="button" onClick={verify} disabled={isWorking} style={smallButtonStyle}>
+              Verify Audit Trail
+            </button>
+            {session.status === 'approved' && (
+              <button
+                type="button"
+                onClick={() => {
+                  if (window.confirm('Close this count? Closing records that the paperwork is done.')) onClose();
+                }}
+                disabled={isWorking}
+                style={smallButtonStyle}
+              >
+                Close Count
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LifecyclePanel;
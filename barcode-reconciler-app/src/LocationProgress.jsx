@@ -0,0 +1,45 @@
+import React from 'react';
+
+// Per-location completeness table so counters can see which bins are finished
+const LocationProgress = ({ progress }) => (
+  <div style={{
+    padding: '20px',
+    backgroundColor: '#f8faff',
+    borderRadius: '12px',
+    marginBottom: '32px',
+    border: '1px solid rgba(0, 87, 184, 0.1)',
+    boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)',
+    maxHeight: '320px',
+    overflowY: 'auto'
+  }}>
+    <ul style={{ listStyleType: 'none', padding: 0, margin: 0, display: 'grid', gap: '8px' }}>
+      {progress.map(entry => {
+        const percent = entry.expected > 0 ? Math.round((entry.found / entry.expected) * 100) : 0;
+        const isComplete = entry.expected > 0 && entry.found === entry.expected;
+        return (
+          <li key={entry.location} style={{ display: 'grid', gap: '4px', textAlign: 'left' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.9rem' }}>
+              <strong style={{ color: '#003087' }}>{entry.location}</strong>
+              {isComplete && <span style={{ color: '#2f855a' }}>✔ Complete</span>}
+              {entry.misplacedHere > 0 && (
+                <span style={{ color: '#c05621' }}>{entry.misplacedHere} misplaced here</span>
+              )}
+              <span style={{ marginLeft: 'auto', color: '#666' }}>
+                {entry.found} / {entry.expected} ({percent}%)
+              </span>
+            </div>
+            <div style={{ height: '6px', borderRadius: '3px', backgroundColor: '#e3e8f3', overflow: 'hidden' }}>
+              <div style={{
+                width: `${percent}%`,
+                height: '100%',
+                backgroundColor: isComplete ? '#2f855a' : '#0057b8'
+              }} />
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  </div>
+);
+
+export default LocationProgress;
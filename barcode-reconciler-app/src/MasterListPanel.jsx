@@ -0,0 +1,186 @@
+import React, { useMemo, useState } from 'react';
+import VirtualList from './VirtualList';
+import { formatValue } from './lib/valuation';
+
+const smallButtonStyle = {
+  padding: '8px 14px',
+  fontSize: '0.9rem',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  fontSize: '0.95rem',
+  borderRadius: '8px',
+  border: '2px solid #e2e8f0',
+  boxSizing: 'border-box',
+  marginBottom: '8px',
+};
+
+const ROW_HEIGHT = 64;
+const LIST_HEIGHT = 400;
+
+// Button that opens a file picker; `confirmMessage` is asked first, if given
+const FileButton = ({ label, confirmMessage, onFile }) => (
+  <label
+    style={smallButtonStyle}
+    onClick={(e) => {
+      if (confirmMessage && !window.confirm(confirmMessage)) e.preventDefault();
+    }}
+  >
+    {label}
+    <input
+      type="file"
+      accept=".csv,.xlsx,.xls,.txt"
+      style={{ display: 'none' }}
+      onChange={(e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) onFile(file);
+      }}
+    />
+  </label>
+);
+
+// Every field of a record as searchable text
+const searchTextOf = (record) => [
+  record.instrument,
+  record.serial,
+  record.item,
+  record.location,
+  record.site,
+  record.warehouse,
+  record.category,
+  record.sourceFile,
+  ...Object.values(record.extra || {}),
+].filter(Boolean).join(' ').toLowerCase();
+
+const secondaryLine = (record) => [
+  record.serial && `S/N: ${record.serial}`,
+  record.item && `Item: ${record.item}`,
+  record.location && `Loc: ${record.location}`,
+  record.site && `Site: ${record.site}`,
+  record.warehouse && `Whse: ${record.warehouse}`,
+  record.category && `Cat: ${record.category}`,
+  record.unitCost != null && `Cost: ${formatValue(record.unitCost)}`,
+  ...Object.entries(record.extra || {}).map(([name, value]) => `${name}: ${value}`),
+].filter(Boolean).join(' · ');
+
+// Manage the loaded master list: merge in more exports, replace or clear it,
+// and browse its rows. `flaggedScans` are scans that stopped matching when
+// the list last changed. In a blind count the rows stay hidden.
+const MasterListPanel = ({ masterList, sourceFiles, hidden, flaggedScans, onMerge, onReplace, onClear }) => {
+  const [query, setQuery] = useState('');
+  const records = useMemo(() => [...masterList.values()], [masterList]);
+  const searchIndex = useMemo(() => records.map(record => [record, searchTextOf(record)]), [records]);
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const filtered = terms.length === 0
+    ? records
+    : searchIndex.filter(([, text]) => terms.every(term => text.includes(term))).map(([record]) => record);
+
+  return (
+    <div style={{
+      padding: '16px',
+      marginBottom: '16px',
+      borderRadius: '8px',
+      backgroundColor: 'rgba(0, 87, 184, 0.05)',
+      border: '1px solid rgba(0, 87, 184, 0.1)',
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+        <span style={{ flex: 1 }}>
+          <strong>Master list:</strong> {sourceFiles.length > 0 ? sourceFiles.join(' + ') : 'loaded'}
+          {!hidden && ` · ${masterList.size} instruments`}
+        </span>
+        <FileButton label="Merge Another Export" onFile={onMerge} />
+        <FileButton
+          label="Replace…"
+          confirmMessage="Replace the master list with another export? Scans are kept and matched against the new list."
+          onFile={onReplace}
+        />
+        <button
+          type="button"
+          onClick={() => {
+            if (window.confirm('Clear the master list? Scans are kept and matched again when a new list is loaded.')) {
+              onClear();
+            }
+          }}
+          style={smallButtonStyle}
+        >
+          Clear
+        </button>
+      </div>
+
+      {flaggedScans.length > 0 && (
+        <div style={{ marginTop: '12px', color: '#c05621' }}>
+          {flaggedScans.length} scan(s) no longer match the master list and are now counted as excess:
+          <ul style={{ margin: '4px 0 0', paddingLeft: '20px', maxHeight: '120px', overflowY: 'auto' }}>
+            {flaggedScans.map(event => (
+              <li key={event.id}>
+                {event.value}{!hidden && ` (was ${event.noLongerMatches})`}
+                {event.counter && ` · ${event.counter}`} · {new Date(event.timestamp).toLocaleString()}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!hidden && (
+        <details style={{ marginTop: '12px' }}>
+          <summary style={{ cursor: 'pointer', color: '#0057b8' }}>View master list</summary>
+          <div style={{ marginTop: '12px' }}>
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search any field, e.g. serial, item or location"
+              style={inputStyle}
+            />
+            <p style={{ color: '#666', fontSize: '0.85rem', margin: '0 0 8px' }}>
+              {filtered.length} of {records.length} rows
+            </p>
+            <VirtualList
+              items={filtered}
+              rowHeight={ROW_HEIGHT}
+              height={LIST_HEIGHT}
+              getKey={record => record.instrument}
+              style={{ border: '1px solid #e2e8f0', borderRadius: '8px', backgroundColor: 'white' }}
+              renderItem={record => (
+                <div style={{
+                  height: `${ROW_HEIGHT}px`,
+                  padding: '8px 12px',
+                  boxSizing: 'border-box',
+                  borderBottom: '1px solid #eef1f7',
+                  overflow: 'hidden'
+                }}>
+                  <div style={{ fontWeight: '600', color: '#003087' }}>
+                    {record.instrument}
+                    {sourceFiles.length > 1 && record.sourceFile && (
+                      <span style={{ fontWeight: 'normal', color: '#666', fontSize: '0.8rem' }}> · {record.sourceFile}</span>
+                    )}
+                  </div>
+                  <div style={{
+                    color: '#666',
+                    fontSize: '0.85rem',
+                    whiteSpace: 'nowrap',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis'
+                  }} title={secondaryLine(record)}>
+                    {secondaryLine(record) || '—'}
+                  </div>
+                </div>
+              )}
+            />
+          </div>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default MasterListPanel;
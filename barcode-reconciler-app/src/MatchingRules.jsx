@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { DEFAULT_RULES } from './lib/matching';
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  fontSize: '0.95rem',
+  borderRadius: '8px',
+  border: '2px solid #e2e8f0',
+  boxSizing: 'border-box',
+};
+
+const labelStyle = { display: 'block', color: '#4a5568', fontSize: '0.9rem', marginBottom: '12px' };
+
+const smallButtonStyle = {
+  padding: '8px 14px',
+  fontSize: '0.9rem',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+const splitList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+// Rewrites are edited one per line as "pattern => replacement"
+const formatRewrites = (rewrites) => rewrites.map(r => `${r.pattern} => ${r.replacement}`).join('\n');
+
+const parseRewrites = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => {
+    const [pattern, ...rest] = line.split('=>');
+    return { pattern: pattern.trim(), replacement: rest.join('=>').trim() };
+  });
+
+const toDraft = (rules) => ({
+  ...rules,
+  stripPrefixes: rules.stripPrefixes.join(', '),
+  stripSuffixes: rules.stripSuffixes.join(', '),
+  rewrites: formatRewrites(rules.rewrites),
+});
+
+// Per-device normalization rules applied before scanned values are matched
+const MatchingRules = ({ rules, onSave }) => {
+  const [draft, setDraft] = useState(() => toDraft(rules));
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const handleSave = () => {
+    const rewrites = parseRewrites(draft.rewrites);
+    const invalid = rewrites.find(rewrite => {
+      try {
+        new RegExp(rewrite.pattern);
+        return false;
+      } catch {
+        return true;
+      }
+    });
+    if (invalid) {
+      alert(`"${invalid.pattern}" is not a valid regular expression.`);
+      return;
+    }
+    onSave({
+      ...draft,
+      stripPrefixes: splitList(draft.stripPrefixes),
+      stripSuffixes: splitList(draft.stripSuffixes),
+      padLength: Number(draft.padLength) || 0,
+      rewrites,
+    });
+  };
+
+  return (
+    <details style={{ marginBottom: '20px', textAlign: 'left' }}>
+      <summary style={{ cursor: 'pointer', color: '#0057b8' }}>Matching rules</summary>
+      <div style={{
+        marginTop: '12px',
+        padding: '16px',
+        borderRadius: '8px',
+        border: '1px solid rgba(0, 87, 184, 0.1)',
+        backgroundColor: '#f8faff'
+      }}>
+        <label style={labelStyle}>
+          Strip prefixes (comma separated)
+          <input
+            type="text"
+            value={draft.stripPrefixes}
+            onChange={(e) => update({ stripPrefixes: e.target.value })}
+            placeholder="e.g. S, SN:"
+            style={inputStyle}
+          />
+        </label>
+        <label style={labelStyle}>
+          Strip suffixes (comma separated)
+          <input
+            type="text"
+            value={draft.stripSuffixes}
+            onChange={(e) => update({ stripSuffixes: e.target.value })}
+            placeholder="e.g. /A"
+            style={inputStyle}
+          />
+        </label>
+        <label style={labelStyle}>
+          <input
+            type="checkbox"
+            checked={draft.ignoreSeparators}
+            onChange={(e) => update({ ignoreSeparators: e.target.checked })}
+          />{' '}
+          Ignore dashes, spaces, dots and slashes
+        </label>
+        <label style={labelStyle}>
+          <input
+            type="checkbox"
+            checked={draft.foldConfusables}
+            onChange={(e) => update({ foldConfusables: e.target.checked })}
+          />{' '}
+          Treat letter O as zero and letter I as one
+        </label>
+        <label style={labelStyle}>
+          Leading zeros{' '}
+          <select value={draft.zeros} onChange={(e) => update({ zeros: e.target.value })}>
+            <option value="keep">Keep as scanned</option>
+            <option value="strip">Strip leading zeros</option>
+            <option value="pad">Pad numbers with zeros</option>
+          </select>
+          {draft.zeros === 'pad' && (
+            <>
+              {' '}to{' '}
+              <input
+                type="number"
+                min="1"
+                value={draft.padLength}
+                onChange={(e) => update({ padLength: e.target.value })}
+                style={{ ...inputStyle, width: '80px', display: 'inline-block' }}
+              />{' '}digits
+            </>
+          )}
+        </label>
+        <label style={labelStyle}>
+          Regex rewrites, one per line as <code>pattern =&gt; replacement</code>
+          <textarea
+            value={draft.rewrites}
+            onChange={(e) => update({ rewrites: e.target.value })}
+            rows={3}
+            placeholder="^0*(\d{6})$ => $1"
+            style={{ ...inputStyle, fontFamily: 'monospace' }}
+          />
+        </label>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button type="button" onClick={handleSave} style={smallButtonStyle}>Save Rules</button>
+          <button
+            type="button"
+            onClick={() => {
+              setDraft(toDraft(DEFAULT_RULES));
+              onSave(DEFAULT_RULES);
+            }}
+            style={smallButtonStyle}
+          >
+            Reset to Exact Matching
+          </button>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default MatchingRules;
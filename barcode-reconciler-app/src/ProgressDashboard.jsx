@@ -0,0 +1,273 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  counterRates,
+  estimateCompletion,
+  groupCompletion,
+  overallCompletion,
+  scanTimeline,
+} from './lib/progress';
+
+const cardStyle = {
+  padding: '16px',
+  backgroundColor: 'white',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.1)',
+  textAlign: 'left'
+};
+
+const headingStyle = { color: '#003087', fontSize: '1rem', fontWeight: '600', margin: '0 0 8px' };
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '0.85rem',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+// Rates and the estimate are refreshed this often even without new scans
+const TICK_MS = 30 * 1000;
+const HISTORY_LIMITS = [5, 10, 20];
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const ProgressBar = ({ percent, complete }) => (
+  <div style={{ height: '6px', borderRadius: '3px', backgroundColor: '#e3e8f3', overflow: 'hidden' }}>
+    <div style={{ width: `${percent}%`, height: '100%', backgroundColor: complete ? '#2f855a' : '#0057b8' }} />
+  </div>
+);
+
+// Bar chart of scans per time bucket
+const TimelineChart = ({ timeline }) => {
+  const width = 600;
+  const height = 140;
+  const bottom = 20;
+  const { buckets, bucketMs } = timeline;
+  const max = Math.max(1, ...buckets.map(bucket => bucket.count));
+  const barWidth = width / Math.max(1, buckets.length);
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto' }} role="img" aria-label="Scans over time">
+      <line x1="0" y1={height - bottom} x2={width} y2={height - bottom} stroke="#cbd5e0" />
+      {buckets.map((bucket, i) => {
+        const barHeight = ((height - bottom - 16) * bucket.count) / max;
+        return (
+          <rect
+            key={bucket.start}
+            x={i * barWidth + 1}
+            y={height - bottom - barHeight}
+            width={Math.max(1, barWidth - 2)}
+            height={barHeight}
+            fill="#0057b8"
+          >
+            <title>{`${formatTime(bucket.start)}: ${bucket.count} scan(s)`}</title>
+          </rect>
+        );
+      })}
+      <text x="0" y="12" fontSize="11" fill="#666">{max} per {formatDuration(bucketMs)}</text>
+      {buckets.length > 0 && (
+        <>
+          <text x="0" y={height - 4} fontSize="11" fill="#666">{formatTime(buckets[0].start)}</text>
+          <text x={width} y={height - 4} fontSize="11" fill="#666" textAnchor="end">
+            {formatTime(buckets[buckets.length - 1].start + bucketMs)}
+          </text>
+        </>
+      )}
+    </svg>
+  );
+};
+
+// Line chart of accuracy per count, oldest first, ending with this count
+const TrendChart = ({ points }) => {
+  const width = 600;
+  const height = 160;
+  const pad = { left: 36, right: 16, top: 12, bottom: 24 };
+  const step = points.length > 1 ? (width - pad.left - pad.right) / (points.length - 1) : 0;
+  const x = (i) => pad.left + (points.length > 1 ? i * step : (width - pad.left - pad.right) / 2);
+  const y = (accuracy) => pad.top + (1 - accuracy) * (height - pad.top - pad.bottom);
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto' }} role="img" aria-label="Accuracy trend">
+      {[0, 0.5, 1].map(level => (
+        <g key={level}>
+          <line x1={pad.left} y1={y(level)} x2={width - pad.right} y2={y(level)} stroke="#e2e8f0" />
+          <text x={pad.left - 4} y={y(level) + 4} fontSize="11" fill="#666" textAnchor="end">{level * 100}%</text>
+        </g>
+      ))}
+      <polyline
+        points={points.map((point, i) => `${x(i)},${y(point.accuracy)}`).join(' ')}
+        fill="none"
+        stroke="#0057b8"
+        strokeWidth="2"
+      />
+      {points.map((point, i) => (
+        <g key={point.sessionId}>
+          <circle cx={x(i)} cy={y(point.accuracy)} r="4" fill={point.current ? '#2f855a' : '#0057b8'}>
+            <title>
+              {`${point.current ? 'This count' : new Date(point.startedAt).toLocaleDateString()}: ${Math.round(point.accuracy * 100)}% (${point.matched} of ${point.expected})`}
+            </title>
+          </circle>
+          <text x={x(i)} y={height - 6} fontSize="10" fill="#666" textAnchor="middle">
+            {point.current ? 'Now' : new Date(point.startedAt).toLocaleDateString([], { month: 'short', day: 'numeric' })}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Live view of how the count is going, built from the scan log. Earlier
+// counts at the same site are only loaded on request, since each one is
+// reconciled from its stored scans.
+const ProgressDashboard = ({ report, masterList, events, site, onLoadHistory }) => {
+  const [tick, setTick] = useState(() => Date.now());
+  const [groupBy, setGroupBy] = useState('location');
+  const [historyLimit, setHistoryLimit] = useState(HISTORY_LIMITS[0]);
+  const [history, setHistory] = useState(null);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+
+  useEffect(() => {
+    const timer = setInterval(() => setTick(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const lastEventAt = events.length > 0 ? events[events.length - 1].timestamp : 0;
+  const now = Math.max(tick, lastEventAt);
+  const overall = overallCompletion(report);
+  const groups = useMemo(() => groupCompletion(masterList, report, groupBy), [masterList, report, groupBy]);
+  const rates = useMemo(() => counterRates(events, now), [events, now]);
+  const timeline = useMemo(() => scanTimeline(events, now), [events, now]);
+  const estimate = useMemo(() => estimateCompletion(report, events, now), [report, events, now]);
+
+  const loadHistory = async () => {
+    setIsLoadingHistory(true);
+    try {
+      setHistory(await onLoadHistory(historyLimit));
+    } catch (error) {
+      console.error("Error loading past counts:", error);
+      alert("Error loading past counts. Check console.");
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  };
+
+  const trendPoints = history && [
+    ...[...history].reverse(),
+    {
+      sessionId: 'current',
+      current: true,
+      expected: report.totalExpected,
+      matched: report.matched.length,
+      accuracy: report.totalExpected > 0 ? report.matched.length / report.totalExpected : 0,
+    },
+  ];
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '16px', marginBottom: '32px' }}>
+      <div style={cardStyle}>
+        <h4 style={headingStyle}>Complete</h4>
+        <div style={{ fontSize: '1.5rem', fontWeight: '600', color: '#003087', marginBottom: '4px' }}>
+          {overall.percent}%
+        </div>
+        <ProgressBar percent={overall.percent} complete={overall.expected > 0 && overall.found === overall.expected} />
+        <p style={{ color: '#666', fontSize: '0.9rem', margin: '8px 0 0' }}>
+          {overall.found} of {overall.expected} expected instruments found.
+          {estimate.remaining === 0 && overall.expected > 0 && ' Everything expected has been found.'}
+          {estimate.finishAt && ` At ${estimate.perMinute.toFixed(1)} per minute, done around ${formatTime(estimate.finishAt)} (${formatDuration(estimate.finishAt - now)}).`}
+          {estimate.remaining > 0 && !estimate.finishAt && ' No finish estimate until more is found.'}
+        </p>
+      </div>
+
+      <div style={cardStyle}>
+        <h4 style={headingStyle}>Scans per minute</h4>
+        {rates.length === 0 ? (
+          <p style={{ color: '#666', margin: 0 }}>No scans yet.</p>
+        ) : (
+          <table style={{ width: '100%', fontSize: '0.9rem', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: '#666', textAlign: 'left' }}>
+                <th style={{ fontWeight: 'normal' }}>Counter</th>
+                <th style={{ fontWeight: 'normal' }}>Scans</th>
+                <th style={{ fontWeight: 'normal' }}>Average</th>
+                <th style={{ fontWeight: 'normal' }}>Last 15 min</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rates.map(rate => (
+                <tr key={rate.counter}>
+                  <td>{rate.counter}</td>
+                  <td>{rate.scans}</td>
+                  <td>{rate.perMinute.toFixed(1)}</td>
+                  <td>{rate.recentPerMinute.toFixed(1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div style={{ ...cardStyle, gridColumn: '1 / -1' }}>
+        <h4 style={headingStyle}>Scan activity</h4>
+        {timeline.buckets.length === 0
+          ? <p style={{ color: '#666', margin: 0 }}>No scans yet.</p>
+          : <TimelineChart timeline={timeline} />}
+      </div>
+
+      <div style={{ ...cardStyle, gridColumn: '1 / -1' }}>
+        <h4 style={{ ...headingStyle, display: 'flex', alignItems: 'center', gap: '8px' }}>
+          Complete by
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+            <option value="location">Location</option>
+            <option value="item">Item</option>
+          </select>
+        </h4>
+        <ul style={{ listStyleType: 'none', padding: 0, margin: 0, display: 'grid', gap: '8px', maxHeight: '240px', overflowY: 'auto' }}>
+          {groups.map(group => (
+            <li key={group.key} style={{ display: 'grid', gap: '4px' }}>
+              <div style={{ display: 'flex', fontSize: '0.9rem' }}>
+                <strong style={{ color: '#003087' }}>
+                  {group.key || (groupBy === 'item' ? 'No item number' : 'No location')}
+                </strong>
+                <span style={{ marginLeft: 'auto', color: '#666' }}>
+                  {group.found} / {group.expected} ({group.percent}%)
+                </span>
+              </div>
+              <ProgressBar percent={group.percent} complete={group.found === group.expected} />
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div style={{ ...cardStyle, gridColumn: '1 / -1' }}>
+        <h4 style={{ ...headingStyle, display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+          Accuracy trend{site ? ` at ${site}` : ''}
+          <select value={historyLimit} onChange={(e) => setHistoryLimit(Number(e.target.value))}>
+            {HISTORY_LIMITS.map(limit => <option key={limit} value={limit}>Last {limit} counts</option>)}
+          </select>
+          <button type="button" onClick={loadHistory} disabled={isLoadingHistory} style={smallButtonStyle}>
+            {history ? 'Refresh' : 'Compare'}
+          </button>
+        </h4>
+        {history && history.length === 0 && (
+          <p style={{ color: '#666', margin: 0 }}>No earlier counts with a master list at this site on this device.</p>
+        )}
+        {history && history.length > 0 && (
+          <>
+            <TrendChart points={trendPoints} />
+            <p style={{ color: '#666', fontSize: '0.85rem', margin: '4px 0 0' }}>
+              Accuracy is the share of expected instruments found once, in their own location.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProgressDashboard;
@@ -0,0 +1,160 @@
+import React from 'react';
+import { RECOUNT_KINDS, groupByLocation } from './lib/recount';
+import { unsettledEscalations } from './lib/valuation';
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '0.85rem',
+  borderRadius: '6px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+const RESOLUTION_COLORS = {
+  pending: '#c05621',
+  resolved: '#2f855a',
+  confirmed: '#6b46c1',
+};
+
+const describeFirstCount = (item) => {
+  if (item.kind === 'short') return `Scanned ${item.firstCount} time(s)`;
+  if (item.kind === 'misplaced') return `Found in ${item.foundLocations.join(', ')}`;
+  if (item.kind === 'excess') return `Scanned ${item.firstCount} time(s), not in master list`;
+  return 'Not scanned';
+};
+
+// Recount of the first pass's variances: start it, work through the list
+// grouped by location (scans in step 2 confirm items), mark items that cannot
+// be found, and finish it. Once finished the list stays as the record of how
+// each variance was resolved. Items escalated by the tolerance rules when the
+// recount started must be recounted before the recount can be finished.
+const RecountPanel = ({ recount, resolutions, varianceCount, escalations, onStart, onMarkNotFound, onFinish }) => {
+  if (!recount) {
+    if (varianceCount === 0) return null;
+    return (
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px',
+        flexWrap: 'wrap',
+        padding: '12px 16px',
+        marginBottom: '24px',
+        borderRadius: '8px',
+        backgroundColor: 'rgba(0, 87, 184, 0.08)',
+        textAlign: 'left'
+      }}>
+        <span style={{ flex: 1 }}>
+          {varianceCount} variance(s) after the first pass. Start a recount to check only those items.
+          {escalations.size > 0 && (
+            <strong style={{ color: '#cc0000' }}> {escalations.size} escalated item(s) must be recounted.</strong>
+          )}
+        </span>
+        <button type="button" onClick={onStart} style={smallButtonStyle}>Start Recount</button>
+      </div>
+    );
+  }
+
+  const statusCounts = { pending: 0, resolved: 0, confirmed: 0 };
+  resolutions.forEach(resolution => { statusCounts[resolution.status] += 1; });
+  const isOpen = !recount.completedAt;
+  const pendingEscalated = unsettledEscalations(escalations, recount, resolutions).length;
+
+  return (
+    <div style={{
+      padding: '16px 20px',
+      marginBottom: '32px',
+      borderRadius: '12px',
+      border: '1px solid rgba(0, 87, 184, 0.2)',
+      backgroundColor: '#f8faff',
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <h3 style={{ color: '#003087', margin: 0, flex: 1 }}>
+          {isOpen ? 'Recount in Progress' : 'Recount Results'}
+        </h3>
+        <span style={{ color: '#4a5568', fontSize: '0.9rem' }}>
+          {statusCounts.resolved} resolved · {statusCounts.confirmed} confirmed · {statusCounts.pending} not recounted
+        </span>
+        {isOpen && (
+          <button
+            type="button"
+            onClick={() => {
+              if (pendingEscalated > 0) {
+                alert(`${pendingEscalated} escalated item(s) have not been recounted. Recount them or mark them not found first.`);
+                return;
+              }
+              if (statusCounts.pending === 0 ||
+                  window.confirm(`${statusCounts.pending} item(s) have not been recounted. Finish the recount anyway?`)) {
+                onFinish();
+              }
+            }}
+            style={smallButtonStyle}
+          >
+            Finish Recount
+          </button>
+        )}
+      </div>
+      {isOpen ? (
+        <p style={{ color: '#666', fontSize: '0.9rem', marginTop: 0 }}>
+          Scan each item in step 2 to confirm it. Scans taken now replace the first count for that item.
+          Mark items you cannot find as not found.
+        </p>
+      ) : (
+        <p style={{ color: '#666', fontSize: '0.9rem', marginTop: 0 }}>
+          Started {new Date(recount.startedAt).toLocaleString()}, finished {new Date(recount.completedAt).toLocaleString()}.
+        </p>
+      )}
+
+      <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+        {groupByLocation(recount.items).map(group => (
+          <div key={group.location} style={{ marginBottom: '12px' }}>
+            <strong style={{ color: '#0057b8' }}>{group.location || 'No expected location'}</strong>
+            <ul style={{ listStyleType: 'none', padding: 0, margin: '4px 0 0', display: 'grid', gap: '6px' }}>
+              {group.items.map(item => {
+                const resolution = resolutions.get(item.key);
+                const reasons = item.instrument && escalations.get(item.instrument);
+                return (
+                  <li key={item.key} style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    flexWrap: 'wrap',
+                    padding: '8px 12px',
+                    backgroundColor: 'white',
+                    borderRadius: '8px',
+                    boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)'
+                  }}>
+                    <span style={{ flex: 1 }}>
+                      <strong>{item.number}</strong>
+                      {item.serial && <span style={{ color: '#666' }}> · S/N {item.serial}</span>}
+                      <span style={{ display: 'block', color: '#666', fontSize: '0.85rem' }}>
+                        First count: {RECOUNT_KINDS[item.kind]}, {describeFirstCount(item)}
+                      </span>
+                      {reasons && (
+                        <span style={{ display: 'block', color: '#cc0000', fontSize: '0.85rem' }}>
+                          Mandatory recount: {reasons.join(', ')}
+                        </span>
+                      )}
+                    </span>
+                    <span style={{ color: RESOLUTION_COLORS[resolution.status], fontSize: '0.9rem' }}>
+                      {resolution.label}
+                    </span>
+                    {isOpen && resolution.status === 'pending' && (
+                      <button type="button" onClick={() => onMarkNotFound(item)} style={smallButtonStyle}>
+                        Not Found
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RecountPanel;
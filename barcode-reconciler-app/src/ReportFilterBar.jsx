@@ -0,0 +1,109 @@
+import React from 'react';
+import {
+  DEFAULT_REPORT_FILTER,
+  GROUP_OPTIONS,
+  REPORT_SECTIONS,
+  SORT_OPTIONS,
+  isFiltered,
+} from './lib/reportFilter';
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  fontSize: '0.95rem',
+  borderRadius: '8px',
+  border: '2px solid #e2e8f0',
+  boxSizing: 'border-box',
+  marginBottom: '8px',
+};
+
+const labelStyle = { color: '#4a5568', fontSize: '0.9rem' };
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '0.85rem',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+// Search, status and location filters, sorting and grouping shared by every
+// report section. The exports follow the same view.
+const ReportFilterBar = ({ filter, locations, shownCount, totalCount, onChange }) => {
+  const update = (changes) => onChange({ ...filter, ...changes });
+
+  const toggleSection = (key, shown) => {
+    update({
+      sections: shown
+        ? REPORT_SECTIONS.map(section => section.key).filter(k => k === key || filter.sections.includes(k))
+        : filter.sections.filter(k => k !== key),
+    });
+  };
+
+  return (
+    <div style={{
+      position: 'sticky',
+      top: 0,
+      zIndex: 1,
+      padding: '12px 16px',
+      marginBottom: '24px',
+      borderRadius: '8px',
+      border: '1px solid rgba(0, 87, 184, 0.1)',
+      backgroundColor: '#f8faff',
+      textAlign: 'left'
+    }}>
+      <input
+        type="search"
+        value={filter.query}
+        onChange={(e) => update({ query: e.target.value })}
+        placeholder="Search instrument, serial, item, location or notes"
+        style={inputStyle}
+      />
+      <div style={{ display: 'flex', gap: '4px 12px', flexWrap: 'wrap', marginBottom: '8px' }}>
+        {REPORT_SECTIONS.map(section => (
+          <label key={section.key} style={labelStyle}>
+            <input
+              type="checkbox"
+              checked={filter.sections.includes(section.key)}
+              onChange={(e) => toggleSection(section.key, e.target.checked)}
+            />{' '}
+            {section.label}
+          </label>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '8px 16px', flexWrap: 'wrap', alignItems: 'center' }}>
+        <label style={labelStyle}>
+          Location{' '}
+          <select value={filter.location} onChange={(e) => update({ location: e.target.value })}>
+            <option value="">All locations</option>
+            {locations.map(location => <option key={location} value={location}>{location}</option>)}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Sort by{' '}
+          <select value={filter.sort} onChange={(e) => update({ sort: e.target.value })}>
+            {SORT_OPTIONS.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Group by{' '}
+          <select value={filter.groupBy} onChange={(e) => update({ groupBy: e.target.value })}>
+            {GROUP_OPTIONS.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+          </select>
+        </label>
+        <span style={{ ...labelStyle, marginLeft: 'auto' }}>
+          {isFiltered(filter) ? `Showing ${shownCount} of ${totalCount} lines` : `${totalCount} lines`}
+        </span>
+        {isFiltered(filter) && (
+          <button type="button" onClick={() => onChange({ ...DEFAULT_REPORT_FILTER, sort: filter.sort, groupBy: filter.groupBy })} style={smallButtonStyle}>
+            Clear Filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReportFilterBar;
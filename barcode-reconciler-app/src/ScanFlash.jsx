@@ -0,0 +1,38 @@
+import React, { useEffect, useRef } from 'react';
+import { FEEDBACK_OUTCOMES } from './lib/scanFeedback';
+
+const FLASH_MS = 450;
+
+// Full-screen colored flash for a scan outcome. `flash` is { id, outcome };
+// a new id replays the flash. Clicks pass through to the page underneath.
+const ScanFlash = ({ flash, onDone }) => {
+  const overlayRef = useRef(null);
+
+  useEffect(() => {
+    if (!flash || !overlayRef.current) return undefined;
+    const animation = overlayRef.current.animate(
+      [{ opacity: 0.55 }, { opacity: 0 }],
+      { duration: FLASH_MS, easing: 'ease-out', fill: 'forwards' },
+    );
+    animation.onfinish = onDone;
+    return () => animation.cancel();
+  }, [flash, onDone]);
+
+  if (!flash) return null;
+  return (
+    <div
+      ref={overlayRef}
+      aria-hidden="true"
+      style={{
+        position: 'fixed',
+        inset: 0,
+        zIndex: 1000,
+        pointerEvents: 'none',
+        backgroundColor: FEEDBACK_OUTCOMES[flash.outcome].color,
+        opacity: 0,
+      }}
+    />
+  );
+};
+
+export default ScanFlash;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { isOwnEvent } from './lib/scanLog';
+import { formatGs1 } from './lib/gs1';
+
+const SOURCE_LABELS = {
+  wedge: 'Scanner',
+  camera: 'Camera',
+  manual: 'Manual',
+  import: 'Imported file',
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '0.85rem',
+  borderRadius: '6px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+const inputStyle = {
+  padding: '8px 12px',
+  fontSize: '1rem',
+  borderRadius: '8px',
+  border: '2px solid #e2e8f0',
+};
+
+// In a blind count the history shows what was scanned, not how it matched
+const describeEvent = (event, blind) => {
+  if (event.type === 'set-quantity') {
+    return <>Count of <strong>{event.instrument}</strong> set to {event.quantity}</>;
+  }
+  if (event.type === 'recount') {
+    return <span style={{ color: '#6b46c1' }}>Recount: <strong>{event.value}</strong> not found</span>;
+  }
+  if (event.type === 'location') {
+    return event.location
+      ? <span style={{ color: '#0057b8' }}>📍 Location set to <strong>{event.location}</strong></span>
+      : <span style={{ color: '#0057b8' }}>📍 Location cleared</span>;
+  }
+  return (
+    <>
+      <strong>{event.value}</strong>
+      {!blind && (event.instrument
+        ? event.instrument !== event.value && <> → {event.instrument}</>
+        : <span style={{ color: '#c05621' }}>
+          {event.noLongerMatches ? ` (excess, was ${event.noLongerMatches} before the master list changed)` : ' (excess)'}
+        </span>)}
+      {event.location && <span style={{ color: '#666' }}> @ {event.location}</span>}
+      {event.phase === 'recount' && <span style={{ color: '#6b46c1' }}> (recount)</span>}
+      {event.gs1 && (
+        <span style={{ display: 'block', fontSize: '0.8rem', color: '#666', fontFamily: 'monospace' }}>
+          {formatGs1(event.gs1)}
+        </span>
+      )}
+    </>
+  );
+};
+
+// Scrollable scan log (newest first) with undo, per-event delete and a form
+// to set an instrument's counted quantity directly
+const ScanHistory = ({ events, masterList, deviceId, onUndo, onDelete, onSetQuantity, blind = false }) => {
+  const [instrument, setInstrument] = useState('');
+  const [quantity, setQuantity] = useState('');
+
+  const handleSetQuantity = (e) => {
+    e.preventDefault();
+    const record = masterList.get(instrument.trim());
+    const value = Number(quantity);
+    if (!record) {
+      alert('Enter an instrument number from the master list.');
+      return;
+    }
+    if (quantity === '' || !Number.isInteger(value) || value < 0) {
+      alert('Quantity must be a whole number of 0 or more.');
+      return;
+    }
+    onSetQuantity(record.instrument, value);
+    setInstrument('');
+    setQuantity('');
+  };
+
+  return (
+    <div style={{ marginBottom: '20px', textAlign: 'left' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+        <strong style={{ color: '#003087' }}>Scan History</strong>
+        <button
+          type="button"
+          onClick={onUndo}
+          disabled={events.length === 0}
+          style={{ ...smallButtonStyle, marginLeft: 'auto', opacity: events.length === 0 ? 0.5 : 1 }}
+        >
+          Undo Last Scan
+        </button>
+      </div>
+      <ul style={{
+        listStyleType: 'none',
+        padding: 0,
+        margin: '0 0 12px',
+        maxHeight: '220px',
+        overflowY: 'auto',
+        border: '1px solid rgba(0, 87, 184, 0.1)',
+        borderRadius: '8px'
+      }}>
+        {events.length === 0 && <li style={{ padding: '8px 12px', color: '#666' }}>No scans yet.</li>}
+        {[...events].reverse().map(event => (
+          <li key={event.id} style={{
+            padding: '6px 12px',
+            borderBottom: '1px solid #eef1f7',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            fontSize: '0.9rem'
+          }}>
+            <span style={{ color: '#666', minWidth: '80px' }}>{new Date(event.timestamp).toLocaleTimeString()}</span>
+            <span style={{ flex: 1 }}>{describeEvent(event, blind)}</span>
+            {!isOwnEvent(event, deviceId) && (
+              <span style={{ color: '#6b46c1' }}>{event.counter || 'Other device'}</span>
+            )}
+            {event.source && (
+              <span style={{ color: '#666' }} title={event.importFile}>{SOURCE_LABELS[event.source] || event.source}</span>
+            )}
+            <button
+              type="button"
+              onClick={() => onDelete(event.id)}
+              title="Remove this scan"
+              style={{ ...smallButtonStyle, color: '#cc0000', borderColor: 'rgba(204, 0, 0, 0.3)' }}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={handleSetQuantity} style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        <input
+          type="text"
+          value={instrument}
+          onChange={(e) => setInstrument(e.target.value)}
+          placeholder="Instrument number"
+          style={{ ...inputStyle, flex: 1, minWidth: '160px' }}
+        />
+        <input
+          type="number"
+          min="0"
+          value={quantity}
+          onChange={(e) => setQuantity(e.target.value)}
+          placeholder="Qty"
+          style={{ ...inputStyle, width: '80px' }}
+        />
+        <button type="submit" style={smallButtonStyle}>Set Counted Quantity</button>
+      </form>
+    </div>
+  );
+};
+
+export default ScanHistory;
@@ -0,0 +1,192 @@
+import React, { useMemo, useState } from 'react';
+import { fingerprintFile, loadScanFormat, parseScanFile, saveScanFormat } from './lib/scanFile';
+
+const PREVIEW_ROWS = 5;
+
+const smallButtonStyle = {
+  padding: '8px 14px',
+  fontSize: '0.9rem',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+const labelStyle = { fontSize: '0.9rem', color: '#4a5568' };
+
+const fieldStyle = {
+  display: 'block',
+  width: '100%',
+  padding: '6px 8px',
+  borderRadius: '6px',
+  border: '1px solid #e2e8f0',
+  boxSizing: 'border-box',
+};
+
+const cellStyle = { padding: '4px 8px', borderBottom: '1px solid #eef1f7', textAlign: 'left' };
+
+const COLUMN_FIELDS = [
+  { key: 'valueColumn', label: 'Value column' },
+  { key: 'timestampColumn', label: 'Timestamp column' },
+  { key: 'locationColumn', label: 'Location column' },
+];
+
+// Import of scan dumps from offline batch terminals: pick a file, adjust the
+// file format while watching the preview, then hand the parsed scans over.
+// `imports` lists earlier imports so a file imported before is pointed out.
+const ScanImport = ({ imports, onImport }) => {
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState(loadScanFormat);
+  const scans = useMemo(() => (file ? parseScanFile(file.text, format) : []), [file, format]);
+  const previous = file && imports.find(entry => entry.fingerprint === file.fingerprint);
+
+  const update = (changes) => setFormat(prev => ({ ...prev, ...changes }));
+
+  const handleFile = async (selected) => {
+    try {
+      const text = await selected.text();
+      setFile({ name: selected.name, text, fingerprint: await fingerprintFile(text) });
+    } catch (error) {
+      console.error("Error reading scan file:", error);
+      alert("Error reading file. Check console.");
+    }
+  };
+
+  const handleImport = () => {
+    if (scans.length === 0) {
+      alert('No scans found in this file. Check the file format settings.');
+      return;
+    }
+    if (previous && !window.confirm(
+      `${file.name} was already imported on ${new Date(previous.importedAt).toLocaleString()}. Import it again?`,
+    )) {
+      return;
+    }
+    saveScanFormat(format);
+    onImport({ fileName: file.name, fingerprint: file.fingerprint, scans });
+    setFile(null);
+  };
+
+  return (
+    <details style={{ marginBottom: '20px', textAlign: 'left' }}>
+      <summary style={{ cursor: 'pointer', color: '#0057b8' }}>Import scans from a batch terminal</summary>
+      <div style={{
+        marginTop: '12px',
+        padding: '16px',
+        borderRadius: '8px',
+        border: '1px solid rgba(0, 87, 184, 0.1)',
+        backgroundColor: '#f8faff'
+      }}>
+        <label style={{ ...smallButtonStyle, display: 'inline-block', marginBottom: '12px' }}>
+          {file ? `File: ${file.name}` : 'Choose Scan File (.txt, .csv)'}
+          <input
+            type="file"
+            accept=".txt,.csv,.dat,.log"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              const selected = e.target.files[0];
+              e.target.value = '';
+              if (selected) handleFile(selected);
+            }}
+          />
+        </label>
+
+        {file && (
+          <>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
+              gap: '12px',
+              marginBottom: '12px'
+            }}>
+              <label style={labelStyle}>
+                Layout
+                <select value={format.layout} onChange={(e) => update({ layout: e.target.value })} style={fieldStyle}>
+                  <option value="auto">Detect</option>
+                  <option value="lines">One value per line</option>
+                  <option value="delimited">Columns</option>
+                </select>
+              </label>
+              <label style={labelStyle}>
+                Delimiter
+                <select value={format.delimiter} onChange={(e) => update({ delimiter: e.target.value })} style={fieldStyle}>
+                  <option value="">Detect</option>
+                  <option value=",">Comma</option>
+                  <option value=";">Semicolon</option>
+                  <option value={'\t'}>Tab</option>
+                </select>
+              </label>
+              <label style={labelStyle}>
+                Header row
+                <select value={format.header} onChange={(e) => update({ header: e.target.value })} style={fieldStyle}>
+                  <option value="auto">Detect</option>
+                  <option value="yes">Yes</option>
+                  <option value="no">No</option>
+                </select>
+              </label>
+              {COLUMN_FIELDS.map(field => (
+                <label key={field.key} style={labelStyle}>
+                  {field.label}
+                  <input
+                    type="number"
+                    min="1"
+                    value={format[field.key] ?? ''}
+                    onChange={(e) => update({ [field.key]: e.target.value === '' ? null : Number(e.target.value) })}
+                    placeholder="Detect"
+                    style={fieldStyle}
+                  />
+                </label>
+              ))}
+              <label style={labelStyle}>
+                Date order
+                <select value={format.dateOrder} onChange={(e) => update({ dateOrder: e.target.value })} style={fieldStyle}>
+                  <option value="auto">Detect (ISO)</option>
+                  <option value="dmy">Day/Month/Year</option>
+                  <option value="mdy">Month/Day/Year</option>
+                  <option value="ymd">Year/Month/Day</option>
+                </select>
+              </label>
+            </div>
+
+            <p style={{ color: '#4a5568', fontSize: '0.9rem' }}>
+              {scans.length} scan(s) found. Lines starting with LOC: set the location for the scans after them.
+            </p>
+            {previous && (
+              <p style={{ color: '#c05621', fontSize: '0.9rem' }}>
+                This file was already imported on {new Date(previous.importedAt).toLocaleString()}.
+              </p>
+            )}
+            <table style={{ borderCollapse: 'collapse', fontSize: '0.85rem', width: '100%', marginBottom: '12px' }}>
+              <thead>
+                <tr>
+                  <th style={cellStyle}>Value</th>
+                  <th style={cellStyle}>Scanned</th>
+                  <th style={cellStyle}>Location</th>
+                </tr>
+              </thead>
+              <tbody>
+                {scans.slice(0, PREVIEW_ROWS).map((scan, index) => (
+                  <tr key={index}>
+                    <td style={cellStyle}>{scan.value}</td>
+                    <td style={cellStyle}>{scan.timestamp ? new Date(scan.timestamp).toLocaleString() : '—'}</td>
+                    <td style={cellStyle}>{scan.location || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button type="button" onClick={handleImport} style={smallButtonStyle}>
+                Import {scans.length} Scan(s)
+              </button>
+              <button type="button" onClick={() => setFile(null)} style={smallButtonStyle}>Cancel</button>
+            </div>
+          </>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default ScanImport;
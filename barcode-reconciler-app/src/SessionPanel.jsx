@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { isArchived, isFrozen, statusLabel, withLifecycle } from './lib/lifecycle';
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  fontSize: '1rem',
+  borderRadius: '8px',
+  border: '2px solid #e2e8f0',
+  boxSizing: 'border-box',
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '0.85rem',
+  borderRadius: '6px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+const formatDateTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'Not started');
+
+// Current session details plus the list of saved sessions on this device.
+// The counter and site of an approved count can no longer be edited.
+const SessionPanel = ({ session, sessions, locked, onUpdate, onStartNew, onReopen, onArchive, onDelete }) => {
+  const [showHistory, setShowHistory] = useState(false);
+  const pastSessions = sessions.filter(s => s.id !== session.id);
+
+  return (
+    <div style={{
+      padding: '16px 20px',
+      marginBottom: '24px',
+      borderRadius: '12px',
+      border: '1px solid rgba(0, 87, 184, 0.1)',
+      backgroundColor: '#f8faff',
+      textAlign: 'left'
+    }}>
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+        gap: '12px',
+        marginBottom: '12px'
+      }}>
+        <label style={{ color: '#4a5568', fontSize: '0.9rem' }}>
+          Counter Name
+          <input
+            type="text"
+            value={session.counterName}
+            onChange={(e) => onUpdate({ counterName: e.target.value })}
+            placeholder="Who is counting?"
+            disabled={locked}
+            style={inputStyle}
+          />
+        </label>
+        <label style={{ color: '#4a5568', fontSize: '0.9rem' }}>
+          Site
+          <input
+            type="text"
+            value={session.site}
+            onChange={(e) => onUpdate({ site: e.target.value })}
+            placeholder="Site or warehouse"
+            disabled={locked}
+            style={inputStyle}
+          />
+        </label>
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', color: '#666', fontSize: '0.9rem' }}>
+        <span>Started: {formatDateTime(session.startedAt)}</span>
+        <span style={{ marginLeft: 'auto', display: 'flex', gap: '8px' }}>
+          <button type="button" onClick={onStartNew} style={smallButtonStyle}>Start New Count</button>
+          <button type="button" onClick={() => setShowHistory(!showHistory)} style={smallButtonStyle}>
+            {showHistory ? 'Hide Past Sessions' : `Past Sessions (${pastSessions.length})`}
+          </button>
+        </span>
+      </div>
+
+      {showHistory && (
+        <ul style={{ listStyleType: 'none', padding: 0, margin: '12px 0 0', display: 'grid', gap: '8px' }}>
+          {pastSessions.length === 0 && <li style={{ color: '#666' }}>No other sessions saved on this device.</li>}
+          {pastSessions.map(s => (
+            <li key={s.id} style={{
+              padding: '10px 12px',
+              backgroundColor: 'white',
+              borderRadius: '8px',
+              boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              flexWrap: 'wrap',
+              opacity: isArchived(s) ? 0.6 : 1
+            }}>
+              <span style={{ flex: 1 }}>
+                <strong>{s.site || 'No site'}</strong> · {s.counterName || 'Unknown counter'}
+                <div style={{ fontSize: '0.8rem', color: '#666' }}>
+                  {formatDateTime(s.startedAt)} · {s.masterFileName || 'No master list'}
+                  {' · '}{statusLabel(withLifecycle(s).status)}
+                  {s.approverName && isFrozen(s) && ` by ${s.approverName}`}
+                  {isArchived(s) && ' · Archived'}
+                </div>
+              </span>
+              <button type="button" onClick={() => onReopen(s.id)} style={smallButtonStyle}>Reopen</button>
+              {!isArchived(s) && (
+                <button type="button" onClick={() => onArchive(s)} style={smallButtonStyle}>Archive</button>
+              )}
+              {!isFrozen(s) && (
+                <button
+                  type="button"
+                  onClick={() => onDelete(s.id)}
+                  style={{ ...smallButtonStyle, color: '#cc0000', borderColor: 'rgba(204, 0, 0, 0.3)' }}
+                >
+                  Delete
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionPanel;
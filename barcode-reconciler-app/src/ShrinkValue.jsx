@@ -0,0 +1,85 @@
+import React from 'react';
+import { formatValue } from './lib/valuation';
+
+const cardStyle = {
+  padding: '16px',
+  backgroundColor: 'white',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.1)'
+};
+
+const cellStyle = { padding: '4px 8px', borderBottom: '1px solid #eef1f7' };
+
+// "3 not valued" note for lines without a unit cost
+const unvaluedNote = (total) => (total.unvalued > 0 ? ` (${total.unvalued} not valued)` : '');
+
+// Value of the missing and excess stock, in total and per category
+// (see lib/valuation valueSummary), and how many items were escalated
+const ShrinkValue = ({ summary, escalatedCount }) => (
+  <div style={{
+    backgroundColor: '#f8faff',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '32px',
+    boxShadow: '0 2px 4px rgba(0, 0, 0, 0.05)',
+    border: '1px solid rgba(0, 87, 184, 0.1)',
+    textAlign: 'left'
+  }}>
+    <h3 style={{ color: '#003087', fontSize: '1.25rem', fontWeight: '600', marginBottom: '16px' }}>Shrink Value</h3>
+    <div style={{
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+      gap: '16px',
+      marginBottom: '16px'
+    }}>
+      <div style={cardStyle}>
+        <div style={{ color: '#666', marginBottom: '4px' }}>Missing Value</div>
+        <div style={{ fontSize: '1.5rem', fontWeight: '600', color: '#cc0000' }}>{formatValue(summary.missing.value)}</div>
+        <div style={{ color: '#666', fontSize: '0.85rem' }}>
+          {summary.missing.count} item(s){unvaluedNote(summary.missing)}
+        </div>
+      </div>
+      <div style={cardStyle}>
+        <div style={{ color: '#666', marginBottom: '4px' }}>Excess Value</div>
+        <div style={{ fontSize: '1.5rem', fontWeight: '600', color: '#c05621' }}>{formatValue(summary.excess.value)}</div>
+        <div style={{ color: '#666', fontSize: '0.85rem' }}>
+          {summary.excess.count} item(s){unvaluedNote(summary.excess)}
+        </div>
+      </div>
+      <div style={cardStyle}>
+        <div style={{ color: '#666', marginBottom: '4px' }}>Escalated for Recount</div>
+        <div style={{ fontSize: '1.5rem', fontWeight: '600', color: escalatedCount > 0 ? '#cc0000' : '#003087' }}>
+          {escalatedCount}
+        </div>
+        <div style={{ color: '#666', fontSize: '0.85rem' }}>missing item(s) breaking the tolerance rules</div>
+      </div>
+    </div>
+
+    {summary.categories.length > 0 && (
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem', backgroundColor: 'white' }}>
+        <thead>
+          <tr style={{ color: '#666', textAlign: 'left' }}>
+            <th style={cellStyle}>Category</th>
+            <th style={cellStyle}>Missing</th>
+            <th style={cellStyle}>Missing value</th>
+            <th style={cellStyle}>Excess</th>
+            <th style={cellStyle}>Excess value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summary.categories.map(entry => (
+            <tr key={entry.category}>
+              <td style={cellStyle}>{entry.category || 'No category'}</td>
+              <td style={cellStyle}>{entry.missing.count}</td>
+              <td style={cellStyle}>{formatValue(entry.missing.value)}{unvaluedNote(entry.missing)}</td>
+              <td style={cellStyle}>{entry.excess.count}</td>
+              <td style={cellStyle}>{formatValue(entry.excess.value)}{unvaluedNote(entry.excess)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+export default ShrinkValue;
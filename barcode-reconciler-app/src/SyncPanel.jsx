@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { createSyncCode } from './lib/syncClient';
+
+const inputStyle = {
+  padding: '8px 12px',
+  fontSize: '1rem',
+  borderRadius: '8px',
+  border: '2px solid #e2e8f0',
+  boxSizing: 'border-box',
+};
+
+const smallButtonStyle = {
+  padding: '8px 14px',
+  fontSize: '0.9rem',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+const DEFAULT_SERVER_PORT = 8787;
+
+const defaultServerUrl = () => `${window.location.protocol}//${window.location.hostname}:${DEFAULT_SERVER_PORT}`;
+
+// Join or leave a shared multi-device count through the sync server
+const SyncPanel = ({ sync, status, onJoin, onLeave }) => {
+  const [serverUrl, setServerUrl] = useState(defaultServerUrl);
+  const [code, setCode] = useState('');
+
+  if (sync) {
+    return (
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px',
+        flexWrap: 'wrap',
+        padding: '12px 16px',
+        marginBottom: '24px',
+        borderRadius: '8px',
+        backgroundColor: status.connected ? 'rgba(47, 133, 90, 0.08)' : 'rgba(255, 159, 67, 0.12)',
+        textAlign: 'left'
+      }}>
+        <span>
+          Shared count <strong style={{ letterSpacing: '2px' }}>{sync.code}</strong>
+          {' · '}{status.connected ? 'Connected' : 'Offline, scans are queued'}
+          {status.pending > 0 && ` · ${status.pending} waiting to sync`}
+        </span>
+        <button type="button" onClick={onLeave} style={{ ...smallButtonStyle, marginLeft: 'auto' }}>
+          Leave Shared Count
+        </button>
+      </div>
+    );
+  }
+
+  const join = (joinCode) => {
+    const trimmedCode = joinCode.trim().toUpperCase();
+    if (!serverUrl.trim() || !trimmedCode) {
+      alert('Enter the sync server address and a session code.');
+      return;
+    }
+    onJoin(serverUrl.trim(), trimmedCode);
+  };
+
+  return (
+    <details style={{ marginBottom: '24px', textAlign: 'left' }}>
+      <summary style={{ cursor: 'pointer', color: '#0057b8' }}>Count with several devices</summary>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginTop: '12px' }}>
+        <input
+          type="text"
+          value={serverUrl}
+          onChange={(e) => setServerUrl(e.target.value)}
+          placeholder="Sync server, e.g. http://192.168.1.20:8787"
+          style={{ ...inputStyle, flex: 2, minWidth: '220px' }}
+        />
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="Session code"
+          style={{ ...inputStyle, flex: 1, minWidth: '120px', textTransform: 'uppercase' }}
+        />
+        <button type="button" onClick={() => join(code)} style={smallButtonStyle}>Join</button>
+        <button type="button" onClick={() => join(createSyncCode())} style={smallButtonStyle}>Start New Shared Count</button>
+      </div>
+      <p style={{ color: '#666', fontSize: '0.85rem', margin: '8px 0 0' }}>
+        Every device that joins the same code shares the master list and sees each other's scans.
+        Set your counter name above so scans are attributed to you.
+      </p>
+    </details>
+  );
+};
+
+export default SyncPanel;
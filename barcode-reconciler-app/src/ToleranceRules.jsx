@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { DEFAULT_TOLERANCE_RULES, parseCost } from './lib/valuation';
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  fontSize: '0.95rem',
+  borderRadius: '8px',
+  border: '2px solid #e2e8f0',
+  boxSizing: 'border-box',
+};
+
+const labelStyle = { display: 'block', color: '#4a5568', fontSize: '0.9rem', marginBottom: '12px' };
+
+const smallButtonStyle = {
+  padding: '8px 14px',
+  fontSize: '0.9rem',
+  borderRadius: '8px',
+  border: '1px solid rgba(0, 87, 184, 0.3)',
+  backgroundColor: 'white',
+  color: '#0057b8',
+  cursor: 'pointer',
+};
+
+const toDraft = (rules) => ({
+  valueThreshold: rules.valueThreshold === null ? '' : String(rules.valueThreshold),
+  controlledCategories: rules.controlledCategories.join(', '),
+});
+
+// Tolerance rules of the count: missing items above a unit cost or in a
+// controlled category are escalated for a mandatory recount
+const ToleranceRules = ({ rules, onSave }) => {
+  const [draft, setDraft] = useState(() => toDraft(rules));
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const handleSave = () => {
+    const valueThreshold = parseCost(draft.valueThreshold);
+    if (draft.valueThreshold.trim() && valueThreshold === null) {
+      alert('Enter the value threshold as a number, or leave it empty.');
+      return;
+    }
+    onSave({
+      valueThreshold,
+      controlledCategories: draft.controlledCategories.split(',').map(item => item.trim()).filter(Boolean),
+    });
+  };
+
+  return (
+    <details style={{ marginBottom: '20px', textAlign: 'left' }}>
+      <summary style={{ cursor: 'pointer', color: '#0057b8' }}>Tolerance rules</summary>
+      <div style={{
+        marginTop: '12px',
+        padding: '16px',
+        borderRadius: '8px',
+        border: '1px solid rgba(0, 87, 184, 0.1)',
+        backgroundColor: '#f8faff'
+      }}>
+        <p style={{ ...labelStyle, marginTop: 0 }}>
+          Missing items that break these rules are escalated and must be recounted before the count is
+          submitted for review. They need a unit cost or category column in the master list.
+        </p>
+        <label style={labelStyle}>
+          Escalate missing items with a unit cost above
+          <input
+            type="text"
+            inputMode="decimal"
+            value={draft.valueThreshold}
+            onChange={(e) => update({ valueThreshold: e.target.value })}
+            placeholder="No limit"
+            style={inputStyle}
+          />
+        </label>
+        <label style={labelStyle}>
+          Controlled categories, always escalated (comma separated)
+          <input
+            type="text"
+            value={draft.controlledCategories}
+            onChange={(e) => update({ controlledCategories: e.target.value })}
+            placeholder="e.g. Narcotics, Precious metals"
+            style={inputStyle}
+          />
+        </label>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button type="button" onClick={handleSave} style={smallButtonStyle}>Save Rules</button>
+          <button
+            type="button"
+            onClick={() => {
+              setDraft(toDraft(DEFAULT_TOLERANCE_RULES));
+              onSave(DEFAULT_TOLERANCE_RULES);
+            }}
+            style={smallButtonStyle}
+          >
+            Clear Rules
+          </button>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default ToleranceRules;
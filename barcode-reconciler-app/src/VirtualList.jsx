@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+
+// Scrolling list that only puts the rows in view (plus a few either side)
+// into the DOM, for lists that can run to tens of thousands of records.
+// Every row is `rowHeight` pixels tall, including the gap below it.
+const VirtualList = ({ items, rowHeight, height, getKey, renderItem, overscan = 5, style }) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const totalHeight = items.length * rowHeight;
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const last = Math.min(items.length, Math.ceil((scrollTop + height) / rowHeight) + overscan);
+
+  return (
+    <div
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      style={{ ...style, height: `${Math.min(height, totalHeight)}px`, overflowY: 'auto' }}
+    >
+      <ul style={{
+        listStyleType: 'none',
+        padding: 0,
+        margin: 0,
+        position: 'relative',
+        height: `${totalHeight}px`
+      }}>
+        {items.slice(first, last).map((item, i) => (
+          <li key={getKey(item)} style={{
+            position: 'absolute',
+            top: `${(first + i) * rowHeight}px`,
+            left: 0,
+            right: 0,
+            height: `${rowHeight}px`
+          }}>
+            {renderItem(item)}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default VirtualList;
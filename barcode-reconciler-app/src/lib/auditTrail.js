@@ -0,0 +1,77 @@
+import { sha256Hex } from './hash.js';
+
+// Tamper-evident audit trail for approved counts. When a count is approved,
+// its scan log and the edits and overrides made along the way are written
+// out as a chain of entries, each carrying a SHA-256 hash over its own
+// content and the previous entry's hash. Changing, removing or reordering any
+// entry breaks every hash after it, which verifyAuditTrail detects. After
+// approval the trail is only ever appended to.
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with object keys sorted, so the same content always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashEntry = async ({ seq, timestamp, actor, deviceId, action, details }, prevHash) => {
+  const content = canonicalJson({ seq, timestamp, actor, deviceId, action, details });
+  return sha256Hex(`${prevHash}\n${content}`);
+};
+
+// Chain `records` ({ timestamp, actor, deviceId, action, details }) onto the
+// end of `trail`. Returns the new entries; the trail itself is not modified.
+export const chainEntries = async (trail, records) => {
+  const entries = [];
+  let previous = trail[trail.length - 1] || null;
+  for (const record of records) {
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      timestamp: record.timestamp,
+      actor: record.actor || '',
+      deviceId: record.deviceId || null,
+      action: record.action,
+      details: record.details ?? null,
+      prevHash: previous ? previous.hash : GENESIS_HASH,
+    };
+    entry.hash = await hashEntry(entry, entry.prevHash);
+    entries.push(entry);
+    previous = entry;
+  }
+  return entries;
+};
+
+// The records frozen at approval: every event in the scan log and every
+// logged activity (deletions, reviews, lifecycle changes...), in time order.
+export const approvalRecords = (events, activity) => [
+  ...events.map(event => ({
+    timestamp: event.timestamp,
+    actor: event.counter,
+    deviceId: event.deviceId,
+    action: event.type || 'scan',
+    details: event,
+  })),
+  ...activity,
+].sort((a, b) => a.timestamp - b.timestamp);
+
+// Recompute every hash. Returns { valid, brokenAt }, where brokenAt is the
+// seq of the first entry that does not match, or null.
+export const verifyAuditTrail = async (trail) => {
+  let prevHash = GENESIS_HASH;
+  for (let i = 0; i < trail.length; i += 1) {
+    const entry = trail[i];
+    if (entry.seq !== i + 1 || entry.prevHash !== prevHash || (await hashEntry(entry, prevHash)) !== entry.hash) {
+      return { valid: false, brokenAt: entry.seq ?? i + 1 };
+    }
+    prevHash = entry.hash;
+  }
+  return { valid: true, brokenAt: null };
+};
@@ -0,0 +1,106 @@
+// Camera helpers for the html5-qrcode scanner on phones and handhelds
+
+const SETTINGS_STORAGE_KEY = 'barcodeReconciler.cameraSettings';
+
+// Symbologies the camera can decode, by Html5QrcodeSupportedFormats name
+export const CAMERA_FORMATS = [
+  { key: 'CODE_128', label: 'Code 128 / GS1-128' },
+  { key: 'CODE_39', label: 'Code 39' },
+  { key: 'CODE_93', label: 'Code 93' },
+  { key: 'CODABAR', label: 'Codabar' },
+  { key: 'ITF', label: 'Interleaved 2 of 5' },
+  { key: 'DATA_MATRIX', label: 'Data Matrix' },
+  { key: 'QR_CODE', label: 'QR Code' },
+  { key: 'PDF_417', label: 'PDF417' },
+  { key: 'AZTEC', label: 'Aztec' },
+  { key: 'EAN_13', label: 'EAN-13' },
+  { key: 'EAN_8', label: 'EAN-8' },
+  { key: 'UPC_A', label: 'UPC-A' },
+  { key: 'UPC_E', label: 'UPC-E' },
+  { key: 'RSS_14', label: 'GS1 DataBar' },
+  { key: 'RSS_EXPANDED', label: 'GS1 DataBar Expanded' },
+];
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  formats: CAMERA_FORMATS.map(format => format.key),
+  // Scan box as a fraction of the viewfinder's shorter side
+  scanBoxSize: 0.7,
+  fps: 10,
+  // Device id from Html5Qrcode.getCameras(), or '' for the rear camera
+  cameraId: '',
+  // Decodes of the code just scanned are ignored for this long, so holding
+  // the camera on a label records it once
+  debounceMs: 2000,
+  // Ask before recording each camera scan
+  confirmScans: false,
+};
+
+export const loadCameraSettings = () => {
+  try {
+    return { ...DEFAULT_CAMERA_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_CAMERA_SETTINGS;
+  }
+};
+
+export const saveCameraSettings = (settings) => {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+// Whether a decode repeats the previous one ({ value, at }) within the window
+export const isRepeatDecode = (previous, value, now, debounceMs) => (
+  Boolean(previous && previous.value === value && now - previous.at < debounceMs)
+);
+
+// Why the camera cannot be used, or null. Checked before the scanner starts so
+// the counter gets an explanation rather than an empty viewfinder.
+export const checkCameraAccess = async () => {
+  if (!window.isSecureContext) {
+    return 'The camera only works when the app is opened over HTTPS.';
+  }
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    return 'This browser does not let web apps use the camera.';
+  }
+  try {
+    const status = await navigator.permissions.query({ name: 'camera' });
+    if (status.state === 'denied') {
+      return 'Camera access is blocked for this app. Allow the camera in the browser or app settings, then tap Use Camera to Scan again.';
+    }
+  } catch {
+    // Browsers without a camera permission query leave it to the scanner's own prompt
+  }
+  return null;
+};
+
+// Scan box function for html5-qrcode: a square `fraction` of the viewfinder's
+// shorter side, so it fits in portrait and landscape
+export const scanBoxFor = (fraction) => (viewfinderWidth, viewfinderHeight) => {
+  const size = Math.max(50, Math.floor(Math.min(viewfinderWidth, viewfinderHeight) * fraction));
+  return { width: size, height: size };
+};
+
+// Message for a camera that failed to start. html5-qrcode rejects with either
+// a DOMException or a string naming one.
+export const describeCameraError = (error) => {
+  const text = String(error && error.name ? error.name : error);
+  if (text.includes('NotAllowedError')) {
+    return 'Camera access was refused. Allow the camera in the browser or app settings, then tap Use Camera to Scan again.';
+  }
+  if (text.includes('NotFoundError') || text.includes('OverconstrainedError')) {
+    return 'The selected camera was not found. Pick another camera in the camera settings.';
+  }
+  if (text.includes('NotReadableError')) {
+    return 'The camera is in use by another app. Close it and try again.';
+  }
+  return `Could not start the camera: ${text}`;
+};
+
+// Call `callback` whenever the device is rotated. Returns an unsubscribe function.
+export const watchOrientation = (callback) => {
+  if (window.screen.orientation) {
+    window.screen.orientation.addEventListener('change', callback);
+    return () => window.screen.orientation.removeEventListener('change', callback);
+  }
+  window.addEventListener('orientationchange', callback);
+  return () => window.removeEventListener('orientationchange', callback);
+};
@@ -0,0 +1,144 @@
+import { parseGs1 } from './gs1.js';
+import { LOCATION_PREFIX } from './locations.js';
+import { findRecords } from './matching.js';
+import { snapshotReport, updateReportState } from './reportState.js';
+import { explainByMovement } from './inventoryMovement.js';
+import { resolveRecount } from './recount.js';
+import { escalate } from './valuation.js';
+import { createId } from './sessionStore.js';
+import { isScanEvent } from './scanLog.js';
+
+// Headless reconciliation engine: master-list parsing, normalization and
+// matching, the scan event model and report generation, with no React or
+// browser dependencies. The app and the command-line tool (cli/reconcile.js)
+// are both built on it.
+
+export { parseImportData, parseMasterRows, toMasterList, getColumnNames, guessHasHeader, suggestMapping } from './masterListImport.js';
+export { ISSUE_TYPES, validateMasterRows } from './importValidation.js';
+export { DEFAULT_RULES, createNormalizer, buildMatchIndex, findRecords, suggestMatches } from './matching.js';
+export { parseScanFile } from './scanFile.js';
+export { isScanEvent, mergeEvents } from './scanLog.js';
+export { buildReportRows, reportCsv, STATUS_LABELS } from './reportExport.js';
+export { DEFAULT_TOLERANCE_RULES, valueSummary } from './valuation.js';
+
+// Look a scanned value up in the master list. Manufacturer labels may carry
+// GS1 data, so the whole value is tried first, then the encoded serial, then
+// the GTIN. Returns { gs1, recorded, matches }, where
+// `recorded` is the value the scan is logged under (unmatched GS1 scans are
+// reported as excess by the serial they carry) and `matches` holds every
+// record the value matched.
+export const matchScan = (value, matchIndex) => {
+  const gs1 = value.toUpperCase().startsWith(LOCATION_PREFIX) ? null : parseGs1(value);
+  const lookupValues = gs1 ? [value, gs1.serial, gs1.gtin].filter(Boolean) : [value];
+  let matches = [];
+  for (const lookupValue of lookupValues) {
+    matches = findRecords(matchIndex, lookupValue);
+    if (matches.length > 0) break;
+  }
+  const recorded = (gs1 && (gs1.serial || gs1.gtin)) || value;
+  return { gs1, recorded: recorded.toUpperCase(), matches };
+};
+
+// Turn a parsed scan log ([{ value, timestamp, location }]) into scan events,
+// matching each value as a live scan would be. "LOC:" values set the location
+// of the scans after them, like location scans in the app. Lines without a
+// timestamp are stamped in file order from `startTime`. Values that match more
+// than one record are not recorded; they are returned in `ambiguous` for
+// someone to resolve. Returns { events, ambiguous }.
+export const buildScanEvents = (scans, matchIndex, {
+  source = 'import',
+  counter = '',
+  deviceId = null,
+  startTime = Date.now(),
+  extra = {},
+} = {}) => {
+  const events = [];
+  const ambiguous = [];
+  let currentLocation = null;
+
+  scans.forEach((scan, index) => {
+    const value = scan.value.trim();
+    const base = {
+      id: createId(),
+      timestamp: scan.timestamp ?? startTime + index,
+      counter,
+      deviceId,
+      source,
+      ...extra,
+    };
+    if (value.toUpperCase().startsWith(LOCATION_PREFIX)) {
+      currentLocation = value.slice(LOCATION_PREFIX.length).trim() || null;
+      events.push({ ...base, type: 'location', value: currentLocation || '', location: currentLocation });
+      return;
+    }
+
+    const { gs1, recorded, matches } = matchScan(value, matchIndex);
+    if (matches.length > 1) {
+      ambiguous.push({ ...scan, candidates: matches.map(record => record.instrument) });
+      return;
+    }
+    events.push({
+      ...base,
+      type: 'scan',
+      value: recorded,
+      instrument: matches.length === 1 ? matches[0].instrument : null,
+      location: scan.location || currentLocation,
+      ...(gs1 && { raw: value, gs1: gs1.fields }),
+    });
+  });
+
+  return { events, ambiguous };
+};
+
+// Match recorded scans again after the master list changed. A scan keeps its
+// instrument while that instrument is still on the list (it may have been
+// picked by hand); otherwise its value is looked up afresh. Scans that counted
+// an instrument no longer on the list become excess and are flagged with
+// `noLongerMatches`. Events are immutable, so each change is a replacement
+// event: returns [{ previous, event }]. The replacement's id is derived from
+// the one it replaces, so devices of a shared count that re-match the same
+// scan against the same list agree on it instead of counting it twice.
+export const reResolveScans = (events, masterList, matchIndex) => {
+  const replacements = [];
+  events.forEach(event => {
+    if (!isScanEvent(event) || (event.instrument && masterList.has(event.instrument))) return;
+    const { matches } = matchScan(event.raw || event.value, matchIndex);
+    const instrument = matches.length === 1 ? matches[0].instrument : null;
+    if (instrument === (event.instrument || null)) return;
+
+    const next = { ...event, id: `${event.id}:${instrument || '-'}`, instrument };
+    delete next.noLongerMatches;
+    if (!instrument) next.noLongerMatches = event.instrument;
+    replacements.push({ previous: event, event: next });
+  });
+  return replacements;
+};
+
+// Add the parts of the report that depend on more than the scan counts:
+// variances explained by inventory movement, recount resolutions and the
+// missing items escalated by the tolerance rules (Map of instrument -> reasons)
+export const completeReport = (snapshot, { events, movement = null, recount = null, tolerance = null }) => {
+  const report = movement ? explainByMovement(snapshot, movement) : snapshot;
+  return {
+    ...report,
+    recount: recount ? resolveRecount(recount.items, events) : null,
+    escalations: tolerance ? escalate(report.missing, tolerance) : new Map(),
+  };
+};
+
+// Reconcile a master list against a complete event log in one go
+export const reconcile = ({
+  masterList,
+  events,
+  excessReview = {},
+  movement = null,
+  recount = null,
+  tolerance = null,
+}) => (
+  completeReport(snapshotReport(updateReportState(null, masterList, events), excessReview), {
+    events,
+    movement,
+    recount,
+    tolerance,
+  })
+);
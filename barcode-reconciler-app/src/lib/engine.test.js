@@ -0,0 +1,280 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Papa from 'papaparse';
+import {
+  DEFAULT_RULES,
+  buildMatchIndex,
+  buildReportRows,
+  buildScanEvents,
+  createNormalizer,
+  matchScan,
+  reResolveScans,
+  reconcile,
+  reportCsv,
+} from './engine.js';
+import { buildRecountItems } from './recount.js';
+
+const record = (instrument, fields = {}) => ({
+  instrument,
+  serial: `SN-${instrument}`,
+  item: '',
+  location: '',
+  site: '',
+  warehouse: '',
+  unitCost: null,
+  category: '',
+  extra: {},
+  ...fields,
+});
+
+const masterListOf = (...records) => new Map(records.map(entry => [entry.instrument, entry]));
+
+let nextTimestamp = 1000;
+const scan = (value, instrument, fields = {}) => ({
+  id: `scan-${nextTimestamp}`,
+  type: 'scan',
+  value,
+  instrument,
+  source: 'manual',
+  location: null,
+  timestamp: nextTimestamp++,
+  ...fields,
+});
+
+const instruments = (records) => records.map(entry => entry.instrument);
+
+describe('createNormalizer', () => {
+  it('upper-cases and trims with the default rules', () => {
+    assert.equal(createNormalizer(DEFAULT_RULES)('  ins-01 '), 'INS-01');
+  });
+
+  it('strips scanner prefixes and suffixes, first match only', () => {
+    const normalize = createNormalizer({ ...DEFAULT_RULES, stripPrefixes: [']C1', 'S'], stripSuffixes: ['/X'] });
+    assert.equal(normalize(']c1SN-1/x'), 'SN-1');
+  });
+
+  it('ignores separators and folds confusable letters', () => {
+    const normalize = createNormalizer({ ...DEFAULT_RULES, ignoreSeparators: true, foldConfusables: true });
+    assert.equal(normalize('AB-1O/2 I.3'), 'AB10213');
+  });
+
+  it('strips or pads leading zeros', () => {
+    assert.equal(createNormalizer({ ...DEFAULT_RULES, zeros: 'strip' })('000120'), '120');
+    assert.equal(createNormalizer({ ...DEFAULT_RULES, zeros: 'strip' })('000'), '0');
+    const pad = createNormalizer({ ...DEFAULT_RULES, zeros: 'pad', padLength: 6 });
+    assert.equal(pad('120'), '000120');
+    assert.equal(pad('A120'), 'A120');
+  });
+
+  it('applies rewrites in order and skips invalid patterns', () => {
+    const normalize = createNormalizer({
+      ...DEFAULT_RULES,
+      rewrites: [{ pattern: '(', replacement: '' }, { pattern: '^OLD', replacement: 'NEW' }, { pattern: 'W-', replacement: 'W' }],
+    });
+    assert.equal(normalize('old-42'), 'NEW42');
+  });
+
+  it('matches master records under the same rules', () => {
+    const rules = { ...DEFAULT_RULES, ignoreSeparators: true, zeros: 'strip' };
+    const matchIndex = buildMatchIndex(masterListOf(record('INS-0042')), createNormalizer(rules));
+    assert.deepEqual(instruments(matchScan('ins 0042', matchIndex).matches), ['INS-0042']);
+  });
+});
+
+describe('matchScan', () => {
+  const gtin = '09501101530003';
+
+  it('tries the GS1 serial, then the GTIN', () => {
+    const bySerial = buildMatchIndex(masterListOf(record('INS-1', { serial: 'ABC123' })));
+    assert.deepEqual(instruments(matchScan(`(01)${gtin}(21)ABC123`, bySerial).matches), ['INS-1']);
+
+    const byGtin = buildMatchIndex(masterListOf(record(gtin, { serial: '' })));
+    const { matches, recorded } = matchScan(`(01)${gtin}(21)UNLISTED`, byGtin);
+    assert.deepEqual(instruments(matches), [gtin]);
+    assert.equal(recorded, 'UNLISTED');
+  });
+
+  it('records an unmatched GS1 scan by its serial', () => {
+    const { matches, recorded } = matchScan(`(01)${gtin}(21)abc`, buildMatchIndex(masterListOf(record('INS-1'))));
+    assert.deepEqual(matches, []);
+    assert.equal(recorded, 'ABC');
+  });
+});
+
+describe('buildScanEvents', () => {
+  const masterList = masterListOf(record('INS-1'), record('INS-2'));
+  const matchIndex = buildMatchIndex(masterList, createNormalizer(DEFAULT_RULES));
+
+  it('resolves scans by instrument or serial and keeps unknown values as excess', () => {
+    const { events, ambiguous } = buildScanEvents(
+      [{ value: 'ins-1' }, { value: 'SN-INS-2' }, { value: 'UNKNOWN' }],
+      matchIndex,
+      { startTime: 5000 },
+    );
+    assert.deepEqual(ambiguous, []);
+    assert.deepEqual(events.map(event => event.instrument), ['INS-1', 'INS-2', null]);
+    assert.equal(events[2].value, 'UNKNOWN');
+  });
+
+  it('stamps lines without a timestamp in file order from the start time', () => {
+    const { events } = buildScanEvents(
+      [{ value: 'INS-1' }, { value: 'INS-2', timestamp: 42 }, { value: 'INS-1' }],
+      matchIndex,
+      { startTime: 5000 },
+    );
+    assert.deepEqual(events.map(event => event.timestamp), [5000, 42, 5002]);
+  });
+
+  it('sets the location of the scans after a location label', () => {
+    const { events } = buildScanEvents([{ value: 'LOC:A-01' }, { value: 'INS-1' }], matchIndex);
+    assert.equal(events[0].type, 'location');
+    assert.equal(events[1].location, 'A-01');
+  });
+});
+
+describe('reconcile', () => {
+  it('sorts records into matched, missing, short and misplaced', () => {
+    const masterList = masterListOf(
+      record('INS-1', { location: 'A' }),
+      record('INS-2', { location: 'A' }),
+      record('INS-3', { location: 'A' }),
+      record('INS-4', { location: 'A' }),
+    );
+    const report = reconcile({
+      masterList,
+      events: [
+        scan('INS-1', 'INS-1', { location: 'A' }),
+        scan('INS-2', 'INS-2', { location: 'A' }),
+        scan('INS-2', 'INS-2', { location: 'A' }),
+        scan('INS-3', 'INS-3', { location: 'B' }),
+      ],
+    });
+    assert.deepEqual(instruments(report.matched), ['INS-1']);
+    assert.deepEqual(instruments(report.short), ['INS-2']);
+    assert.equal(report.short[0].count, 2);
+    assert.deepEqual(instruments(report.misplaced), ['INS-3']);
+    assert.deepEqual(report.misplaced[0].foundLocations, ['B']);
+    assert.deepEqual(instruments(report.missing), ['INS-4']);
+    assert.equal(report.totalExpected, 4);
+    assert.equal(report.totalScanned, 4);
+  });
+
+  it('counts unmatched scans as excess and leaves dismissed ones out', () => {
+    const report = reconcile({
+      masterList: masterListOf(record('INS-1')),
+      events: [scan('X-1', null), scan('X-1', null), scan('X-2', null)],
+      excessReview: { 'X-2': { status: 'dismissed' } },
+    });
+    assert.deepEqual(report.excess.map(item => [item.number, item.count]), [['X-1', 2]]);
+    assert.deepEqual(report.dismissed.map(item => item.number), ['X-2']);
+  });
+
+  it('replaces the scanned count with a set quantity', () => {
+    const masterList = masterListOf(record('INS-1'), record('INS-2'));
+    const report = reconcile({
+      masterList,
+      events: [
+        scan('INS-1', 'INS-1'),
+        scan('INS-1', 'INS-1'),
+        { id: 'q1', type: 'set-quantity', instrument: 'INS-1', quantity: 1, timestamp: nextTimestamp++ },
+        scan('INS-2', 'INS-2'),
+        { id: 'q2', type: 'set-quantity', instrument: 'INS-2', quantity: 0, timestamp: nextTimestamp++ },
+      ],
+    });
+    assert.deepEqual(instruments(report.matched), ['INS-1']);
+    assert.deepEqual(instruments(report.missing), ['INS-2']);
+  });
+
+  it('replaces the first count with the recount and resolves each recount item', () => {
+    const masterList = masterListOf(record('INS-1'), record('INS-2'), record('INS-3'));
+    const firstPass = [scan('INS-2', 'INS-2'), scan('INS-2', 'INS-2')];
+    const items = buildRecountItems(reconcile({ masterList, events: firstPass }));
+    assert.deepEqual(items.map(item => [item.key, item.kind]), [
+      ['INS-1', 'missing'],
+      ['INS-3', 'missing'],
+      ['INS-2', 'short'],
+    ]);
+
+    const events = [
+      ...firstPass,
+      scan('INS-1', 'INS-1', { phase: 'recount' }),
+      scan('INS-2', 'INS-2', { phase: 'recount' }),
+      {
+        id: 'nf',
+        type: 'recount',
+        phase: 'recount',
+        target: 'INS-3',
+        instrument: 'INS-3',
+        value: 'INS-3',
+        outcome: 'not-found',
+        timestamp: nextTimestamp++,
+      },
+    ];
+    const report = reconcile({ masterList, events, recount: { items } });
+    assert.deepEqual(instruments(report.matched), ['INS-1', 'INS-2']);
+    assert.deepEqual(instruments(report.missing), ['INS-3']);
+    assert.equal(report.recount.get('INS-1').label, 'Found on recount');
+    assert.equal(report.recount.get('INS-2').label, 'Recounted: 1');
+    assert.equal(report.recount.get('INS-3').label, 'Confirmed missing');
+  });
+});
+
+describe('reResolveScans', () => {
+  it('flags scans of removed instruments with the same replacement id on every device', () => {
+    const events = [scan('INS-1', 'INS-1'), scan('INS-2', 'INS-2')];
+    const masterList = masterListOf(record('INS-2'));
+    const matchIndex = buildMatchIndex(masterList, createNormalizer(DEFAULT_RULES));
+    const replacements = reResolveScans(events, masterList, matchIndex);
+    assert.equal(replacements.length, 1);
+    const [{ previous, event }] = replacements;
+    assert.equal(previous, events[0]);
+    assert.equal(event.instrument, null);
+    assert.equal(event.noLongerMatches, 'INS-1');
+    assert.deepEqual(reResolveScans(events, masterList, matchIndex)[0].event, event);
+  });
+});
+
+describe('report rows', () => {
+  const report = reconcile({
+    masterList: masterListOf(
+      record('INS-1', { item: 'ITEM-A', location: 'A', extra: { Colour: 'Red' } }),
+      record('INS-2', { item: 'ITEM-A', location: 'A', unitCost: 12.5, extra: { Status: 'Active', Shelf: '3' } }),
+    ),
+    events: [scan('INS-1', 'INS-1', { location: 'A' }), scan('X-9', null)],
+  });
+
+  it('has one line per record and excess number in the journal column layout', () => {
+    const rows = buildReportRows(report);
+    assert.deepEqual(Object.keys(rows[0]).slice(0, 8), [
+      'Item number',
+      'Site',
+      'Warehouse',
+      'Location',
+      'Serial number',
+      'Counted quantity',
+      'On-hand quantity',
+      'Variance',
+    ]);
+    assert.deepEqual(rows.map(row => [row['Instrument number'], row.Status, row.Variance]), [
+      ['INS-1', 'Matched', 0],
+      ['INS-2', 'Missing', -1],
+      ['', 'Excess', 1],
+    ]);
+    assert.equal(rows[1]['Variance value'], -12.5);
+    assert.equal(rows[2]['Serial number'], 'X-9');
+  });
+
+  it('keeps fixed columns when an extra master-list column has the same name', () => {
+    const rows = buildReportRows(report);
+    assert.equal(rows[1].Status, 'Missing');
+    assert.equal(rows[1]['Master list Status'], 'Active');
+  });
+
+  it('writes every extra column to the CSV, even those empty on the first line', () => {
+    const { data, meta } = Papa.parse(reportCsv(report), { header: true, skipEmptyLines: true });
+    assert.ok(['Colour', 'Master list Status', 'Shelf'].every(name => meta.fields.includes(name)));
+    assert.equal(meta.fields.indexOf('Colour') > meta.fields.indexOf('Note'), true);
+    assert.equal(data[1].Shelf, '3');
+    assert.equal(data[2].Colour, '');
+  });
+});
@@ -0,0 +1,146 @@
+// GS1 Application Identifier parsing for GS1-128, GS1 DataMatrix, GS1 QR and
+// composite labels, so a manufacturer label that encodes (01) GTIN, (21) serial
+// and (10) lot in one symbol can still be matched against the master list.
+
+// Group separator (FNC1 inside a symbol). Keyboard wedges that cannot type the
+// control character are usually programmed to send one of the text tokens.
+const GROUP_SEPARATOR = '\u001d';
+const SEPARATOR_TOKENS = /<GS>|\{GS\}|\[GS\]/gi;
+
+// Symbology identifiers some scanners prefix: ]C1 GS1-128, ]d2 GS1 DataMatrix,
+// ]Q3 GS1 QR Code, ]e0 GS1 DataBar
+const SYMBOLOGY_PREFIX = /^\](C1|d2|Q3|e0)/;
+
+// Application Identifiers we understand: fixed data length, or variable up to max
+const AI_TABLE = {
+  '00': { label: 'SSCC', length: 18 },
+  '01': { label: 'GTIN', length: 14 },
+  '02': { label: 'Content GTIN', length: 14 },
+  '10': { label: 'Lot', max: 20 },
+  '11': { label: 'Production Date', length: 6 },
+  '13': { label: 'Packaging Date', length: 6 },
+  '15': { label: 'Best Before', length: 6 },
+  '17': { label: 'Expiry', length: 6 },
+  '20': { label: 'Variant', length: 2 },
+  '21': { label: 'Serial', max: 20 },
+  '22': { label: 'Consumer Product Variant', max: 20 },
+  '240': { label: 'Additional Product ID', max: 30 },
+  '241': { label: 'Customer Part Number', max: 30 },
+  '250': { label: 'Secondary Serial', max: 30 },
+  '30': { label: 'Count', max: 8 },
+  '37': { label: 'Trade Item Count', max: 8 },
+  '400': { label: 'Order Number', max: 30 },
+  '410': { label: 'Ship To GLN', length: 13 },
+  '414': { label: 'Location GLN', length: 13 },
+  '420': { label: 'Ship To Postal Code', max: 20 },
+  '7003': { label: 'Expiry Date/Time', length: 10 },
+  '8004': { label: 'GIAI', max: 30 },
+};
+
+// Measure AIs 310n-369n: four digits, six fixed data digits
+const isMeasureAi = (ai) => /^3[1-6]\d\d$/.test(ai);
+
+const definitionOf = (ai) => {
+  if (AI_TABLE[ai]) return { ai, ...AI_TABLE[ai] };
+  if (isMeasureAi(ai)) return { ai, label: `Measure ${ai}`, length: 6 };
+  return null;
+};
+
+// Fixed-length fields are all numeric: dates, GTINs, GLNs, SSCCs and measures
+const isValidValue = (definition, value) => (definition.length
+  ? value.length === definition.length && /^\d+$/.test(value)
+  : value.length > 0 && value.length <= definition.max);
+
+const lookupAi = (data, position) => {
+  for (const length of [2, 3, 4]) {
+    const definition = definitionOf(data.slice(position, position + length));
+    if (definition) return definition;
+  }
+  return null;
+};
+
+// Parse unbracketed element strings separated by GS where variable-length
+// fields end. Returns null if the data is not a complete, valid element string.
+const parseElementString = (data) => {
+  const fields = [];
+  let position = 0;
+  while (position < data.length) {
+    if (data[position] === GROUP_SEPARATOR) {
+      position += 1;
+      continue;
+    }
+    const definition = lookupAi(data, position);
+    if (!definition) return null;
+    const start = position + definition.ai.length;
+    let end;
+    if (definition.length) {
+      end = start + definition.length;
+    } else {
+      const separator = data.indexOf(GROUP_SEPARATOR, start);
+      end = separator === -1 ? data.length : separator;
+    }
+    const value = data.slice(start, end);
+    if (!isValidValue(definition, value)) return null;
+    fields.push({ ai: definition.ai, label: definition.label, value });
+    position = end;
+  }
+  return fields.length > 0 ? fields : null;
+};
+
+// Parse the human-readable form, e.g. "(01)09501101530003(21)ABC123". Known
+// AIs are held to the same lengths as in element strings; unknown ones are
+// kept as they are.
+const parseBracketed = (data) => {
+  const fields = [];
+  const pattern = /\((\d{2,4})\)([^(]*)/g;
+  let match;
+  let consumed = 0;
+  while ((match = pattern.exec(data)) !== null) {
+    if (match.index !== consumed) return null;
+    consumed = pattern.lastIndex;
+    const ai = match[1];
+    const definition = definitionOf(ai);
+    const value = match[2].split(GROUP_SEPARATOR).join('').trim();
+    if (definition && !isValidValue(definition, value)) return null;
+    fields.push({ ai, label: definition ? definition.label : `AI ${ai}`, value });
+  }
+  return consumed === data.length && fields.length > 0 ? fields : null;
+};
+
+const summarize = (fields) => {
+  const valueOf = (ai) => (fields.find(field => field.ai === ai) || {}).value || null;
+  return {
+    fields,
+    gtin: valueOf('01') || valueOf('02'),
+    serial: valueOf('21') || valueOf('250') || valueOf('8004'),
+    lot: valueOf('10'),
+  };
+};
+
+// Parse a raw scan as GS1 data. Returns { fields, gtin, serial, lot } or null
+// when the value does not look like a GS1 element string.
+export const parseGs1 = (raw) => {
+  if (!raw) return null;
+  const normalized = raw.trim().replace(SEPARATOR_TOKENS, GROUP_SEPARATOR);
+  const isExplicit = SYMBOLOGY_PREFIX.test(normalized) || normalized.includes(GROUP_SEPARATOR);
+  let data = normalized.replace(SYMBOLOGY_PREFIX, '');
+  // A leading FNC1 is just the GS1 start marker
+  if (data.startsWith(GROUP_SEPARATOR)) data = data.slice(1);
+
+  if (data.startsWith('(')) {
+    const fields = parseBracketed(data);
+    return fields ? summarize(fields) : null;
+  }
+
+  const fields = parseElementString(data);
+  if (!fields) return null;
+  // Without a symbology identifier or separator, only trust a plain digit
+  // string as GS1 when it starts with a GTIN and carries a serial or lot;
+  // otherwise an instrument number that happens to start with "01" would match.
+  const summary = summarize(fields);
+  if (!isExplicit && !(fields[0].ai === '01' && (summary.serial || summary.lot))) return null;
+  return summary;
+};
+
+// Compact one-line rendering of parsed fields, e.g. "(01) 0950… (21) ABC123"
+export const formatGs1 = (fields) => fields.map(field => `(${field.ai}) ${field.value}`).join(' ');
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatGs1, parseGs1 } from './gs1.js';
+
+const GS = '\u001d';
+
+describe('parseGs1', () => {
+  it('reads the bracketed form', () => {
+    const parsed = parseGs1('(01)09501101530003(21)ABC123(10)LOT-7');
+    assert.equal(parsed.gtin, '09501101530003');
+    assert.equal(parsed.serial, 'ABC123');
+    assert.equal(parsed.lot, 'LOT-7');
+    assert.equal(formatGs1(parsed.fields), '(01) 09501101530003 (21) ABC123 (10) LOT-7');
+  });
+
+  it('holds bracketed fixed-length fields to their length', () => {
+    assert.equal(parseGs1('(01)0950110153000321ABC'), null);
+    assert.equal(parseGs1('(01)0950110153000'), null);
+    assert.equal(parseGs1('(17)2512'), null);
+    assert.equal(parseGs1('(3103)000125(01)09501101530003').fields[0].label, 'Measure 3103');
+    assert.equal(parseGs1('(3103)12'), null);
+  });
+
+  it('holds bracketed variable-length fields to their maximum', () => {
+    assert.equal(parseGs1(`(21)${'9'.repeat(21)}`), null);
+    assert.equal(parseGs1('(99)ANYTHING').fields[0].label, 'AI 99');
+  });
+
+  it('reads element strings with a symbology identifier or group separators', () => {
+    const parsed = parseGs1(`]d20109501101530003${GS}21ABC123${GS}10LOT-7`);
+    assert.deepEqual([parsed.gtin, parsed.serial, parsed.lot], ['09501101530003', 'ABC123', 'LOT-7']);
+    assert.equal(parseGs1('010950110153000321ABC<GS>10LOT').serial, 'ABC');
+  });
+
+  it('only takes a plain digit string that starts with a GTIN and carries a serial or lot', () => {
+    assert.equal(parseGs1('0109501101530003'), null);
+    assert.equal(parseGs1('010950110153000321ABC123').serial, 'ABC123');
+    assert.equal(parseGs1('1012345'), null);
+    assert.equal(parseGs1('INS-0001'), null);
+  });
+
+  it('rejects fixed-length fields that are not digits', () => {
+    assert.equal(parseGs1(']C101ABCDEFGHIJKLMN'), null);
+  });
+});
@@ -0,0 +1,8 @@
+// SHA-256 digest of a string as lowercase hex, for PIN digests, the audit
+// trail's hash chain and scan file fingerprints
+
+const toHex = (buffer) => [...new Uint8Array(buffer)]
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+export const sha256Hex = async (text) => toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
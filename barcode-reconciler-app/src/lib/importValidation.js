@@ -0,0 +1,92 @@
+// Data-quality checks run on a master list before counting starts. Each of
+// these makes a scan ambiguous or silently loses a row, so they are reported
+// for the counter to fix or exclude rather than resolved behind their back.
+// Values are compared after the matching rules are applied, since that is how
+// scans will be compared against them.
+
+export const ISSUE_TYPES = {
+  'missing-instrument': 'Rows without an instrument number (would be dropped)',
+  'duplicate-instrument': 'Instrument number on more than one row',
+  'shared-serial': 'Serial number shared by different instruments',
+  'serial-is-instrument': 'Serial number equal to another row\'s instrument number',
+  'already-loaded': 'Instrument number already in the loaded master list (row would be skipped)',
+  'serial-already-loaded': 'Serial number already belongs to a loaded instrument',
+};
+
+const groupBy = (entries, keyOf) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+  return groups;
+};
+
+const rowNumbersOf = (entries) => entries.map(entry => entry.rowNumber);
+
+// Problems in the entries produced by parseMasterRows, ignoring excluded rows.
+// Returns [{ type, value, rowNumbers }], where value is the colliding number.
+// When the entries are merged into a loaded master list (`loaded`), rows that
+// collide with it are reported as well.
+export const validateMasterRows = (entries, normalize, loaded = null) => {
+  const active = entries.filter(entry => !entry.excluded);
+  const issues = [];
+
+  active.forEach(entry => {
+    if (!entry.record.instrument) {
+      issues.push({ type: 'missing-instrument', value: '', rowNumbers: [entry.rowNumber] });
+    }
+  });
+
+  const byInstrument = groupBy(active, entry => normalize(entry.record.instrument));
+  byInstrument.forEach((group, value) => {
+    if (group.length > 1) issues.push({ type: 'duplicate-instrument', value, rowNumbers: rowNumbersOf(group) });
+  });
+
+  const bySerial = groupBy(active, entry => entry.record.serial && normalize(entry.record.serial));
+  bySerial.forEach((group, value) => {
+    const instruments = new Set(group.map(entry => normalize(entry.record.instrument)));
+    if (instruments.size > 1) issues.push({ type: 'shared-serial', value, rowNumbers: rowNumbersOf(group) });
+  });
+
+  bySerial.forEach((group, value) => {
+    // A row whose serial doubles as its own instrument number is fine
+    const others = (byInstrument.get(value) || []).filter(entry => !group.includes(entry));
+    if (others.length > 0) {
+      issues.push({ type: 'serial-is-instrument', value, rowNumbers: rowNumbersOf([...group, ...others]) });
+    }
+  });
+
+  if (loaded) {
+    // Normalized instrument and serial numbers of the loaded list -> the
+    // normalized instruments carrying them
+    const loadedKeys = new Map();
+    const addKey = (key, instrument) => {
+      if (!key) return;
+      if (!loadedKeys.has(key)) loadedKeys.set(key, new Set());
+      loadedKeys.get(key).add(instrument);
+    };
+    loaded.forEach(record => {
+      const instrument = normalize(record.instrument);
+      addKey(instrument, instrument);
+      if (record.serial) addKey(normalize(record.serial), instrument);
+    });
+
+    byInstrument.forEach((group, value) => {
+      if (loadedKeys.has(value) && loadedKeys.get(value).has(value)) {
+        issues.push({ type: 'already-loaded', value, rowNumbers: rowNumbersOf(group) });
+      }
+    });
+    bySerial.forEach((group, value) => {
+      const owners = loadedKeys.get(value);
+      const strangers = owners ? group.filter(entry => !owners.has(normalize(entry.record.instrument))) : [];
+      if (strangers.length > 0) {
+        issues.push({ type: 'serial-already-loaded', value, rowNumbers: rowNumbersOf(strangers) });
+      }
+    });
+  }
+
+  return issues;
+};
@@ -0,0 +1,58 @@
+import { buildMatchIndex, findRecord } from './matching.js';
+
+// Inventory movement during a count. Receipts and shipments posted while the
+// count is under way make the master list loaded at the start go stale, so a
+// later on-hand export can be loaded and compared with it: instruments that
+// left explain Missing lines and instruments that arrived explain Excess lines.
+
+// Instruments added to and removed from stock between the two snapshots
+export const diffSnapshots = (masterList, laterSnapshot) => {
+  const added = [];
+  const removed = [];
+  laterSnapshot.forEach((record, instrument) => {
+    if (!masterList.has(instrument)) added.push(record);
+  });
+  masterList.forEach((record, instrument) => {
+    if (!laterSnapshot.has(instrument)) removed.push(record);
+  });
+  return { added, removed };
+};
+
+// Movement between the snapshots, with a lookup index over the added records
+// so excess scans can be matched to receipts with the counter's matching rules
+export const buildMovement = (masterList, laterSnapshot, normalize) => {
+  const { added, removed } = diffSnapshots(masterList, laterSnapshot);
+  return {
+    added,
+    removed,
+    removedInstruments: new Set(removed.map(record => record.instrument)),
+    addedIndex: buildMatchIndex(new Map(added.map(record => [record.instrument, record])), normalize),
+  };
+};
+
+// Move the variances the movement explains out of Missing and Excess:
+// `report.movement.shipped` lists missing records that left stock and
+// `report.movement.received` lists excess numbers that arrived, with the
+// record they matched
+export const explainByMovement = (report, movement) => {
+  const shipped = report.missing.filter(record => movement.removedInstruments.has(record.instrument));
+  const received = [];
+  const excess = [];
+  report.excess.forEach(item => {
+    const record = findRecord(movement.addedIndex, item.number);
+    if (record) {
+      received.push({ ...item, record });
+    } else {
+      excess.push(item);
+    }
+  });
+
+  return {
+    ...report,
+    missing: shipped.length > 0
+      ? report.missing.filter(record => !movement.removedInstruments.has(record.instrument))
+      : report.missing,
+    excess,
+    movement: { added: movement.added, removed: movement.removed, shipped, received },
+  };
+};
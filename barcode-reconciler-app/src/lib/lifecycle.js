@@ -0,0 +1,47 @@
+// Count session lifecycle: open -> counting -> under review -> approved ->
+// closed. A session is open until its first scan, counting until the counter
+// submits it, and under review until an approver either sends it back to
+// counting or approves it. Approval freezes the results into the audit trail;
+// closing marks the paperwork done.
+
+export const LIFECYCLE_STAGES = [
+  { status: 'open', label: 'Open' },
+  { status: 'counting', label: 'Counting' },
+  { status: 'review', label: 'Under review' },
+  { status: 'approved', label: 'Approved' },
+  { status: 'closed', label: 'Closed' },
+];
+
+export const statusLabel = (status) => (
+  (LIFECYCLE_STAGES.find(stage => stage.status === status) || {}).label || 'Open'
+);
+
+// Sessions archived before the lifecycle existed carry status 'archived'
+export const isArchived = (session) => Boolean(session.archived) || session.status === 'archived';
+
+// Before the lifecycle, archiving a session replaced its status
+export const withLifecycle = (session) => (
+  session.status === 'archived' ? { ...session, archived: true, status: 'counting' } : session
+);
+
+// Not yet approved, so it can still be resumed and worked on
+export const isInProgress = (session) => (
+  !isArchived(session) && ['open', 'counting', 'review'].includes(session.status)
+);
+
+// No scans or corrections are taken once counting has been submitted
+export const isCountingLocked = (session) => ['review', 'approved', 'closed'].includes(session.status);
+
+// Approved results can no longer be changed at all
+export const isFrozen = (session) => ['approved', 'closed'].includes(session.status);
+
+// Approval needs a second person: the approver may not be the counter
+export const sameName = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// A count without a counter name could be approved by the counter, so it
+// cannot be approved at all
+export const hasCounterName = (session) => Boolean(session.counterName && session.counterName.trim());
+
+export const mayApprove = (session, approverName) => (
+  hasCounterName(session) && Boolean(approverName.trim()) && !sameName(approverName, session.counterName)
+);
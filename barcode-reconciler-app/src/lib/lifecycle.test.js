@@ -0,0 +1,17 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mayApprove } from './lifecycle.js';
+
+describe('mayApprove', () => {
+  it('takes an approver other than the counter', () => {
+    assert.equal(mayApprove({ counterName: 'Ana' }, 'Ben'), true);
+    assert.equal(mayApprove({ counterName: 'Ana' }, ' ana '), false);
+    assert.equal(mayApprove({ counterName: 'Ana' }, '  '), false);
+  });
+
+  it('refuses every approver while the count has no counter name', () => {
+    assert.equal(mayApprove({ counterName: '' }, 'Ben'), false);
+    assert.equal(mayApprove({ counterName: '   ' }, 'Ben'), false);
+    assert.equal(mayApprove({}, 'Ben'), false);
+  });
+});
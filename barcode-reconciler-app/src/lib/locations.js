@@ -0,0 +1,44 @@
+import { isOwnEvent } from './scanLog.js';
+
+// Location-aware counting: a location scan sets the "current location" and
+// every later item scan is tagged with it.
+
+// Bin labels that are not in the master list can still be scanned as locations
+// when they carry this prefix, e.g. "LOC:A-01-02".
+export const LOCATION_PREFIX = 'LOC:';
+
+// Map of upper-cased location -> location as written in the master list
+export const buildLocationIndex = (masterList) => {
+  const index = new Map();
+  masterList.forEach(record => {
+    if (record.location) index.set(record.location.toUpperCase(), record.location);
+  });
+  return index;
+};
+
+// The location a scanned value refers to, or null when it is not a location.
+// Prefixed values are always locations; bare values must match the master list.
+export const resolveLocation = (value, locationIndex) => {
+  const normalized = value.trim().toUpperCase();
+  if (normalized.startsWith(LOCATION_PREFIX)) {
+    const location = normalized.slice(LOCATION_PREFIX.length).trim();
+    return location ? (locationIndex.get(location) || location) : null;
+  }
+  return locationIndex.get(normalized) || null;
+};
+
+// The location set by this device's most recent location event, or null.
+// Other counters in a shared session keep their own current location.
+export const currentLocationOf = (events, deviceId) => {
+  for (let i = events.length - 1; i >= 0; i -= 1) {
+    if (events[i].type === 'location' && isOwnEvent(events[i], deviceId)) return events[i].location;
+  }
+  return null;
+};
+
+// A record is misplaced when it was only ever scanned in locations other than
+// the one the master list expects it in
+export const isMisplaced = (record, foundLocations) => (
+  Boolean(record.location && foundLocations && foundLocations.size > 0 &&
+    !foundLocations.has(record.location))
+);
@@ -0,0 +1,196 @@
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { parseCost } from './valuation.js';
+
+// Master-list fields the counter can map to columns of the export.
+// Only the instrument number is required; everything else is optional.
+export const MASTER_FIELDS = [
+  { key: 'instrument', label: 'Instrument Number', required: true },
+  { key: 'serial', label: 'Serial Number' },
+  { key: 'item', label: 'Item' },
+  { key: 'location', label: 'Location' },
+  { key: 'site', label: 'Site' },
+  { key: 'warehouse', label: 'Warehouse' },
+  { key: 'unitCost', label: 'Unit Cost' },
+  { key: 'category', label: 'Category' },
+];
+
+// Header names DAX (and most hand-made exports) use for each field
+const HEADER_GUESSES = {
+  instrument: ['instrument number', 'instrument', 'instrument no', 'asset number', 'tag'],
+  serial: ['serial number', 'serial', 'serial no', 's/n', 'manufacturer serial'],
+  item: ['item number', 'item', 'item no', 'product number'],
+  location: ['location', 'bin', 'wms location'],
+  site: ['site'],
+  warehouse: ['warehouse', 'whse'],
+  unitCost: ['unit cost', 'cost', 'cost price', 'standard cost', 'unit price'],
+  category: ['category', 'item group', 'product category'],
+};
+
+const MAPPING_STORAGE_KEY = 'barcodeReconciler.columnMapping';
+
+const isWorkbook = (fileName) => /\.(xlsx|xls)$/i.test(fileName);
+
+const toCell = (value) => String(value ?? '').trim();
+
+const parseDelimitedText = (text) => (
+  Papa.parse(text, { header: false, skipEmptyLines: true }).data.map(row => row.map(toCell))
+);
+
+// Parse the contents of a master-list export into one or more sheets of
+// string rows. `data` is the text of a CSV/TXT file, which produces a single
+// sheet named after the file, or the bytes of an XLSX/XLS workbook.
+export const parseImportData = (fileName, data) => {
+  if (!isWorkbook(fileName)) {
+    // Text read with Node's fs keeps the byte order mark Excel writes to CSV files
+    const text = (typeof data === 'string' ? data : new TextDecoder().decode(data)).replace(/^\uFEFF/, '');
+    return { sheetNames: [fileName], sheets: { [fileName]: parseDelimitedText(text) } };
+  }
+
+  const workbook = XLSX.read(data, { type: 'array' });
+  const sheets = {};
+  workbook.SheetNames.forEach(name => {
+    // raw: false keeps the displayed text, so serials with leading zeros survive
+    sheets[name] = XLSX.utils
+      .sheet_to_json(workbook.Sheets[name], { header: 1, defval: '', raw: false, blankrows: false })
+      .map(row => row.map(toCell));
+  });
+  return { sheetNames: workbook.SheetNames, sheets };
+};
+
+// Read an uploaded master-list file (a browser File) into sheets of string rows
+export const readImportFile = async (file) => (
+  parseImportData(file.name, isWorkbook(file.name) ? await file.arrayBuffer() : await file.text())
+);
+
+// Column headers for a sheet, or generic "Column N" names when it has no header row
+export const getColumnNames = (rows, hasHeader) => {
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  return Array.from({ length: width }, (_, index) => (
+    (hasHeader && rows[0]?.[index]) || `Column ${index + 1}`
+  ));
+};
+
+// Treat the first row as a header when it names at least one known field
+export const guessHasHeader = (rows) => {
+  const firstRow = (rows[0] || []).map(cell => cell.toLowerCase());
+  return Object.values(HEADER_GUESSES).some(names => names.some(name => firstRow.includes(name)));
+};
+
+const loadSavedMapping = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPING_STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+// Remember the mapping by header name so the next export with the same layout
+// maps itself, falling back to column positions for header-less files.
+export const saveMapping = (mapping, columnNames, hasHeader) => {
+  const byHeader = {};
+  Object.entries(mapping).forEach(([field, index]) => {
+    if (index !== null) byHeader[field] = columnNames[index];
+  });
+  localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify({ hasHeader, byHeader, byIndex: mapping }));
+};
+
+// Initial mapping for a sheet: the last-used mapping where its headers still
+// exist, then well-known header names, then the original "column 1 =
+// instrument, column 2 = serial" layout.
+export const suggestMapping = (columnNames, hasHeader) => {
+  const saved = loadSavedMapping();
+  const normalizedNames = columnNames.map(name => name.toLowerCase());
+  const mapping = {};
+
+  MASTER_FIELDS.forEach(({ key }) => {
+    let index = -1;
+    if (saved && hasHeader && saved.byHeader[key]) {
+      index = normalizedNames.indexOf(saved.byHeader[key].toLowerCase());
+    } else if (saved && !hasHeader && !saved.hasHeader && saved.byIndex[key] !== undefined) {
+      index = saved.byIndex[key] ?? -1;
+    }
+    if (index < 0 && hasHeader) {
+      index = normalizedNames.findIndex(name => HEADER_GUESSES[key].includes(name));
+    }
+    mapping[key] = index >= 0 && index < columnNames.length ? index : null;
+  });
+
+  if (mapping.instrument === null && mapping.serial !== null) {
+    // Exports without an instrument column track serialized stock by serial number
+    mapping.instrument = mapping.serial;
+  } else if (mapping.instrument === null && columnNames.length > 0) {
+    mapping.instrument = 0;
+    if (columnNames.length > 1) mapping.serial = 1;
+  }
+  return mapping;
+};
+
+// Turn sheet rows into import entries, one per data row, before any row is
+// dropped: [{ rowNumber, excluded, record }], where rowNumber is the row as
+// numbered in the spreadsheet. Unmapped columns are kept on the record as
+// `extra`, keyed by column name, and so is a unit cost that is not a number.
+export const parseMasterRows = (rows, mapping, hasHeader) => {
+  const columnNames = getColumnNames(rows, hasHeader);
+  const mappedIndexes = new Set(Object.values(mapping).filter(index => index !== null));
+  const firstDataRow = hasHeader ? 1 : 0;
+
+  return rows.slice(firstDataRow).map((row, index) => {
+    const valueOf = (field) => (mapping[field] === null ? '' : row[mapping[field]] || '');
+    const extra = {};
+    columnNames.forEach((name, columnIndex) => {
+      if (!mappedIndexes.has(columnIndex) && row[columnIndex]) extra[name] = row[columnIndex];
+    });
+    const unitCost = parseCost(valueOf('unitCost'));
+    if (unitCost === null && valueOf('unitCost')) extra[columnNames[mapping.unitCost]] = valueOf('unitCost');
+
+    return {
+      rowNumber: firstDataRow + index + 1,
+      excluded: false,
+      record: {
+        instrument: valueOf('instrument'),
+        serial: valueOf('serial'),
+        item: valueOf('item'),
+        location: valueOf('location'),
+        site: valueOf('site'),
+        warehouse: valueOf('warehouse'),
+        unitCost,
+        category: valueOf('category'),
+        extra,
+      },
+    };
+  });
+};
+
+// Build the master list (Map of instrument number -> record) from import
+// entries. Excluded rows and rows without an instrument number are left out;
+// the first occurrence of an instrument number wins.
+export const toMasterList = (entries) => {
+  const records = new Map();
+  entries.forEach(({ excluded, record }) => {
+    if (excluded || !record.instrument || records.has(record.instrument)) return;
+    records.set(record.instrument, record);
+  });
+  return records;
+};
+
+// Mark every record with the export it came from, so a list merged from
+// several exports can show where each row was loaded from
+export const tagSourceFile = (records, fileName) => new Map(
+  [...records].map(([instrument, record]) => [instrument, { ...record, sourceFile: fileName }]),
+);
+
+// Add the records of another export to a loaded master list. Instruments
+// already loaded keep their existing record.
+export const mergeMasterLists = (loaded, added) => {
+  const merged = new Map(loaded);
+  added.forEach((record, instrument) => {
+    if (!merged.has(instrument)) merged.set(instrument, record);
+  });
+  return merged;
+};
+
+// File names a master list was loaded from, in load order
+export const sourceFilesOf = (masterList) => [
+  ...new Set([...masterList.values()].map(record => record.sourceFile).filter(Boolean)),
+];
@@ -0,0 +1,142 @@
+// Normalization rules and matching of scanned values against the master list.
+// The same rules are applied to both the scanned value and the master list's
+// instrument/serial numbers before they are compared.
+
+const RULES_STORAGE_KEY = 'barcodeReconciler.matchingRules';
+
+export const DEFAULT_RULES = {
+  // Scanner-added text removed from the start/end of a value (first match wins)
+  stripPrefixes: [],
+  stripSuffixes: [],
+  // Drop dashes, spaces, dots and slashes
+  ignoreSeparators: false,
+  // 'keep', 'strip' (leading zeros) or 'pad' (numbers to padLength digits)
+  zeros: 'keep',
+  padLength: 0,
+  // Treat O as 0 and I as 1, for hand-typed numbers
+  foldConfusables: false,
+  // Regex rewrites applied in order: [{ pattern, replacement }]
+  rewrites: [],
+};
+
+export const loadRules = () => {
+  try {
+    return { ...DEFAULT_RULES, ...JSON.parse(localStorage.getItem(RULES_STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_RULES;
+  }
+};
+
+export const saveRules = (rules) => {
+  localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+};
+
+const compileRewrites = (rewrites) => rewrites
+  .filter(rewrite => rewrite.pattern)
+  .map(rewrite => {
+    try {
+      return { regex: new RegExp(rewrite.pattern, 'gi'), replacement: rewrite.replacement || '' };
+    } catch {
+      return null;
+    }
+  })
+  .filter(Boolean);
+
+// Build a normalizer function for a rule set, so regexes compile once
+export const createNormalizer = (rules = DEFAULT_RULES) => {
+  const rewrites = compileRewrites(rules.rewrites);
+  const prefixes = rules.stripPrefixes.map(prefix => prefix.toUpperCase()).filter(Boolean);
+  const suffixes = rules.stripSuffixes.map(suffix => suffix.toUpperCase()).filter(Boolean);
+
+  return (raw) => {
+    let value = String(raw ?? '').trim().toUpperCase();
+    rewrites.forEach(({ regex, replacement }) => {
+      value = value.replace(regex, replacement);
+    });
+    const prefix = prefixes.find(p => value.startsWith(p));
+    if (prefix) value = value.slice(prefix.length);
+    const suffix = suffixes.find(s => value.endsWith(s));
+    if (suffix) value = value.slice(0, value.length - suffix.length);
+    if (rules.ignoreSeparators) value = value.replace(/[-\s./]/g, '');
+    if (rules.foldConfusables) value = value.replace(/O/g, '0').replace(/I/g, '1');
+    if (rules.zeros === 'strip') {
+      value = value.replace(/^0+(?=.)/, '');
+    } else if (rules.zeros === 'pad' && /^\d+$/.test(value)) {
+      value = value.padStart(rules.padLength, '0');
+    }
+    return value;
+  };
+};
+
+// Lookup index over the master list: normalized instrument and serial number
+// -> records carrying it. Built once per master list and rule set so a scan is
+// a single map lookup rather than a pass over every row.
+export const buildMatchIndex = (masterList, normalize = createNormalizer()) => {
+  const byKey = new Map();
+  const add = (key, record) => {
+    if (!key) return;
+    const records = byKey.get(key);
+    if (!records) {
+      byKey.set(key, [record]);
+    } else if (!records.includes(record)) {
+      records.push(record);
+    }
+  };
+  masterList.forEach(record => {
+    add(normalize(record.instrument), record);
+    if (record.serial) add(normalize(record.serial), record);
+  });
+  return { normalize, byKey };
+};
+
+// Every master record whose instrument or serial number matches a scanned value
+export const findRecords = (index, number) => {
+  const normalizedNumber = index.normalize(number);
+  return (normalizedNumber && index.byKey.get(normalizedNumber)) || [];
+};
+
+// The first master record matching a scanned value, or null
+export const findRecord = (index, number) => findRecords(index, number)[0] || null;
+
+// Levenshtein distance, giving up early once it must exceed `limit`
+export const editDistance = (a, b, limit = Infinity) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Closest master records to an unmatched value, for a "did you mean" prompt.
+// Allows roughly one edit per four characters, at least one.
+export const suggestMatches = (index, number, limit = 5) => {
+  const normalizedNumber = index.normalize(number);
+  if (!normalizedNumber) return [];
+  const maxDistance = Math.max(1, Math.floor(normalizedNumber.length / 4));
+  const bestByRecord = new Map();
+
+  index.byKey.forEach((records, key) => {
+    const distance = editDistance(normalizedNumber, key, maxDistance);
+    if (distance > maxDistance) return;
+    records.forEach(record => {
+      if (!bestByRecord.has(record) || distance < bestByRecord.get(record)) bestByRecord.set(record, distance);
+    });
+  });
+
+  return [...bestByRecord]
+    .sort(([a, aDistance], [b, bDistance]) => aDistance - bDistance || a.instrument.localeCompare(b.instrument))
+    .slice(0, limit)
+    .map(([record]) => record);
+};
@@ -0,0 +1,152 @@
+// Live count analytics for the progress dashboard: completion overall and
+// per location or item, scan rates per counter, scan activity over time and
+// an estimated finish, plus accuracy of earlier counts for comparison.
+import { isScanEvent } from './scanLog.js';
+import { reconcile } from './engine.js';
+
+const MINUTE = 60 * 1000;
+
+// Window the recent scan and find rates are measured over
+export const RECENT_WINDOW_MS = 15 * MINUTE;
+
+// Instruments counted at least once, wherever they were found
+const foundInstruments = (report) => new Set([
+  ...report.matched.map(record => record.instrument),
+  ...report.short.map(record => record.instrument),
+  ...report.misplaced.map(record => record.instrument),
+]);
+
+// Records shipped during the count are no longer expected to be found
+const expectedCount = (report) => report.totalExpected - (report.movement ? report.movement.shipped.length : 0);
+
+export const overallCompletion = (report) => {
+  const expected = expectedCount(report);
+  const found = foundInstruments(report).size;
+  return { expected, found, percent: expected > 0 ? Math.round((found / expected) * 100) : 0 };
+};
+
+// Completion per location or item number of the master list:
+// [{ key, expected, found, percent }], least complete first
+export const groupCompletion = (masterList, report, groupBy) => {
+  const found = foundInstruments(report);
+  const shipped = new Set(report.movement ? report.movement.shipped.map(record => record.instrument) : []);
+  const groups = new Map();
+  masterList.forEach(record => {
+    if (shipped.has(record.instrument)) return;
+    const key = (groupBy === 'item' ? record.item : record.location) || '';
+    if (!groups.has(key)) groups.set(key, { key, expected: 0, found: 0 });
+    const group = groups.get(key);
+    group.expected += 1;
+    if (found.has(record.instrument)) group.found += 1;
+  });
+  return [...groups.values()]
+    .map(group => ({ ...group, percent: Math.round((group.found / group.expected) * 100) }))
+    .sort((a, b) => a.percent - b.percent || a.key.localeCompare(b.key, undefined, { numeric: true }));
+};
+
+// Scans per minute for each counter: over their whole active time and over
+// the recent window. [{ counter, scans, perMinute, recentPerMinute, lastScan }]
+export const counterRates = (events, now) => {
+  const counters = new Map();
+  events.forEach(event => {
+    if (!isScanEvent(event)) return;
+    const counter = event.counter || 'Unknown counter';
+    if (!counters.has(counter)) counters.set(counter, { counter, scans: 0, recent: 0, first: event.timestamp, lastScan: 0 });
+    const entry = counters.get(counter);
+    entry.scans += 1;
+    if (now - event.timestamp <= RECENT_WINDOW_MS) entry.recent += 1;
+    entry.first = Math.min(entry.first, event.timestamp);
+    entry.lastScan = Math.max(entry.lastScan, event.timestamp);
+  });
+  return [...counters.values()]
+    .map(({ counter, scans, recent, first, lastScan }) => ({
+      counter,
+      scans,
+      // A single scan has no duration; count it as a minute's work
+      perMinute: scans / Math.max(1, (lastScan - first) / MINUTE),
+      recentPerMinute: recent / (RECENT_WINDOW_MS / MINUTE),
+      lastScan,
+    }))
+    .sort((a, b) => b.scans - a.scans);
+};
+
+// Earliest and latest of a list of timestamps. A loop rather than spreading
+// them into Math.min/max, which runs out of call stack on a large count.
+const timeRange = (times) => times.reduce(
+  (range, time) => ({ first: Math.min(range.first, time), last: Math.max(range.last, time) }),
+  { first: Infinity, last: -Infinity },
+);
+
+// Bucket sizes the timeline picks from, so bars line up with clock minutes
+const BUCKET_SIZES = [1, 2, 5, 10, 15, 30, 60, 120, 240].map(minutes => minutes * MINUTE);
+
+// Scan counts over time for the timeline chart: { bucketMs, buckets: [{ start, count }] }
+// with at most `maxBuckets` buckets from the first scan to `now`
+export const scanTimeline = (events, now, maxBuckets = 40) => {
+  const scans = events.filter(isScanEvent);
+  if (scans.length === 0) return { bucketMs: MINUTE, buckets: [] };
+  const { first, last } = timeRange(scans.map(event => event.timestamp));
+  const span = Math.max(now, last) - first;
+  const bucketMs = BUCKET_SIZES.find(size => span / size < maxBuckets) || BUCKET_SIZES[BUCKET_SIZES.length - 1];
+  const start = Math.floor(first / bucketMs) * bucketMs;
+  const count = Math.min(maxBuckets, Math.floor((first + span - start) / bucketMs) + 1);
+  const buckets = Array.from({ length: count }, (_, i) => ({ start: start + i * bucketMs, count: 0 }));
+  scans.forEach(event => {
+    const index = Math.min(count - 1, Math.floor((event.timestamp - start) / bucketMs));
+    buckets[index].count += 1;
+  });
+  return { bucketMs, buckets };
+};
+
+// When the remaining expected records should all be found, at the rate new
+// records were found over the recent window (or over the whole count when
+// nothing was found recently). Returns { remaining, perMinute, finishAt },
+// where finishAt is null while there is no rate to go by.
+export const estimateCompletion = (report, events, now) => {
+  const found = foundInstruments(report);
+  const firstFound = new Map();
+  events.forEach(event => {
+    if (isScanEvent(event) && event.instrument && found.has(event.instrument) && !firstFound.has(event.instrument)) {
+      firstFound.set(event.instrument, event.timestamp);
+    }
+  });
+  const remaining = Math.max(0, expectedCount(report) - found.size);
+  const times = [...firstFound.values()];
+  const recent = times.filter(time => now - time <= RECENT_WINDOW_MS).length;
+  let perMinute = recent / (RECENT_WINDOW_MS / MINUTE);
+  if (perMinute === 0 && times.length > 1) {
+    const { first, last } = timeRange(times);
+    perMinute = times.length / Math.max(1, (last - first) / MINUTE);
+  }
+  return {
+    remaining,
+    perMinute,
+    finishAt: remaining > 0 && perMinute > 0 ? now + (remaining / perMinute) * MINUTE : null,
+  };
+};
+
+// Accuracy of a saved count ({ session, masterList, scans } from loadSession):
+// the share of expected records found once, in their own location
+export const sessionAccuracy = ({ session, masterList, scans }) => {
+  const report = reconcile({
+    masterList,
+    events: scans,
+    excessReview: session.excessReview || {},
+    recount: session.recount || null,
+  });
+  return {
+    sessionId: session.id,
+    startedAt: session.startedAt,
+    counterName: session.counterName,
+    expected: report.totalExpected,
+    matched: report.matched.length,
+    variances: report.missing.length + report.short.length + report.misplaced.length + report.excess.length,
+    accuracy: report.totalExpected > 0 ? report.matched.length / report.totalExpected : 0,
+  };
+};
+
+// Earlier counts at the same site, most recent first, for the accuracy trend
+export const pastCountsAt = (sessions, site, currentId, limit) => sessions
+  .filter(s => s.id !== currentId && s.startedAt && (s.site || '').trim().toLowerCase() === (site || '').trim().toLowerCase())
+  .sort((a, b) => b.startedAt - a.startedAt)
+  .slice(0, limit);
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateCompletion, scanTimeline } from './progress.js';
+
+const MINUTE = 60 * 1000;
+
+// More scans than fit in a function call's arguments
+const scans = Array.from({ length: 200000 }, (_, i) => ({
+  id: `s${i}`,
+  type: 'scan',
+  value: `INS-${i}`,
+  instrument: `INS-${i}`,
+  timestamp: i * 100,
+}));
+const end = scans[scans.length - 1].timestamp;
+
+describe('progress', () => {
+  it('builds the timeline of a large count', () => {
+    const { bucketMs, buckets } = scanTimeline(scans, end);
+    assert.ok(buckets.length <= 40);
+    assert.equal(buckets[0].start, 0);
+    assert.equal(buckets.reduce((total, bucket) => total + bucket.count, 0), scans.length);
+    assert.ok(bucketMs >= MINUTE);
+  });
+
+  it('estimates the finish of a large count from its whole duration', () => {
+    const report = {
+      totalExpected: scans.length + 1000,
+      matched: scans.map(event => ({ instrument: event.instrument })),
+      short: [],
+      misplaced: [],
+      movement: null,
+    };
+    // Nothing found in the recent window, so the rate covers the whole count
+    const now = end + 60 * MINUTE;
+    const { remaining, perMinute, finishAt } = estimateCompletion(report, scans, now);
+    assert.equal(remaining, 1000);
+    assert.equal(perMinute, scans.length / (end / MINUTE));
+    assert.equal(finishAt, now + (1000 / perMinute) * MINUTE);
+  });
+});
@@ -0,0 +1,109 @@
+// Recount phase: once the first pass is done, the variances it left (missing,
+// short/duplicate, misplaced and excess) are frozen into a recount list. Events
+// recorded while the recount is open carry phase 'recount'; for each number
+// they replace the first count rather than add to it, so the report shows the
+// final result while the frozen list keeps what the first count said.
+// A counter who cannot find an item records a 'recount' event for it with
+// outcome 'not-found'.
+
+export const RECOUNT_KINDS = {
+  missing: 'Missing',
+  short: 'Short/Duplicate',
+  misplaced: 'Misplaced',
+  excess: 'Excess',
+};
+
+// Key shared by a recount item and the events that resolve it. Excess numbers
+// are not instrument numbers, so they get their own namespace.
+export const recountKeyOf = (event) => (event.instrument || `excess:${event.value}`);
+
+const masterItem = (record, kind, firstCount) => ({
+  key: record.instrument,
+  kind,
+  instrument: record.instrument,
+  number: record.instrument,
+  serial: record.serial || '',
+  location: record.location || '',
+  firstCount,
+  foundLocations: record.foundLocations || [],
+});
+
+// Freeze the current variances into recount items
+export const buildRecountItems = (report) => [
+  ...report.missing.map(record => masterItem(record, 'missing', 0)),
+  ...report.short.map(record => masterItem(record, 'short', record.count)),
+  ...report.misplaced.map(record => masterItem(record, 'misplaced', 1)),
+  ...report.excess.map(item => ({
+    key: `excess:${item.number}`,
+    kind: 'excess',
+    instrument: null,
+    number: item.number,
+    serial: '',
+    location: '',
+    firstCount: item.count,
+    foundLocations: [],
+  })),
+];
+
+// Recount items grouped by expected location: [{ location, items }], with
+// items of unknown location last
+export const groupByLocation = (items) => {
+  const groups = new Map();
+  items.forEach(item => {
+    if (!groups.has(item.location)) groups.set(item.location, []);
+    groups.get(item.location).push(item);
+  });
+  return [...groups.entries()]
+    .map(([location, groupItems]) => ({ location, items: groupItems }))
+    .sort((a, b) => (!a.location) - (!b.location) || a.location.localeCompare(b.location));
+};
+
+const resolutionOf = (item, result) => {
+  if (result.count > 0) {
+    if (item.kind === 'missing') return { status: 'resolved', label: 'Found on recount' };
+    if (item.kind === 'short') {
+      return result.count === 1
+        ? { status: 'resolved', label: 'Recounted: 1' }
+        : { status: 'confirmed', label: `Recounted: ${result.count}` };
+    }
+    if (item.kind === 'misplaced') {
+      if (result.locations.size === 0) return { status: 'resolved', label: 'Found on recount' };
+      return result.locations.has(item.location)
+        ? { status: 'resolved', label: 'Found in expected location' }
+        : { status: 'confirmed', label: `Confirmed in ${[...result.locations].join(', ')}` };
+    }
+    return { status: 'confirmed', label: 'Confirmed present' };
+  }
+  if (result.notFound) {
+    return item.kind === 'excess'
+      ? { status: 'resolved', label: 'Not found on recount' }
+      : { status: 'confirmed', label: 'Confirmed missing' };
+  }
+  return { status: 'pending', label: 'Not recounted' };
+};
+
+// Outcome of each recount item from the recount-phase events:
+// Map of key -> { item, status: 'pending' | 'resolved' | 'confirmed', label, count }
+export const resolveRecount = (items, events) => {
+  const results = new Map(items.map(item => [item.key, { count: 0, locations: new Set(), notFound: false }]));
+  events.forEach(event => {
+    if (event.phase !== 'recount') return;
+    const result = results.get(event.type === 'recount' ? event.target : recountKeyOf(event));
+    if (!result) return;
+    if (event.type === 'recount') {
+      result.notFound = event.outcome === 'not-found';
+    } else if (event.type === 'set-quantity') {
+      result.count = event.quantity;
+    } else if (!event.type || event.type === 'scan') {
+      result.count += 1;
+      if (event.location) result.locations.add(event.location);
+    }
+  });
+
+  const resolutions = new Map();
+  items.forEach(item => {
+    const result = results.get(item.key);
+    resolutions.set(item.key, { item, ...resolutionOf(item, result), count: result.count });
+  });
+  return resolutions;
+};
@@ -0,0 +1,282 @@
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { RECOUNT_KINDS } from './recount.js';
+import { statusLabel } from './lifecycle.js';
+import { formatValue, valueSummary } from './valuation.js';
+
+export const STATUS_LABELS = {
+  matched: 'Matched',
+  missing: 'Missing',
+  short: 'Short/Duplicate',
+  misplaced: 'Misplaced',
+  excess: 'Excess',
+  shipped: 'Shipped during count',
+  received: 'Received during count',
+};
+
+// One line per master record plus one per excess number. The leading columns
+// follow the DAX counting journal line layout (item, site, warehouse, location,
+// serial, counted quantity) so the file can be mapped straight into a journal
+// import; the trailing columns are informational, including the value of the
+// variance where a unit cost is known and why a missing item was escalated.
+// After a recount, each row also says what the first count found and how the
+// recount resolved it. Extra master-list columns come last; one named like a
+// fixed column is prefixed with "Master list" instead of replacing it.
+export const buildReportRows = (report) => {
+  const recountColumns = (key) => {
+    if (!report.recount) return {};
+    const resolution = report.recount.get(key);
+    return {
+      'First count': resolution ? RECOUNT_KINDS[resolution.item.kind] : '',
+      'Recount result': resolution ? resolution.label : '',
+    };
+  };
+
+  const valueColumns = (line, variance) => ({
+    'Category': line.category || '',
+    'Unit cost': line.unitCost ?? '',
+    'Variance value': line.unitCost != null ? variance * line.unitCost : '',
+  });
+
+  const withExtra = (row, extra) => {
+    Object.entries(extra || {}).forEach(([name, value]) => {
+      row[name in row ? `Master list ${name}` : name] = value;
+    });
+    return row;
+  };
+
+  const masterRow = (record, status, scanCount, onHand = 1) => {
+    const counted = scanCount > 0 ? 1 : 0;
+    const escalation = status === 'missing' ? report.escalations && report.escalations.get(record.instrument) : null;
+    return withExtra({
+      'Item number': record.item || '',
+      'Site': record.site || '',
+      'Warehouse': record.warehouse || '',
+      'Location': record.location || '',
+      'Serial number': record.serial || '',
+      'Counted quantity': counted,
+      'On-hand quantity': onHand,
+      'Variance': counted - onHand,
+      'Instrument number': record.instrument,
+      'Scan count': scanCount,
+      'Found location': (record.foundLocations || []).join(', '),
+      ...valueColumns(record, counted - onHand),
+      'Status': STATUS_LABELS[status],
+      'Escalation': escalation ? escalation.join('; ') : '',
+      'Note': '',
+      ...recountColumns(record.instrument),
+    }, record.extra);
+  };
+
+  return [
+    ...report.matched.map(record => masterRow(record, 'matched', 1)),
+    ...report.short.map(record => masterRow(record, 'short', record.count)),
+    ...report.misplaced.map(record => masterRow(record, 'misplaced', 1)),
+    ...report.missing.map(record => masterRow(record, 'missing', 0)),
+    // Explained by inventory movement: on hand per the later snapshot
+    ...(report.movement ? report.movement.shipped.map(record => masterRow(record, 'shipped', 0, 0)) : []),
+    ...(report.movement ? report.movement.received.map(item => ({
+      ...masterRow(item.record, 'received', item.count),
+      'Note': item.note,
+    })) : []),
+    ...report.excess.map(item => ({
+      'Item number': '',
+      'Site': '',
+      'Warehouse': '',
+      'Location': '',
+      'Serial number': item.number,
+      'Counted quantity': 1,
+      'On-hand quantity': 0,
+      'Variance': 1,
+      'Instrument number': '',
+      'Scan count': item.count,
+      'Found location': '',
+      ...valueColumns(item, 1),
+      'Status': STATUS_LABELS.excess,
+      'Escalation': '',
+      'Note': item.note,
+      ...recountColumns(`excess:${item.number}`),
+    })),
+  ];
+};
+
+// Every column of the report rows, in order of first appearance. Extra
+// master-list columns are only on the rows that have a value for them, so the
+// header can't be taken from the first row alone.
+export const reportColumns = (rows) => {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(name => columns.add(name)));
+  return [...columns];
+};
+
+// The report as CSV text, as downloaded by the app and written by the CLI
+export const reportCsv = (report) => {
+  const rows = buildReportRows(report);
+  return Papa.unparse(rows, { columns: reportColumns(rows) });
+};
+
+const exportFileName = (session, extension) => {
+  const date = new Date().toISOString().slice(0, 10);
+  const site = (session.site || 'count').replace(/[^\w-]+/g, '_');
+  return `cycle-count_${site}_${date}.${extension}`;
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadReportCsv = (report, session) => {
+  const csv = reportCsv(report);
+  downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), exportFileName(session, 'csv'));
+};
+
+// One row per audit entry; details are kept as JSON so the hashes can be
+// recomputed from the sheet
+const buildAuditRows = (trail) => trail.map(entry => ({
+  'Seq': entry.seq,
+  'Time': new Date(entry.timestamp).toISOString(),
+  'Actor': entry.actor,
+  'Device': entry.deviceId || '',
+  'Action': entry.action,
+  'Details': JSON.stringify(entry.details),
+  'Previous hash': entry.prevHash,
+  'Hash': entry.hash,
+}));
+
+// An approved count's audit trail, when given, goes in a second sheet
+export const downloadReportXlsx = (report, session, trail = null) => {
+  const workbook = XLSX.utils.book_new();
+  const rows = buildReportRows(report);
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows, { header: reportColumns(rows) }), 'Reconciliation');
+  if (trail && trail.length > 0) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(buildAuditRows(trail)), 'Audit Trail');
+  }
+  XLSX.writeFile(workbook, exportFileName(session, 'xlsx'));
+};
+
+// The full audit trail as JSON, with the session's sign-off details
+export const downloadAuditTrail = (trail, session) => {
+  const data = {
+    site: session.site,
+    counterName: session.counterName,
+    approverName: session.approverName,
+    status: session.status,
+    approvedAt: session.approvedAt ? new Date(session.approvedAt).toISOString() : null,
+    closedAt: session.closedAt ? new Date(session.closedAt).toISOString() : null,
+    headHash: trail.length > 0 ? trail[trail.length - 1].hash : null,
+    entries: trail,
+  };
+  const json = JSON.stringify(data, null, 2);
+  downloadBlob(new Blob([json], { type: 'application/json' }), exportFileName(session, 'audit.json'));
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Open a print-friendly variance summary in a new window and start printing.
+// `filterNote` describes the filter of a filtered report, so the printout
+// says it is not the whole count.
+export const printVarianceReport = (report, session, filterNote = null) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    alert('Allow pop-ups for this site to print the report.');
+    return;
+  }
+
+  const totals = [
+    ['Total Expected', report.totalExpected],
+    ['Total Scanned', report.totalScanned],
+    ['Correctly Matched', report.matched.length],
+    ['Missing', report.missing.length],
+    ['Short/Duplicate', report.short.length],
+    ['Misplaced', report.misplaced.length],
+    ['Excess', report.excess.length],
+    ...(report.movement
+      ? [['Explained by Movement', report.movement.shipped.length + report.movement.received.length]]
+      : []),
+  ];
+  const value = valueSummary(report);
+  if (value.missing.value > 0 || value.excess.value > 0) {
+    totals.push(['Missing Value', formatValue(value.missing.value)], ['Excess Value', formatValue(value.excess.value)]);
+  }
+  if (report.escalations && report.escalations.size > 0) totals.push(['Escalated', report.escalations.size]);
+  // Items resolved on recount stay listed so the resolution is on paper
+  const varianceRows = buildReportRows(report)
+    .filter(row => row.Status !== STATUS_LABELS.matched || row['Recount result']);
+  const recountHeader = report.recount ? '<th>Recount</th>' : '';
+
+  printWindow.document.write(`<!doctype html>
+<html>
+<head>
+  <title>Cycle Count Variance Report</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif; color: #1a202c; margin: 24px; }
+    h1 { color: #003087; margin-bottom: 4px; }
+    .meta { color: #4a5568; margin-bottom: 16px; }
+    .meta code { word-break: break-all; }
+    .totals { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; margin-bottom: 24px; }
+    .totals div { border: 1px solid #cbd5e0; border-radius: 6px; padding: 8px; }
+    .totals strong { display: block; font-size: 1.4rem; color: #003087; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { border-bottom: 1px solid #e2e8f0; padding: 4px 6px; text-align: left; }
+    th { border-bottom: 2px solid #003087; }
+    .signature { margin-top: 48px; display: flex; gap: 48px; }
+    .signature div { flex: 1; border-top: 1px solid #1a202c; padding-top: 4px; }
+  </style>
+</head>
+<body>
+  <h1>Cycle Count Variance Report</h1>
+  <div class="meta">
+    Counter: ${escapeHtml(session.counterName || '—')} &middot;
+    Site: ${escapeHtml(session.site || '—')} &middot;
+    Master list: ${escapeHtml(session.masterFileName || '—')}<br />
+    Count started: ${session.startedAt ? escapeHtml(new Date(session.startedAt).toLocaleString()) : '—'} &middot;
+    Report generated: ${escapeHtml(new Date().toLocaleString())}<br />
+    ${filterNote ? `<strong>Filtered view</strong> &middot; ${escapeHtml(filterNote)}<br />` : ''}
+    Status: ${escapeHtml(statusLabel(session.status))}
+    ${session.approvedAt ? `&middot; Approved by ${escapeHtml(session.approverName)} on ${escapeHtml(new Date(session.approvedAt).toLocaleString())}` : ''}
+    ${session.audit ? `<br />Audit trail: ${session.audit.entryCount} entries, head hash <code>${escapeHtml(session.audit.headHash)}</code>` : ''}
+  </div>
+  <div class="totals">
+    ${totals.map(([label, value]) => `<div>${label}<strong>${value}</strong></div>`).join('')}
+  </div>
+  <h2>Variances (${varianceRows.length})</h2>
+  <table>
+    <thead>
+      <tr><th>Status</th><th>Instrument</th><th>Serial</th><th>Item</th><th>Location</th><th>Scans</th><th>Variance</th>${recountHeader}<th>Note</th></tr>
+    </thead>
+    <tbody>
+      ${varianceRows.map(row => `<tr>
+        <td>${escapeHtml(row.Status)}${row.Escalation ? `<br /><strong>Escalated:</strong> ${escapeHtml(row.Escalation)}` : ''}</td>
+        <td>${escapeHtml(row['Instrument number'])}</td>
+        <td>${escapeHtml(row['Serial number'])}</td>
+        <td>${escapeHtml(row['Item number'])}</td>
+        <td>${escapeHtml(row.Location)}</td>
+        <td>${row['Scan count']}</td>
+        <td>${row.Variance}</td>
+        ${report.recount ? `<td>${row['First count'] ? escapeHtml(`${row['First count']} → ${row['Recount result']}`) : ''}</td>` : ''}
+        <td>${escapeHtml(row.Note)}</td>
+      </tr>`).join('')}
+    </tbody>
+  </table>
+  <div class="signature">
+    <div>Counted by${session.counterName ? `: ${escapeHtml(session.counterName)}` : ''}</div>
+    <div>Approved by${session.approverName ? `: ${escapeHtml(session.approverName)}` : ''}</div>
+    <div>Date${session.approvedAt ? `: ${escapeHtml(new Date(session.approvedAt).toLocaleDateString())}` : ''}</div>
+  </div>
+</body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
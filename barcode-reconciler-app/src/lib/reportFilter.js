@@ -0,0 +1,263 @@
+// Search, filter, sort and grouping for the reconciliation report. The
+// filtered report has the same shape as the full one, so the report sections
+// and every export work on whichever view is on screen.
+import { isScanEvent } from './scanLog.js';
+
+// Report sections the status filter can show or hide, in screen order
+export const REPORT_SECTIONS = [
+  { key: 'excess', label: 'Excess' },
+  { key: 'short', label: 'Short/Duplicate' },
+  { key: 'movement', label: 'Explained by movement' },
+  { key: 'misplaced', label: 'Misplaced' },
+  { key: 'missing', label: 'Missing' },
+  { key: 'matched', label: 'Matched' },
+];
+
+// 'list' keeps the order the report has the lines in (master-list order for
+// records), which needs no sorting at all
+export const SORT_OPTIONS = [
+  { key: 'list', label: 'List order' },
+  { key: 'number', label: 'Number' },
+  { key: 'location', label: 'Location' },
+  { key: 'lastScan', label: 'Last scan time' },
+];
+
+export const GROUP_OPTIONS = [
+  { key: '', label: 'No grouping' },
+  { key: 'item', label: 'Item' },
+  { key: 'location', label: 'Location' },
+];
+
+export const DEFAULT_REPORT_FILTER = {
+  query: '',
+  sections: REPORT_SECTIONS.map(section => section.key),
+  location: '',
+  sort: 'list',
+  groupBy: '',
+};
+
+export const isFiltered = (filter) => (
+  filter.query.trim() !== '' ||
+  filter.location !== '' ||
+  filter.sections.length < REPORT_SECTIONS.length
+);
+
+// Last scan time and scanned locations per instrument, and per excess number
+// under `excess:<number>`, for sorting and for placing excess items
+export const buildScanIndex = (events) => {
+  const index = new Map();
+  events.forEach(event => {
+    if (!isScanEvent(event)) return;
+    const key = event.instrument || `excess:${event.value}`;
+    if (!index.has(key)) index.set(key, { lastScanned: 0, locations: new Set() });
+    const entry = index.get(key);
+    entry.lastScanned = Math.max(entry.lastScanned, event.timestamp);
+    if (event.location) entry.locations.add(event.location);
+  });
+  return index;
+};
+
+// Report lines are master records, excess items ({ number, ... }) or items
+// received during the count ({ number, record, ... })
+const recordOf = (row) => (row.instrument ? row : row.record || null);
+const numberOf = (row) => row.instrument || row.number;
+const scanKeyOf = (row) => row.instrument || `excess:${row.number}`;
+
+const locationsOf = (row, scanIndex) => {
+  const record = recordOf(row);
+  const scanned = scanIndex.get(scanKeyOf(row));
+  return [
+    record && record.location,
+    ...(row.foundLocations || []),
+    ...(scanned ? scanned.locations : []),
+  ].filter((location, i, all) => location && all.indexOf(location) === i);
+};
+
+const groupKeyOf = (row, groupBy, scanIndex) => {
+  if (groupBy === 'item') {
+    const record = recordOf(row);
+    return (record && record.item) || '';
+  }
+  return locationsOf(row, scanIndex)[0] || '';
+};
+
+// Search text per line object; records are the same objects from scan to scan
+const searchTexts = new WeakMap();
+
+const searchTextOf = (row) => {
+  if (searchTexts.has(row)) return searchTexts.get(row);
+  const record = recordOf(row) || {};
+  const text = [
+    row.number,
+    row.note,
+    record.instrument,
+    record.serial,
+    record.item,
+    record.location,
+    record.site,
+    record.warehouse,
+    record.category,
+    row.category,
+    ...(row.foundLocations || []),
+    ...Object.values(record.extra || {}),
+  ].filter(Boolean).join(' ').toLowerCase();
+  searchTexts.set(row, text);
+  return text;
+};
+
+// Sorts after any real location or item number
+const LAST = '\uffff';
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+const compareText = collator.compare;
+
+// Sort comparator for `filter`. Grouped views sort by group first so each
+// group's lines are together; lines without a group go last.
+const comparatorFor = (filter, scanIndex) => {
+  const lastScanned = (row) => (scanIndex.get(scanKeyOf(row)) || { lastScanned: 0 }).lastScanned;
+  const bySort = {
+    number: (a, b) => compareText(numberOf(a), numberOf(b)),
+    location: (a, b) => (
+      compareText(locationsOf(a, scanIndex)[0] || LAST, locationsOf(b, scanIndex)[0] || LAST) ||
+      compareText(numberOf(a), numberOf(b))
+    ),
+    // Most recent first, never-scanned lines last
+    lastScan: (a, b) => lastScanned(b) - lastScanned(a) || compareText(numberOf(a), numberOf(b)),
+    list: () => 0,
+  }[filter.sort];
+  if (!filter.groupBy) return bySort;
+  return (a, b) => {
+    const groupA = groupKeyOf(a, filter.groupBy, scanIndex) || LAST;
+    const groupB = groupKeyOf(b, filter.groupBy, scanIndex) || LAST;
+    return compareText(groupA, groupB) || bySort(a, b);
+  };
+};
+
+// Whether the sort or grouping of `filter` looks at the scans of a line
+const dependsOnScans = (filter) => (
+  filter.sort === 'location' || filter.sort === 'lastScan' || filter.groupBy === 'location'
+);
+
+const scanEntryChanged = (before, after) => (
+  (before ? before.lastScanned : 0) !== (after ? after.lastScanned : 0) ||
+  (before ? before.locations.size : 0) !== (after ? after.locations.size : 0)
+);
+
+// Insert `row` into the sorted `rows` after any equal lines
+const insertSorted = (rows, row, compare) => {
+  let low = 0;
+  let high = rows.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (compare(rows[middle], row) <= 0) low = middle + 1;
+    else high = middle;
+  }
+  rows.splice(low, 0, row);
+};
+
+// Sort a section's lines, patching its order from the last call when only a
+// few lines came or went: a scan moves one record out of a list of tens of
+// thousands, which is far cheaper to patch than to sort again. Lines whose
+// scans changed are re-placed when the sort looks at scans. Returns the
+// cache entry for the next call: { filter, scanIndex, rows (a Set), sorted }.
+const sortSection = (rows, compare, previous, filter, scanIndex) => {
+  const current = new Set(rows);
+  const entry = (sorted) => ({ filter, scanIndex, rows: current, sorted });
+  if (!previous || previous.filter !== filter) return entry([...rows].sort(compare));
+  const rescanned = previous.scanIndex !== scanIndex && dependsOnScans(filter)
+    ? (row) => scanEntryChanged(previous.scanIndex.get(scanKeyOf(row)), scanIndex.get(scanKeyOf(row)))
+    : () => false;
+  const moved = new Set();
+  const sorted = previous.sorted.filter(row => {
+    if (!current.has(row)) return false;
+    if (!rescanned(row)) return true;
+    moved.add(row);
+    return false;
+  });
+  const added = rows.filter(row => !previous.rows.has(row) || moved.has(row));
+  if (added.length * 16 > rows.length) return entry([...rows].sort(compare));
+  added.forEach(row => insertSorted(sorted, row, compare));
+  return entry(sorted);
+};
+
+// The report restricted to the sections, location and search terms of
+// `filter`, with every list sorted. Totals, location progress and recount
+// resolutions are left as they are. The full report with its lists in list
+// order is returned as it is. `cache` (a Map kept by the caller between
+// calls) holds each section's last sorted lines, see sortSection.
+export const filterReport = (report, filter, scanIndex, cache = null) => {
+  if (!isFiltered(filter) && filter.sort === 'list' && !filter.groupBy) return report;
+  const terms = filter.query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const compare = comparatorFor(filter, scanIndex);
+  // `list` names the cached list where a section has more than one
+  const select = (section, rows, list = section) => {
+    if (!filter.sections.includes(section)) return [];
+    const selected = rows
+      .filter(row => !filter.location || locationsOf(row, scanIndex).includes(filter.location))
+      .filter(row => terms.length === 0 || terms.every(term => searchTextOf(row).includes(term)));
+    if (filter.sort === 'list' && !filter.groupBy) return selected;
+    const entry = sortSection(selected, compare, cache && cache.get(list), filter, scanIndex);
+    if (cache) cache.set(list, entry);
+    return entry.sorted;
+  };
+
+  return {
+    ...report,
+    matched: select('matched', report.matched),
+    missing: select('missing', report.missing),
+    short: select('short', report.short),
+    misplaced: select('misplaced', report.misplaced),
+    excess: select('excess', report.excess),
+    dismissed: select('excess', report.dismissed, 'dismissed'),
+    movement: report.movement && {
+      ...report.movement,
+      shipped: select('movement', report.movement.shipped, 'shipped'),
+      received: select('movement', report.movement.received, 'received'),
+    },
+  };
+};
+
+// Every location in the report, for the location filter
+export const reportLocations = (report, scanIndex) => {
+  const locations = new Set(report.locations.map(entry => entry.location));
+  [...report.missing, ...report.short, ...report.misplaced, ...report.excess].forEach(row => {
+    locationsOf(row, scanIndex).forEach(location => locations.add(location));
+  });
+  return [...locations].sort(compareText);
+};
+
+// A list's lines by item or location: [{ key, label, rows }], in order of
+// first appearance, so a sorted list gives sorted groups. Without grouping,
+// the whole list is a single group with no label.
+export const groupRows = (rows, groupBy, scanIndex) => {
+  if (!groupBy) return [{ key: '', label: null, rows }];
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = groupKeyOf(row, groupBy, scanIndex);
+    if (!groups.has(key)) {
+      const none = groupBy === 'item' ? 'No item number' : 'No location';
+      groups.set(key, { key, label: key || none, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  });
+  return [...groups.values()];
+};
+
+// One line describing an active filter, for printed and exported views
+export const describeFilter = (filter) => {
+  if (!isFiltered(filter)) return null;
+  const parts = [];
+  if (filter.sections.length < REPORT_SECTIONS.length) {
+    const shown = REPORT_SECTIONS.filter(section => filter.sections.includes(section.key));
+    parts.push(`Showing: ${shown.map(section => section.label).join(', ') || 'nothing'}`);
+  }
+  if (filter.location) parts.push(`Location: ${filter.location}`);
+  if (filter.query.trim()) parts.push(`Search: "${filter.query.trim()}"`);
+  return parts.join(' · ');
+};
+
+// Number of report lines, i.e. rows in the exports
+export const countLines = (report) => (
+  report.matched.length + report.missing.length + report.short.length + report.misplaced.length +
+  report.excess.length + (report.movement ? report.movement.shipped.length + report.movement.received.length : 0)
+);
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_REPORT_FILTER, buildScanIndex, filterReport } from './reportFilter.js';
+import { snapshotReport, updateReportState } from './reportState.js';
+
+const masterList = new Map(['INS-10', 'INS-2', 'INS-1', 'INS-30', 'INS-3'].map((instrument, i) => [
+  instrument,
+  { instrument, serial: '', item: '', location: `L${i % 2}` },
+]));
+
+const scan = (instrument, timestamp, location = null) => ({
+  id: `e${timestamp}`,
+  type: 'scan',
+  value: instrument,
+  instrument,
+  location,
+  timestamp,
+});
+
+const numbers = (rows) => rows.map(row => row.instrument);
+
+describe('filterReport', () => {
+  it('returns the report itself for the default filter', () => {
+    const report = snapshotReport(updateReportState(null, masterList, []));
+    assert.equal(filterReport(report, DEFAULT_REPORT_FILTER, buildScanIndex([])), report);
+  });
+
+  it('keeps a cached order in step with a full sort as scans come in', () => {
+    // The cache only carries over while the filter object stays the same
+    const views = ['number', 'location', 'lastScan'].map(sort => ({
+      filter: { ...DEFAULT_REPORT_FILTER, sort },
+      cache: new Map(),
+    }));
+    let state = null;
+    let events = [];
+    [scan('INS-2', 1, 'L1'), scan('INS-30', 2, 'L0'), scan('INS-2', 3, 'L0')].forEach(event => {
+      events = [...events, event];
+      state = updateReportState(state, masterList, events);
+      const report = snapshotReport(state);
+      const scanIndex = buildScanIndex(events);
+      views.forEach(({ filter, cache }) => {
+        const cached = filterReport(report, filter, scanIndex, cache);
+        const full = filterReport(report, filter, scanIndex);
+        assert.deepEqual(numbers(cached.missing), numbers(full.missing));
+        assert.deepEqual(numbers(cached.matched), numbers(full.matched));
+        assert.deepEqual(numbers(cached.short), numbers(full.short));
+      });
+    });
+  });
+
+  it('sorts numbers naturally', () => {
+    const report = snapshotReport(updateReportState(null, masterList, []));
+    const shown = filterReport(report, { ...DEFAULT_REPORT_FILTER, sort: 'number' }, buildScanIndex([]));
+    assert.deepEqual(numbers(shown.missing), ['INS-1', 'INS-2', 'INS-3', 'INS-10', 'INS-30']);
+  });
+});
@@ -0,0 +1,197 @@
+import { isScanEvent } from './scanLog.js';
+import { isMisplaced } from './locations.js';
+import { recountKeyOf } from './recount.js';
+
+// Report derivation kept up to date one event at a time. Folding the whole
+// scan log and re-classifying every master record on each scan is too slow
+// for large master lists, so the state remembers how far into the log it has
+// got and only the records touched by new events are re-classified. Anything
+// other than appending to the log (undo, delete, merging another device's
+// events, a new master list) rebuilds the state from scratch.
+
+const STATUSES = ['missing', 'short', 'misplaced', 'matched'];
+
+const locationEntry = (state, location) => {
+  if (!state.locations.has(location)) {
+    state.locations.set(location, { location, expected: 0, found: 0, misplacedHere: 0 });
+  }
+  return state.locations.get(location);
+};
+
+export const createReportState = (masterList) => {
+  const state = {
+    masterList,
+    // Counted quantity and scanned locations per instrument
+    counts: new Map(),
+    foundLocations: new Map(),
+    excessByNumber: new Map(),
+    totalScanned: 0,
+    // Current status of every record, and records by status (instrument -> record)
+    status: new Map(),
+    buckets: Object.fromEntries(STATUSES.map(status => [status, new Map()])),
+    locations: new Map(),
+    // Numbers whose count restarted in the recount phase
+    recounted: new Set(),
+    appliedCount: 0,
+    lastApplied: null,
+  };
+  masterList.forEach(record => {
+    state.status.set(record.instrument, 'missing');
+    state.buckets.missing.set(record.instrument, record);
+    if (record.location) locationEntry(state, record.location).expected += 1;
+  });
+  return state;
+};
+
+const classify = (state, record) => {
+  const count = state.counts.get(record.instrument) || 0;
+  if (count === 0) return 'missing';
+  if (count > 1) return 'short';
+  if (isMisplaced(record, state.foundLocations.get(record.instrument))) return 'misplaced';
+  return 'matched';
+};
+
+// Add (sign 1) or remove (sign -1) a record's contribution to location progress
+const countLocation = (state, record, sign) => {
+  if (!record.location) return;
+  const foundLocations = state.foundLocations.get(record.instrument);
+  if ((state.counts.get(record.instrument) || 0) > 0 && !isMisplaced(record, foundLocations)) {
+    locationEntry(state, record.location).found += sign;
+  }
+  if (foundLocations) {
+    foundLocations.forEach(location => {
+      if (location !== record.location) locationEntry(state, location).misplacedHere += sign;
+    });
+  }
+};
+
+const addExcess = (state, scan) => {
+  const item = state.excessByNumber.get(scan.value);
+  if (item) {
+    item.count += 1;
+    item.lastScanned = scan.timestamp;
+    if (!item.sources.includes(scan.source)) item.sources.push(scan.source);
+  } else {
+    state.excessByNumber.set(scan.value, {
+      number: scan.value,
+      count: 1,
+      sources: [scan.source],
+      firstScanned: scan.timestamp,
+      lastScanned: scan.timestamp,
+    });
+  }
+};
+
+// The first recount-phase event for a number starts its count again from
+// zero; the first count is kept on the recount list instead. For an excess
+// number that is a scan or a 'not found' mark, so a number not found on
+// recount is no longer excess.
+const startRecount = (state, event) => {
+  const key = recountKeyOf(event);
+  if (state.recounted.has(key)) return;
+  if (event.instrument) {
+    state.recounted.add(key);
+    const record = state.masterList.get(event.instrument);
+    if (record) countLocation(state, record, -1);
+    state.counts.delete(event.instrument);
+    state.foundLocations.delete(event.instrument);
+  } else if (isScanEvent(event) || event.type === 'recount') {
+    state.recounted.add(key);
+    state.excessByNumber.delete(event.value);
+  }
+};
+
+const applyEvent = (state, event) => {
+  const isScan = isScanEvent(event);
+  if (event.phase === 'recount') startRecount(state, event);
+  if (isScan) state.totalScanned += 1;
+  // A scan of an instrument that is no longer listed is excess until it has
+  // been matched against the new list (see engine reResolveScans)
+  if (isScan && (!event.instrument || !state.masterList.has(event.instrument))) {
+    addExcess(state, event);
+    return;
+  }
+  if (!event.instrument) return;
+
+  const { instrument } = event;
+  const record = state.masterList.get(instrument);
+  if (record) countLocation(state, record, -1);
+  if (event.type === 'set-quantity') {
+    state.counts.set(instrument, event.quantity);
+  } else if (event.type === 'recount') {
+    // Marked as not found on recount
+    state.counts.set(instrument, 0);
+  } else {
+    state.counts.set(instrument, (state.counts.get(instrument) || 0) + 1);
+  }
+  if (event.location) {
+    if (!state.foundLocations.has(instrument)) state.foundLocations.set(instrument, new Set());
+    state.foundLocations.get(instrument).add(event.location);
+  }
+  if (!record) return;
+  countLocation(state, record, 1);
+
+  const previous = state.status.get(instrument);
+  const next = classify(state, record);
+  if (next !== previous) {
+    state.buckets[previous].delete(instrument);
+    state.buckets[next].set(instrument, record);
+    state.status.set(instrument, next);
+  }
+};
+
+// Bring `state` up to date with the event log, extending it when the log has
+// only grown since and rebuilding it otherwise. Returns the state to keep.
+export const updateReportState = (state, masterList, events) => {
+  const canExtend = state && state.masterList === masterList &&
+    state.appliedCount <= events.length &&
+    (state.appliedCount === 0 || events[state.appliedCount - 1] === state.lastApplied);
+  const next = canExtend ? state : createReportState(masterList);
+  for (let i = next.appliedCount; i < events.length; i += 1) applyEvent(next, events[i]);
+  next.appliedCount = events.length;
+  next.lastApplied = events[events.length - 1] || null;
+  return next;
+};
+
+// The report lists for the current state, with excess review decisions applied
+export const snapshotReport = (state, excessReview = {}) => {
+  const excess = [];
+  const dismissed = [];
+  state.excessByNumber.forEach(item => {
+    const review = excessReview[item.number] || {};
+    const line = {
+      ...item,
+      sources: [...item.sources],
+      status: review.status || null,
+      note: review.note || '',
+      // Value the counter gave the excess item during review
+      unitCost: review.unitCost ?? null,
+      category: review.category || '',
+    };
+    if (line.status === 'dismissed') {
+      dismissed.push(line);
+    } else {
+      excess.push(line);
+    }
+  });
+
+  return {
+    totalExpected: state.masterList.size,
+    totalScanned: state.totalScanned,
+    missing: [...state.buckets.missing.values()],
+    excess,
+    dismissed,
+    short: [...state.buckets.short.values()].map(record => ({
+      ...record,
+      count: state.counts.get(record.instrument),
+    })),
+    misplaced: [...state.buckets.misplaced.values()].map(record => ({
+      ...record,
+      foundLocations: [...state.foundLocations.get(record.instrument)],
+    })),
+    matched: [...state.buckets.matched.values()],
+    locations: [...state.locations.values()]
+      .map(entry => ({ ...entry }))
+      .sort((a, b) => a.location.localeCompare(b.location)),
+  };
+};
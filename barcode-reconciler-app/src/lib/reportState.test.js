@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { snapshotReport, updateReportState } from './reportState.js';
+
+const masterList = new Map([['INS-1', { instrument: 'INS-1', serial: '', location: '' }]]);
+
+const event = (id, fields) => ({ id, timestamp: Number(id.slice(1)), source: 'manual', ...fields });
+
+const reportOf = (events) => snapshotReport(updateReportState(null, masterList, events));
+
+describe('recount phase', () => {
+  const firstPass = [
+    event('e1', { type: 'scan', value: 'X-1', instrument: null }),
+    event('e2', { type: 'scan', value: 'X-1', instrument: null }),
+  ];
+
+  it('drops an excess number marked not found on recount', () => {
+    const report = reportOf([
+      ...firstPass,
+      event('e3', {
+        type: 'recount',
+        phase: 'recount',
+        target: 'excess:X-1',
+        instrument: null,
+        value: 'X-1',
+        outcome: 'not-found',
+      }),
+    ]);
+    assert.deepEqual(report.excess, []);
+    assert.equal(report.totalScanned, 2);
+  });
+
+  it('counts an excess number again from its recount scans', () => {
+    const report = reportOf([
+      ...firstPass,
+      event('e3', { type: 'scan', phase: 'recount', value: 'X-1', instrument: null }),
+    ]);
+    assert.deepEqual(report.excess.map(item => [item.number, item.count]), [['X-1', 1]]);
+  });
+
+  it('extends the state with a not found mark the same as a rebuild', () => {
+    const state = updateReportState(null, masterList, firstPass);
+    const events = [
+      ...firstPass,
+      event('e3', {
+        type: 'recount',
+        phase: 'recount',
+        target: 'excess:X-1',
+        instrument: null,
+        value: 'X-1',
+        outcome: 'not-found',
+      }),
+    ];
+    assert.deepEqual(snapshotReport(updateReportState(state, masterList, events)), reportOf(events));
+  });
+});
+
+describe('master list changes', () => {
+  it('counts a scan of an instrument no longer listed as excess', () => {
+    const report = snapshotReport(updateReportState(null, new Map(), [
+      event('e1', { type: 'scan', value: 'INS-1', instrument: 'INS-1' }),
+    ]));
+    assert.deepEqual(report.excess.map(item => [item.number, item.count]), [['INS-1', 1]]);
+  });
+});
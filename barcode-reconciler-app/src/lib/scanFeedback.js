@@ -0,0 +1,116 @@
+// Sound, vibration and screen-flash feedback for scan outcomes, so counters
+// who are looking at the shelf rather than the screen still know what
+// happened. Settings are per device, like the matching rules.
+
+const SETTINGS_STORAGE_KEY = 'barcodeReconciler.scanFeedback';
+
+export const DEFAULT_FEEDBACK_SETTINGS = {
+  sound: true,
+  // 0-1
+  volume: 0.5,
+  vibration: true,
+  flash: true,
+  // Outcomes the counter turned off: { [outcome]: true }
+  muted: {},
+};
+
+// Each outcome has a flash color, a tone sequence ([frequency Hz, seconds],
+// frequency 0 for a pause) and a vibration pattern (ms on/off)
+export const FEEDBACK_OUTCOMES = {
+  matched: {
+    label: 'Matched',
+    color: '#38a169',
+    tones: [[1047, 0.09]],
+    vibration: [60],
+  },
+  duplicate: {
+    label: 'Already counted',
+    color: '#d69e2e',
+    tones: [[784, 0.08], [0, 0.06], [784, 0.08]],
+    vibration: [80, 80, 80],
+  },
+  misplaced: {
+    label: 'Wrong location',
+    color: '#dd6b20',
+    tones: [[784, 0.1], [587, 0.16]],
+    vibration: [120, 60, 120],
+  },
+  unknown: {
+    label: 'Not on the list / rejected',
+    color: '#e53e3e',
+    tones: [[220, 0.35]],
+    vibration: [400],
+  },
+  ambiguous: {
+    label: 'Ambiguous, choose a record',
+    color: '#805ad5',
+    tones: [[523, 0.09], [659, 0.09], [784, 0.09]],
+    vibration: [60, 40, 60, 40, 60],
+  },
+  location: {
+    label: 'Location set',
+    color: '#0057b8',
+    tones: [[659, 0.07], [988, 0.1]],
+    vibration: [40, 40, 40],
+  },
+  recorded: {
+    label: 'Recorded (blind count)',
+    color: '#718096',
+    tones: [[880, 0.09]],
+    vibration: [60],
+  },
+};
+
+export const loadFeedbackSettings = () => {
+  try {
+    return { ...DEFAULT_FEEDBACK_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_FEEDBACK_SETTINGS;
+  }
+};
+
+export const saveFeedbackSettings = (settings) => {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+// One context for the page; browsers start it suspended until a user gesture,
+// which the first key press or button tap provides
+let audioContext = null;
+
+const playTones = (tones, volume) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || volume <= 0) return;
+  if (!audioContext) audioContext = new AudioContextClass();
+  if (audioContext.state === 'suspended') audioContext.resume();
+
+  let start = audioContext.currentTime;
+  tones.forEach(([frequency, duration]) => {
+    if (frequency > 0) {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.type = 'square';
+      oscillator.frequency.value = frequency;
+      // Short fade out so tones don't click
+      gain.gain.setValueAtTime(volume * 0.3, start);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(start);
+      oscillator.stop(start + duration);
+    }
+    start += duration;
+  });
+};
+
+// Play the sound and vibration for an outcome. The flash is rendered by the
+// ScanFlash component; this returns whether it should be shown.
+export const signalOutcome = (outcome, settings) => {
+  const definition = FEEDBACK_OUTCOMES[outcome];
+  if (!definition || settings.muted[outcome]) return false;
+  try {
+    if (settings.sound) playTones(definition.tones, settings.volume);
+  } catch (error) {
+    console.warn('Could not play scan sound:', error);
+  }
+  if (settings.vibration && navigator.vibrate) navigator.vibrate(definition.vibration);
+  return settings.flash;
+};
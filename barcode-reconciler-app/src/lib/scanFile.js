@@ -0,0 +1,176 @@
+import Papa from 'papaparse';
+import { sha256Hex } from './hash.js';
+import { LOCATION_PREFIX } from './locations.js';
+
+// Scan log files dumped by handheld batch terminals: either one scanned value
+// per line, or delimited text with a value column and optional timestamp and
+// location columns, e.g.
+//   Barcode,Scanned At,Location
+//   INS-0001,2024-03-01 22:14:05,A-01-02
+// Terminals differ, so the layout can be configured; anything left on 'auto'
+// is guessed from the file.
+
+const FORMAT_STORAGE_KEY = 'barcodeReconciler.scanFileFormat';
+
+export const DEFAULT_SCAN_FORMAT = {
+  // 'auto', 'lines' (one value per line) or 'delimited'
+  layout: 'auto',
+  // '' to detect, or ',', ';', '\t'
+  delimiter: '',
+  // 'auto', 'yes' or 'no'
+  header: 'auto',
+  // 1-based column numbers, or null to detect
+  valueColumn: null,
+  timestampColumn: null,
+  locationColumn: null,
+  // Order of day, month and year in numeric dates: 'auto' (let the runtime
+  // parse it, fine for ISO dates), 'dmy', 'mdy' or 'ymd'
+  dateOrder: 'auto',
+};
+
+export const loadScanFormat = () => {
+  try {
+    return { ...DEFAULT_SCAN_FORMAT, ...JSON.parse(localStorage.getItem(FORMAT_STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_SCAN_FORMAT;
+  }
+};
+
+export const saveScanFormat = (format) => {
+  localStorage.setItem(FORMAT_STORAGE_KEY, JSON.stringify(format));
+};
+
+// Header names recognised for each column of a delimited scan log
+const SCAN_HEADER_GUESSES = {
+  value: ['value', 'barcode', 'code', 'scan', 'data', 'serial', 'serial number', 'instrument', 'instrument number'],
+  timestamp: ['timestamp', 'time', 'date', 'datetime', 'scanned at', 'scan time'],
+  location: ['location', 'bin', 'loc'],
+};
+
+const NUMERIC_DATE = /^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const DATE_PARTS = {
+  dmy: ['day', 'month', 'year'],
+  mdy: ['month', 'day', 'year'],
+  ymd: ['year', 'month', 'day'],
+};
+
+// Epoch milliseconds for a timestamp cell: date text, or epoch seconds or
+// milliseconds. Returns null when the cell is not a time.
+export const parseTimestamp = (cell, dateOrder = 'auto') => {
+  const text = String(cell ?? '').trim();
+  if (!text) return null;
+  if (/^\d{10}$/.test(text)) return Number(text) * 1000;
+  if (/^\d{13}$/.test(text)) return Number(text);
+
+  const match = DATE_PARTS[dateOrder] && text.match(NUMERIC_DATE);
+  if (match) {
+    const parts = {};
+    DATE_PARTS[dateOrder].forEach((part, index) => { parts[part] = Number(match[index + 1]); });
+    if (parts.year < 100) parts.year += 2000;
+    const [hours, minutes, seconds] = [match[4], match[5], match[6]].map(value => Number(value || 0));
+    const date = new Date(parts.year, parts.month - 1, parts.day, hours, minutes, seconds);
+    return date.getMonth() === parts.month - 1 ? date.getTime() : null;
+  }
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : time;
+};
+
+const isDelimited = (lines) => lines.some(line => /[,;\t]/.test(line));
+
+// Parse a scan log into [{ value, timestamp, location }], in file order.
+// timestamp and location are null when the file does not carry them.
+export const parseScanFile = (text, format = DEFAULT_SCAN_FORMAT) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const layout = format.layout === 'auto' ? (isDelimited(lines) ? 'delimited' : 'lines') : format.layout;
+  if (layout === 'lines') {
+    return lines.map(value => ({ value, timestamp: null, location: null }));
+  }
+
+  const rows = Papa.parse(content, { header: false, skipEmptyLines: true, delimiter: format.delimiter }).data
+    .map(row => row.map(cell => String(cell ?? '').trim()));
+  const firstRow = (rows[0] || []).map(cell => cell.toLowerCase());
+  const headerIndex = (field) => firstRow.findIndex(cell => SCAN_HEADER_GUESSES[field].includes(cell));
+  const hasHeader = format.header === 'auto' ? headerIndex('value') >= 0 : format.header === 'yes';
+  const dataRows = rows.slice(hasHeader ? 1 : 0);
+  const toTimestamp = (cell) => parseTimestamp(cell, format.dateOrder);
+
+  // Guessed layout: named columns when there is a header; otherwise value
+  // first, then a timestamp if the second column holds one, then a location
+  const hasTimes = dataRows.some(row => toTimestamp(row[1]) !== null);
+  const guessed = hasHeader
+    ? { value: Math.max(headerIndex('value'), 0), timestamp: headerIndex('timestamp'), location: headerIndex('location') }
+    : { value: 0, timestamp: hasTimes ? 1 : -1, location: hasTimes ? 2 : 1 };
+  const columnOf = (configured, fallback) => (configured ? configured - 1 : fallback);
+  const columns = {
+    value: columnOf(format.valueColumn, guessed.value),
+    timestamp: columnOf(format.timestampColumn, guessed.timestamp),
+    location: columnOf(format.locationColumn, guessed.location),
+  };
+  const cellOf = (row, column) => (column >= 0 ? row[column] || '' : '');
+
+  return dataRows
+    .map(row => ({
+      value: cellOf(row, columns.value),
+      timestamp: toTimestamp(cellOf(row, columns.timestamp)),
+      location: cellOf(row, columns.location) || null,
+    }))
+    .filter(scan => scan.value);
+};
+
+// Fingerprint of a file's contents, to notice when the same dump is imported twice
+export const fingerprintFile = (text) => sha256Hex(text);
+
+const scanKey = (value) => value.trim().toUpperCase();
+const isLocationValue = (value) => scanKey(value).startsWith(LOCATION_PREFIX);
+
+// How a file's scans overlap scans imported before, by content. Terminals
+// often dump everything still in memory, so a later file may repeat an
+// earlier one and add more; scans without a timestamp can't be told apart
+// from the earlier ones otherwise. `earlier` is [{ fileName, values }] per
+// earlier import, with the item values in scan order. Returns
+//   prefix   - { fileName, count, cut } when the file starts with every scan
+//              of an earlier import (the longest one), where `cut` is the
+//              index in `scans` just after the repeated part; otherwise null
+//   repeated - how many of the file's item scans have a value also scanned
+//              in the earlier imports, each earlier scan matched once
+//   fileNames - the earlier imports those values came from
+export const findImportOverlap = (scans, earlier) => {
+  const items = [];
+  scans.forEach((scan, index) => {
+    if (!isLocationValue(scan.value)) items.push({ key: scanKey(scan.value), index });
+  });
+
+  let prefix = null;
+  earlier.forEach(({ fileName, values }) => {
+    const count = values.length;
+    if (count === 0 || count > items.length || (prefix && prefix.count >= count)) return;
+    if (values.every((value, i) => scanKey(value) === items[i].key)) {
+      prefix = { fileName, count, cut: items[count - 1].index + 1 };
+    }
+  });
+
+  const remaining = new Map();
+  earlier.forEach(({ fileName, values }) => values.forEach(value => {
+    const key = scanKey(value);
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(fileName);
+  }));
+  let repeated = 0;
+  const fileNames = new Set();
+  items.forEach(({ key }) => {
+    const sources = remaining.get(key);
+    if (!sources || sources.length === 0) return;
+    repeated += 1;
+    fileNames.add(sources.shift());
+  });
+
+  return { prefix, repeated, fileNames: [...fileNames] };
+};
+
+// The scans after `cut`, still preceded by the location line in effect there
+export const scansAfter = (scans, cut) => {
+  const lastLocation = scans.slice(0, cut).reverse().find(scan => isLocationValue(scan.value));
+  return [...(lastLocation ? [lastLocation] : []), ...scans.slice(cut)];
+};
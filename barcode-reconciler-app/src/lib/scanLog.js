@@ -0,0 +1,23 @@
+// The count is an append-only log of events:
+//   scan         - { id, type: 'scan', value, instrument (null when unmatched), source, location, timestamp }
+//   set-quantity - { id, type: 'set-quantity', instrument, quantity, timestamp }
+//   location     - { id, type: 'location', value, location (null when cleared), source, timestamp }
+//   recount      - { id, type: 'recount', target, instrument, value, outcome: 'not-found', timestamp }
+// Events saved before quantity corrections existed have no type and are scans.
+// Every event also carries the counter name and device id that recorded it,
+// and events recorded during a recount carry phase: 'recount'.
+
+export const isScanEvent = (event) => !event.type || event.type === 'scan';
+
+// Add events from another device to the log, ignoring ones already present and
+// keeping the log in timestamp order
+export const mergeEvents = (events, incoming) => {
+  const knownIds = new Set(events.map(event => event.id));
+  const added = incoming.filter(event => !knownIds.has(event.id));
+  if (added.length === 0) return events;
+  return [...events, ...added].sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Events recorded on the given device; events from before sync existed have no
+// device id and belong to whichever device holds them
+export const isOwnEvent = (event, deviceId) => !event.deviceId || event.deviceId === deviceId;
@@ -0,0 +1,10 @@
+// Register the offline service worker built from pwa/serviceWorker.js. It is
+// only emitted by production builds, so the dev server runs without one.
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(error => {
+      console.error("Error registering service worker:", error);
+    });
+  });
+};
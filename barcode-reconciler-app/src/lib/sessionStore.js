@@ -0,0 +1,189 @@
+// IndexedDB persistence for count sessions, so a reload or a phone killing the
+// tab mid-aisle does not lose the count. Object stores:
+//   sessions    - session metadata (counter, site, start time, status, review notes)
+//   masterLists - the imported master list records, one entry per session
+//   snapshots   - a later on-hand export loaded mid-count, one entry per session
+//   scans       - every scan event and quantity correction, indexed by session
+//   auditTrails - hash-chained audit entries of approved sessions, keyed by
+//                 session and sequence number, only ever added to
+
+const DB_NAME = 'barcode-reconciler';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore('sessions', { keyPath: 'id' });
+          db.createObjectStore('masterLists', { keyPath: 'sessionId' });
+          const scans = db.createObjectStore('scans', { keyPath: 'id' });
+          scans.createIndex('sessionId', 'sessionId');
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore('snapshots', { keyPath: 'sessionId' });
+        }
+        if (event.oldVersion < 3) {
+          const audit = db.createObjectStore('auditTrails', { keyPath: ['sessionId', 'seq'] });
+          audit.createIndex('sessionId', 'sessionId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run `work` inside a transaction and resolve with the result of the request it
+// returns (if any) once the transaction has committed.
+const transact = async (storeNames, mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const request = work(tx);
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const createId = () => (
+  crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`
+);
+
+// All sessions, most recently updated first
+export const listSessions = async () => {
+  const sessions = await transact('sessions', 'readonly', tx => tx.objectStore('sessions').getAll());
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const saveSession = (session) => (
+  transact('sessions', 'readwrite', tx => {
+    tx.objectStore('sessions').put({ ...session, updatedAt: Date.now() });
+  })
+);
+
+// Stores the master list as an array of records; callers rebuild their Map on load
+export const saveMasterList = (sessionId, masterList) => (
+  transact('masterLists', 'readwrite', tx => {
+    tx.objectStore('masterLists').put({ sessionId, records: [...masterList.values()] });
+  })
+);
+
+// The stored master list records of a session, or [] when it has none
+export const loadMasterListRecords = async (sessionId) => {
+  const stored = await transact('masterLists', 'readonly', tx => tx.objectStore('masterLists').get(sessionId));
+  return stored ? stored.records : [];
+};
+
+// Later on-hand export for the session, or null to remove it
+export const saveLaterSnapshot = (sessionId, snapshot) => (
+  transact('snapshots', 'readwrite', tx => {
+    const store = tx.objectStore('snapshots');
+    if (snapshot) {
+      store.put({ sessionId, records: [...snapshot.values()] });
+    } else {
+      store.delete(sessionId);
+    }
+  })
+);
+
+export const saveScan = (sessionId, scan) => (
+  transact('scans', 'readwrite', tx => {
+    tx.objectStore('scans').put({ ...scan, sessionId });
+  })
+);
+
+// Save many events in one transaction, e.g. an imported scan file
+export const saveScans = (sessionId, scans) => (
+  transact('scans', 'readwrite', tx => {
+    const store = tx.objectStore('scans');
+    scans.forEach(scan => store.put({ ...scan, sessionId }));
+  })
+);
+
+export const deleteScan = (scanId) => (
+  transact('scans', 'readwrite', tx => {
+    tx.objectStore('scans').delete(scanId);
+  })
+);
+
+// Swap events for their replacements in one transaction, e.g. scans matched
+// again after the master list changed
+export const replaceScans = (sessionId, removedIds, scans) => (
+  transact('scans', 'readwrite', tx => {
+    const store = tx.objectStore('scans');
+    removedIds.forEach(id => store.delete(id));
+    scans.forEach(scan => store.put({ ...scan, sessionId }));
+  })
+);
+
+// Append entries to a session's audit trail. add() rather than put() makes
+// the store refuse to overwrite an existing sequence number.
+export const appendAuditEntries = (sessionId, entries) => (
+  transact('auditTrails', 'readwrite', tx => {
+    const store = tx.objectStore('auditTrails');
+    entries.forEach(entry => store.add({ ...entry, sessionId }));
+  })
+);
+
+// A session's audit trail in sequence order, or [] when it has none
+export const loadAuditTrail = async (sessionId) => {
+  const stored = await transact('auditTrails', 'readonly', tx => (
+    tx.objectStore('auditTrails').index('sessionId').getAll(sessionId)
+  ));
+  return stored.sort((a, b) => a.seq - b.seq);
+};
+
+const toRecordMap = (records) => new Map(records.map(record => [record.instrument, record]));
+
+// Everything needed to resume a session: metadata, master list, later
+// snapshot (null when none was loaded) and scan events
+export const loadSession = async (sessionId) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['sessions', 'masterLists', 'snapshots', 'scans'], 'readonly');
+    const sessionRequest = tx.objectStore('sessions').get(sessionId);
+    const masterListRequest = tx.objectStore('masterLists').get(sessionId);
+    const snapshotRequest = tx.objectStore('snapshots').get(sessionId);
+    const scansRequest = tx.objectStore('scans').index('sessionId').getAll(sessionId);
+    tx.oncomplete = () => {
+      const records = masterListRequest.result ? masterListRequest.result.records : [];
+      resolve({
+        session: sessionRequest.result || null,
+        masterList: toRecordMap(records),
+        laterSnapshot: snapshotRequest.result ? toRecordMap(snapshotRequest.result.records) : null,
+        scans: scansRequest.result
+          .map(stored => {
+            const { sessionId: _sessionId, ...scan } = stored;
+            return scan;
+          })
+          .sort((a, b) => a.timestamp - b.timestamp),
+      });
+    };
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+export const deleteSession = (sessionId) => (
+  transact(['sessions', 'masterLists', 'snapshots', 'scans', 'auditTrails'], 'readwrite', tx => {
+    tx.objectStore('sessions').delete(sessionId);
+    tx.objectStore('masterLists').delete(sessionId);
+    tx.objectStore('snapshots').delete(sessionId);
+    ['scans', 'auditTrails'].forEach(storeName => {
+      const index = tx.objectStore(storeName).index('sessionId');
+      index.openKeyCursor(IDBKeyRange.only(sessionId)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          tx.objectStore(storeName).delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+    });
+  })
+);
@@ -0,0 +1,13 @@
+import { sha256Hex } from './hash.js';
+
+// Supervisor PIN handling for blind counts. Only a SHA-256 digest of the PIN
+// is kept with the session, salted with the session id so the same PIN does
+// not produce the same digest in every session.
+
+export const MIN_PIN_LENGTH = 4;
+
+export const hashPin = (pin, sessionId) => sha256Hex(`${sessionId}:${pin}`);
+
+export const checkPin = async (pin, sessionId, pinHash) => (
+  Boolean(pinHash) && (await hashPin(pin, sessionId)) === pinHash
+);
@@ -0,0 +1,208 @@
+import { createId, loadMasterListRecords } from './sessionStore.js';
+
+// Client side of the multi-device sync server (see server/syncServer.js).
+// Local operations go into an outbox kept in localStorage until the server has
+// accepted them, so scans taken offline are delivered once the device
+// reconnects. The outbox is stored in segments, one per push, so a push only
+// writes its own operations. Master-list operations carry every record, too
+// much for localStorage: their stored copy has `records: null` and the records
+// are read back from the session's master list in IndexedDB when it is sent.
+// Incoming operations are read from a Server-Sent Events stream resumed from
+// the last sequence number this device has seen.
+
+const DEVICE_ID_KEY = 'barcodeReconciler.deviceId';
+const RETRY_MS = 10000;
+const DELIVER_DELAY_MS = 50;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const storageKey = (sessionId, code, name) => `barcodeReconciler.sync.${sessionId}.${code}.${name}`;
+
+const toStored = (op) => (op.type === 'master-list' ? { ...op, records: null } : op);
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Stable id for this browser, used to attribute events and to tell this
+// device's own events apart from other counters'
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = createId();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+// Short code other counters type in to join a session
+export const createSyncCode = () => Array.from(
+  { length: 6 },
+  () => CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)],
+).join('');
+
+const sessionUrl = (serverUrl, code) => (
+  `${serverUrl.replace(/\/+$/, '')}/api/sessions/${encodeURIComponent(code)}`
+);
+
+// Summary of a shared session:
+// { code, seq, hasMasterList, masterFileName, hasToleranceRules, counters }
+export const fetchSyncSession = async (serverUrl, code) => {
+  const response = await fetch(sessionUrl(serverUrl, code));
+  if (!response.ok) throw new Error(`Sync server responded with ${response.status}`);
+  return response.json();
+};
+
+// Connect the local session `sessionId` to the shared session `code`.
+// `onOps` receives batches of remote operations and `onStatusChange` receives
+// { connected, pending } whenever either changes. The stored cursor only moves
+// past a batch once `onOps` has taken it; when it returns false the batch is
+// refused and `resync()` later receives it again from the server.
+// Returns { push(ops), resync(), close() }.
+export const createSyncClient = ({ serverUrl, code, sessionId, onOps, onStatusChange }) => {
+  const baseUrl = sessionUrl(serverUrl, code);
+  const cursorKey = storageKey(sessionId, code, 'seq');
+  const rangeKey = storageKey(sessionId, code, 'outboxRange');
+  const segmentKey = (n) => storageKey(sessionId, code, `outbox.${n}`);
+  // Stored segments are numbered first..next-1
+  let { first, next } = readJson(rangeKey, { first: 0, next: 0 });
+  let outbox = [];
+  for (let n = first; n < next; n += 1) outbox.push(...readJson(segmentKey(n), []));
+  // Last operation taken by onOps (stored) and last one received
+  let ackedSeq = Number(localStorage.getItem(cursorKey)) || 0;
+  let lastSeq = ackedSeq;
+  let connected = false;
+  let flushing = false;
+  let closed = false;
+  let source = null;
+  let inbox = [];
+  let deliverTimer = null;
+
+  const reportStatus = () => onStatusChange({ connected, pending: outbox.length });
+
+  // A storage failure (e.g. the quota) must not break the local change that
+  // pushed the operations; they are still sent from memory while the page is open
+  const storeSegment = (ops) => {
+    try {
+      localStorage.setItem(segmentKey(next), JSON.stringify(ops.map(toStored)));
+      next += 1;
+      localStorage.setItem(rangeKey, JSON.stringify({ first, next }));
+    } catch (error) {
+      console.warn('Could not store sync operations for later delivery:', error);
+    }
+  };
+
+  const dropSegments = (upTo) => {
+    try {
+      for (let n = first; n < upTo; n += 1) localStorage.removeItem(segmentKey(n));
+      first = upTo;
+      localStorage.setItem(rangeKey, JSON.stringify({ first, next }));
+    } catch (error) {
+      console.warn('Could not update stored sync operations:', error);
+    }
+  };
+
+  // Outbox stored whole by earlier versions
+  const legacyKey = storageKey(sessionId, code, 'outbox');
+  const legacy = readJson(legacyKey, []);
+  if (legacy.length > 0) {
+    outbox.unshift(...legacy);
+    storeSegment(legacy);
+  }
+  localStorage.removeItem(legacyKey);
+
+  // Stored master-list operations get their records back before sending
+  const withRecords = (op) => (op.type === 'master-list' && op.records === null
+    ? loadMasterListRecords(sessionId).then(records => ({ ...op, records }))
+    : op);
+
+  const flush = async () => {
+    if (flushing || closed || outbox.length === 0 || !navigator.onLine) return;
+    flushing = true;
+    const batch = outbox.slice();
+    // Operations pushed from here on go into later segments
+    const batchSegments = next;
+    try {
+      const ops = await Promise.all(batch.map(withRecords));
+      const response = await fetch(`${baseUrl}/ops`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ops }),
+      });
+      if (!response.ok) throw new Error(`Sync server responded with ${response.status}`);
+      outbox = outbox.slice(batch.length);
+      dropSegments(batchSegments);
+    } catch (error) {
+      console.warn('Sync push failed, will retry:', error);
+    } finally {
+      flushing = false;
+      reportStatus();
+    }
+  };
+
+  // Hand remote operations over in small batches rather than one render per op
+  const deliver = () => {
+    deliverTimer = null;
+    const ops = inbox;
+    inbox = [];
+    if (ops.length === 0 || closed || onOps(ops) === false) return;
+    ackedSeq = ops[ops.length - 1].seq;
+    localStorage.setItem(cursorKey, String(ackedSeq));
+  };
+
+  const connect = () => {
+    source = new EventSource(`${baseUrl}/stream?since=${ackedSeq}`);
+    source.onopen = () => {
+      connected = true;
+      reportStatus();
+      flush();
+    };
+    source.onmessage = (message) => {
+      const op = JSON.parse(message.data);
+      if (op.seq <= lastSeq) return;
+      lastSeq = op.seq;
+      inbox.push(op);
+      if (!deliverTimer) deliverTimer = setTimeout(deliver, DELIVER_DELAY_MS);
+    };
+    // EventSource reconnects by itself, resuming from the last event id
+    source.onerror = () => {
+      connected = false;
+      reportStatus();
+    };
+  };
+
+  const retryTimer = setInterval(flush, RETRY_MS);
+  window.addEventListener('online', flush);
+  connect();
+  reportStatus();
+
+  return {
+    push: (ops) => {
+      outbox.push(...ops);
+      storeSegment(ops);
+      reportStatus();
+      flush();
+    },
+    // Receive everything after the stored cursor again
+    resync: () => {
+      if (closed) return;
+      clearTimeout(deliverTimer);
+      deliverTimer = null;
+      inbox = [];
+      lastSeq = ackedSeq;
+      if (source) source.close();
+      connected = false;
+      connect();
+    },
+    close: () => {
+      closed = true;
+      clearInterval(retryTimer);
+      clearTimeout(deliverTimer);
+      window.removeEventListener('online', flush);
+      if (source) source.close();
+    },
+  };
+};
@@ -0,0 +1,110 @@
+// Shrink value reporting and tolerance rules. Master records carry an optional
+// unit cost and category from the import; excess items get theirs when the
+// counter values them during review. Missing items that break a tolerance
+// rule are escalated and must be settled by a recount before the count can be
+// submitted. The rules are stored on the session and shared with the other
+// devices in a synced count.
+
+export const DEFAULT_TOLERANCE_RULES = {
+  // Escalate missing items with a unit cost above this (null = no limit)
+  valueThreshold: null,
+  // Escalate every missing item in these categories (compared case-insensitively)
+  controlledCategories: [],
+};
+
+// The rules are part of the count, so every device in a shared count escalates
+// the same items. Sessions saved before they were kept there have none.
+export const toleranceRulesOf = (session) => session.toleranceRules || DEFAULT_TOLERANCE_RULES;
+
+// Unit cost cell text to a number, or null when empty or not a number.
+// Accepts currency symbols and thousands separators ("$1,234.50", "1.234,50").
+export const parseCost = (text) => {
+  const cleaned = String(text ?? '').replace(/[^\d.,-]/g, '');
+  if (!/\d/.test(cleaned)) return null;
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+  // The right-most separator is the decimal one when it has 1-2 digits after it
+  const decimalComma = lastComma > lastDot && /,\d{1,2}$/.test(cleaned);
+  const normalized = decimalComma
+    ? cleaned.replace(/\./g, '').replace(',', '.')
+    : cleaned.replace(/,/g, '');
+  const value = Number(normalized);
+  return Number.isFinite(value) ? value : null;
+};
+
+export const formatValue = (value) => value.toLocaleString(undefined, {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+});
+
+const sameCategory = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Why a missing record breaks the tolerance rules, or [] when it doesn't
+export const escalationReasons = (record, rules) => {
+  const reasons = [];
+  if (rules.valueThreshold !== null && record.unitCost != null && record.unitCost > rules.valueThreshold) {
+    reasons.push(`Value ${formatValue(record.unitCost)} over ${formatValue(rules.valueThreshold)}`);
+  }
+  if (record.category && rules.controlledCategories.some(category => sameCategory(category, record.category))) {
+    reasons.push(`Controlled category ${record.category}`);
+  }
+  return reasons;
+};
+
+// Escalated missing records: Map of instrument -> reasons
+export const escalate = (missing, rules) => {
+  const escalations = new Map();
+  missing.forEach(record => {
+    const reasons = escalationReasons(record, rules);
+    if (reasons.length > 0) escalations.set(record.instrument, reasons);
+  });
+  return escalations;
+};
+
+// Value of the missing and excess lines, in total and per category:
+// { missing, excess, categories: [{ category, missing, excess }] }, where
+// each total is { count, value, unvalued } and unvalued counts lines with no
+// unit cost. Excess dismissed as misreads is not stock and is left out.
+export const valueSummary = (report) => {
+  const total = () => ({ count: 0, value: 0, unvalued: 0 });
+  const categories = new Map();
+  const summary = { missing: total(), excess: total() };
+  const add = (kind, category, unitCost) => {
+    if (!categories.has(category)) categories.set(category, { category, missing: total(), excess: total() });
+    [summary[kind], categories.get(category)[kind]].forEach(entry => {
+      entry.count += 1;
+      if (unitCost == null) {
+        entry.unvalued += 1;
+      } else {
+        entry.value += unitCost;
+      }
+    });
+  };
+  report.missing.forEach(record => add('missing', record.category || '', record.unitCost));
+  report.excess.forEach(item => add('excess', item.category || '', item.unitCost));
+  return {
+    ...summary,
+    categories: [...categories.values()].sort((a, b) => (
+      (b.missing.value + b.excess.value) - (a.missing.value + a.excess.value) ||
+      a.category.localeCompare(b.category)
+    )),
+  };
+};
+
+// Instruments escalated when the recount started. The set is frozen with the
+// recount list, so items escalated later (tighter rules, another item gone
+// missing) are not held to a recount they are not on. Recounts started before
+// it was frozen fall back to the escalated items on their list.
+export const recountEscalations = (recount, escalations) => recount.escalated ?? recount.items
+  .filter(item => item.instrument && escalations.has(item.instrument))
+  .map(item => item.instrument);
+
+// Escalated instruments a recount has not settled yet. Without a recount that
+// is every current escalation; with one, the escalations frozen into it that
+// are not recounted. `resolutions` is report.recount, or null while there are
+// no recount results to go by.
+export const unsettledEscalations = (escalations, recount, resolutions) => {
+  if (!recount) return [...escalations.keys()];
+  return recountEscalations(recount, escalations)
+    .filter(instrument => (resolutions?.get(instrument)?.status ?? 'pending') === 'pending');
+};
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRecountItems, resolveRecount } from './recount.js';
+import { escalate, unsettledEscalations } from './valuation.js';
+
+const record = (instrument, unitCost) => ({ instrument, serial: '', location: '', unitCost, category: '' });
+
+const rules = (valueThreshold) => ({ valueThreshold, controlledCategories: [] });
+
+const notFound = (instrument) => ({
+  id: `nf-${instrument}`,
+  type: 'recount',
+  phase: 'recount',
+  target: instrument,
+  instrument,
+  value: instrument,
+  outcome: 'not-found',
+});
+
+describe('unsettledEscalations', () => {
+  const missing = [record('INS-1', 500), record('INS-2', 50)];
+  const escalations = escalate(missing, rules(100));
+  const items = buildRecountItems({ missing, short: [], misplaced: [], excess: [] });
+  const recount = { items, escalated: [...escalations.keys()] };
+
+  it('holds every escalation while there is no recount', () => {
+    assert.deepEqual(unsettledEscalations(escalations, null, null), ['INS-1']);
+  });
+
+  it('holds escalations on the recount list until they are recounted', () => {
+    assert.deepEqual(unsettledEscalations(escalations, recount, resolveRecount(items, [])), ['INS-1']);
+    assert.deepEqual(unsettledEscalations(escalations, recount, null), ['INS-1']);
+    assert.deepEqual(unsettledEscalations(escalations, recount, resolveRecount(items, [notFound('INS-1')])), []);
+  });
+
+  it('does not hold items escalated after the recount started', () => {
+    // Tighter rules now escalate INS-2 and a new missing item, neither frozen into the recount
+    const later = escalate([...missing, record('INS-3', 900)], rules(10));
+    const resolutions = resolveRecount(items, [notFound('INS-1')]);
+    assert.deepEqual(unsettledEscalations(later, recount, resolutions), []);
+  });
+
+  it('falls back to the escalated items on the list for recounts without a frozen set', () => {
+    const legacy = { items };
+    assert.deepEqual(unsettledEscalations(escalations, legacy, resolveRecount(items, [])), ['INS-1']);
+    const later = escalate([...missing, record('INS-3', 900)], rules(100));
+    assert.deepEqual(unsettledEscalations(later, legacy, resolveRecount(items, [notFound('INS-1')])), []);
+  });
+});